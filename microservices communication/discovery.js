@@ -0,0 +1,211 @@
+// discovery.js
+// 服务发现的客户端部分：
+//   RegistryClient  向注册中心（registry.js）注册 / 心跳 / 注销，按服务名查健康的实例
+//   Balancer        在一个服务的多个实例之间做客户端负载均衡
+//   createRestClient  按服务名发 REST 请求
+//
+//   const registry = new RegistryClient({ url: 'http://localhost:8500' });
+//   const reg = registry.register({ service: 'rpc', host: 'localhost', port: 4000, check: { type: 'tcp' } });
+//   await reg.stop();                         // 注销
+//
+//   const balancer = new Balancer({ registry, service: 'rpc', strategy: 'least-outstanding' });
+//   const instance = await balancer.pick();   // { id, host, port, ... }
+//   balancer.begin(instance); ...; balancer.end(instance, ok);
+//
+// 注册中心判定不健康的实例不会出现在查询结果里；此外 Balancer 自己也会把连续失败的实例
+// 暂时剔除 EJECT_MS（被动健康检查），不必等注册中心下一轮检查。
+
+const http = require('http');
+const crypto = require('crypto');
+const tracing = require('./tracing');
+
+const RESOLVE_CACHE_MS = 2000;
+const EJECT_AFTER_FAILURES = 3;
+const EJECT_MS = 10000;
+const STRATEGIES = ['round-robin', 'least-outstanding'];
+
+function requestJson(base, method, path, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(new URL(path, base), {
+            method,
+            headers: body === undefined ? headers : Object.assign({ 'Content-Type': 'application/json' }, headers),
+            timeout: 3000,
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => {
+                let data = null;
+                try {
+                    data = text ? JSON.parse(text) : null;
+                } catch (e) {
+                    data = text;
+                }
+                resolve({ status: res.statusCode, data });
+            });
+        });
+        req.once('timeout', () => req.destroy(new Error('timeout')));
+        req.once('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+class RegistryClient {
+    constructor({ url = process.env.REGISTRY_URL || 'http://localhost:8500' } = {}) {
+        this.url = url;
+        this.cache = new Map(); // 服务名 => { at, instances }
+    }
+
+    // 注册并保持心跳（间隔 ttl / 3）。注册中心重启或注册过期（心跳返回 404）时自动重新注册；
+    // 注册中心连不上时只告警一次，之后每个心跳周期重试。返回 { id, stop() }。
+    register({ service, id, host = 'localhost', port, ttl = 10000, meta, check }) {
+        id = id || `${service}-${host}-${port}-${crypto.randomBytes(3).toString('hex')}`;
+        const path = `/services/${encodeURIComponent(service)}/${encodeURIComponent(id)}`;
+        const body = { host, port, ttl, meta, check };
+        let registered = false;
+        let warned = false;
+        const beat = async () => {
+            try {
+                const res = registered
+                    ? await requestJson(this.url, 'PUT', `${path}/heartbeat`)
+                    : await requestJson(this.url, 'PUT', path, body);
+                if (res.status === 404) {
+                    registered = false;
+                    return beat();
+                }
+                if (res.status !== 200) throw new Error(`HTTP ${res.status}`);
+                if (!registered && warned) console.log(`registry: ${service} 已重新注册`);
+                registered = true;
+                warned = false;
+            } catch (err) {
+                registered = false;
+                if (!warned) console.warn(`registry: ${service} 注册到 ${this.url} 失败（${err.message}），稍后重试`);
+                warned = true;
+            }
+        };
+        const timer = setInterval(beat, Math.max(300, Math.floor(ttl / 3)));
+        timer.unref();
+        const ready = beat();
+        return {
+            id,
+            ready,
+            stop: async () => {
+                clearInterval(timer);
+                await ready;
+                await requestJson(this.url, 'DELETE', path).catch(() => { });
+            },
+        };
+    }
+
+    // 健康的实例列表，缓存 RESOLVE_CACHE_MS；注册中心暂时连不上时沿用上一次的结果
+    async resolve(service, { fresh = false } = {}) {
+        const cached = this.cache.get(service);
+        if (!fresh && cached && Date.now() - cached.at < RESOLVE_CACHE_MS) return cached.instances;
+        try {
+            const res = await requestJson(this.url, 'GET', `/services/${encodeURIComponent(service)}`);
+            if (res.status !== 200) throw new Error(`HTTP ${res.status}`);
+            this.cache.set(service, { at: Date.now(), instances: res.data });
+            return res.data;
+        } catch (err) {
+            if (cached) return cached.instances;
+            throw err;
+        }
+    }
+}
+
+class Balancer {
+    constructor({ registry = new RegistryClient(), service, strategy = 'round-robin' }) {
+        if (!STRATEGIES.includes(strategy)) throw new Error(`unknown strategy: ${strategy}`);
+        this.registry = registry;
+        this.service = service;
+        this.strategy = strategy;
+        this.next = 0;
+        this.outstanding = new Map(); // 实例 key => 进行中的请求数
+        this.failures = new Map(); // 实例 key => 连续失败次数
+        this.ejected = new Map(); // 实例 key => 剔除到什么时候
+    }
+
+    static key(instance) {
+        return `${instance.host}:${instance.port}`;
+    }
+
+    async instances() {
+        const now = Date.now();
+        const all = await this.registry.resolve(this.service);
+        const usable = all.filter((i) => {
+            const until = this.ejected.get(Balancer.key(i));
+            return !until || until <= now;
+        });
+        // 全部被剔除时宁可试一试，也不要直接报错
+        return usable.length ? usable : all;
+    }
+
+    async pick() {
+        const candidates = await this.instances();
+        if (!candidates.length) throw Object.assign(new Error(`no healthy instance of ${this.service}`), { code: 'UNAVAILABLE' });
+        const start = this.next++ % candidates.length;
+        if (this.strategy === 'round-robin') return candidates[start];
+        // least-outstanding：进行中请求最少的实例；并列时从轮转位置开始找，避免总是压在第一个上
+        let best = null;
+        for (let i = 0; i < candidates.length; i++) {
+            const c = candidates[(start + i) % candidates.length];
+            if (!best || this.load(c) < this.load(best)) best = c;
+        }
+        return best;
+    }
+
+    load(instance) {
+        return this.outstanding.get(Balancer.key(instance)) || 0;
+    }
+
+    begin(instance) {
+        const key = Balancer.key(instance);
+        this.outstanding.set(key, (this.outstanding.get(key) || 0) + 1);
+    }
+
+    // ok 为 false 表示实例本身有问题（连不上、断开），不是业务错误
+    end(instance, ok) {
+        const key = Balancer.key(instance);
+        this.outstanding.set(key, Math.max(0, (this.outstanding.get(key) || 0) - 1));
+        if (ok) {
+            this.failures.delete(key);
+            return;
+        }
+        const failures = (this.failures.get(key) || 0) + 1;
+        this.failures.set(key, failures);
+        if (failures >= EJECT_AFTER_FAILURES) {
+            this.failures.delete(key);
+            this.ejected.set(key, Date.now() + EJECT_MS);
+        }
+    }
+}
+
+// 按服务名发 REST 请求：request(method, path, body) => { status, data }。
+// 每个请求记一个 client span，traceparent 放在请求头里（见 tracing.js）
+function createRestClient({ registry, service = 'rest', strategy } = {}) {
+    const balancer = new Balancer({ registry, service, strategy });
+    return {
+        balancer,
+        async request(method, path, body) {
+            const instance = await balancer.pick();
+            const span = tracing.startSpan(`${method} ${path.split('?')[0]}`, {
+                kind: 'client',
+                attributes: { 'http.request.method': method, 'server.address': instance.host, 'server.port': instance.port },
+            });
+            balancer.begin(instance);
+            try {
+                const res = await requestJson(`http://${instance.host}:${instance.port}`, method, path, body, tracing.inject(span));
+                balancer.end(instance, res.status < 500);
+                span.setAttribute('http.response.status_code', res.status);
+                span.end(res.status >= 500 ? { code: `HTTP ${res.status}`, message: http.STATUS_CODES[res.status] } : null);
+                return Object.assign(res, { instance: instance.id });
+            } catch (err) {
+                balancer.end(instance, false);
+                span.end(err);
+                throw err;
+            }
+        },
+    };
+}
+
+module.exports = { RegistryClient, Balancer, createRestClient, STRATEGIES };
@@ -0,0 +1,312 @@
+// gateway.js
+// HTTP/JSON 网关（相当于 grpc-gateway）：挂在 REST 服务上，把 HTTP 请求转成对 RPC 后端的调用。
+//
+//   POST /rpc/<服务名>/<方法名>   body 是 params（JSON），成功时返回 data
+//   GET  /openapi.json            根据 Reflection.listServices 生成的 OpenAPI 3.1 描述
+//
+// services.js 里的方法可以再映射一条路由，如 http: { method: 'GET', path: '/v1/hello/{name}' }：
+// 参数来自路径里的 {字段}、查询串和 JSON body，路径和查询串里的字符串按 input 声明的类型转换。
+//
+// 流式方法：client-stream / bidi 的 body 是消息数组；server-stream / bidi 的响应是 NDJSON
+// （application/x-ndjson，一行一条消息），开始推送后才出错时，最后一行是 { error, code }。
+// 请求头 X-Timeout-Ms 作为调用的 timeout 传给后端；HTTP 客户端提前断开时，后端的调用随之取消。
+// 失败时返回 { error, code, details? }，HTTP 状态码由错误码按 HTTP_STATUS 换算。
+
+const { drained, ERROR_CODES } = require('./protocol');
+
+const CATALOG_MAX_AGE = 5000; // 找不到方法时，超过这个时间的 Reflection 结果会重新拉一次
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// RPC 错误码 => HTTP 状态码（和 grpc-gateway 的对应关系一致）
+const HTTP_STATUS = {
+    [ERROR_CODES.INVALID_FRAME]: 400,
+    [ERROR_CODES.INVALID_ARGUMENT]: 400,
+    [ERROR_CODES.UNIMPLEMENTED]: 501,
+    [ERROR_CODES.INTERNAL]: 500,
+    [ERROR_CODES.CANCELLED]: 499,
+    [ERROR_CODES.DEADLINE_EXCEEDED]: 504,
+    [ERROR_CODES.UNAVAILABLE]: 503,
+    [ERROR_CODES.RESOURCE_EXHAUSTED]: 429,
+};
+
+function gatewayError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function sendJson(res, status, body, headers) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    res.end(JSON.stringify(body));
+}
+
+// 网关自己找不到方法时回 404，和后端回的 UNIMPLEMENTED（501，声明了但没实现）区分开
+function notFound(res, message) {
+    sendJson(res, 404, { error: message, code: ERROR_CODES.UNIMPLEMENTED });
+    return true;
+}
+
+function errorBody(err) {
+    const code = HTTP_STATUS[err.code] ? err.code : ERROR_CODES.INTERNAL;
+    return Object.assign({ error: err.message, code }, err.details ? { details: err.details } : null);
+}
+
+function sendFailure(res, err) {
+    if (res.headersSent) return res.end();
+    const body = errorBody(err);
+    sendJson(res, HTTP_STATUS[body.code], body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                req.destroy();
+                reject(gatewayError(ERROR_CODES.RESOURCE_EXHAUSTED, 'Request body too large'));
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : undefined);
+            } catch (e) {
+                reject(gatewayError(ERROR_CODES.INVALID_ARGUMENT, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// 路径里坏掉的 %xx（比如 /%E0%A4%A）是客户端的错，回 400 而不是 500
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        throw gatewayError(ERROR_CODES.INVALID_ARGUMENT, 'Malformed percent-encoding in path');
+    }
+}
+
+// "/v1/hello/{name}" => { regex, names: ['name'] }
+function compileRoute(template) {
+    const names = [];
+    const source = template.split('/').map((segment) => {
+        const m = /^\{(\w+)\}$/.exec(segment);
+        if (!m) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        names.push(m[1]);
+        return '([^/]+)';
+    }).join('/');
+    return { regex: new RegExp(`^${source}$`), names };
+}
+
+// 路径和查询串里都是字符串，按 input 里声明的类型转成 number / boolean；转不了的原样交给后端去报错
+function coerce(schema, raw) {
+    const types = [].concat((schema && schema.type) || 'string');
+    if ((types.includes('number') || types.includes('integer')) && raw.trim() !== '' && Number.isFinite(Number(raw))) return Number(raw);
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) return raw === 'true';
+    return raw;
+}
+
+function isStreaming(m) {
+    return { clientStreams: m.kind === 'client-stream' || m.kind === 'bidi', serverStreams: m.kind === 'server-stream' || m.kind === 'bidi' };
+}
+
+// Reflection.listServices 的结果 => { at, services, methods: Map<"服务名/方法名", 方法>, routes }
+function buildCatalog(services) {
+    const methods = new Map();
+    const routes = [];
+    for (const svc of services) {
+        for (const m of svc.methods) {
+            methods.set(`${svc.name}/${m.name}`, m);
+            if (m.http) routes.push(Object.assign({ method: m.http.method.toUpperCase(), m }, compileRoute(m.http.path)));
+        }
+    }
+    return { at: Date.now(), services, methods, routes };
+}
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(HTTP_STATUS) },
+        details: {
+            type: 'array',
+            items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } },
+        },
+    },
+    required: ['error', 'code'],
+};
+
+// 由 Reflection.listServices 的结果生成 OpenAPI 3.1 文档（3.1 与 JSON Schema 兼容，schema 可以原样放进去）
+function toOpenApi(services, { title = 'RPC gateway', version = '1.0.0' } = {}) {
+    const paths = {};
+    const operation = (svc, m, suffix, extra) => {
+        const { serverStreams } = isStreaming(m);
+        return Object.assign({
+            operationId: `${svc.name}_${m.name}${suffix}`,
+            tags: [svc.name],
+            summary: m.description || undefined,
+            parameters: [{ $ref: '#/components/parameters/Timeout' }],
+            responses: {
+                200: {
+                    description: serverStreams ? `${m.kind}：每行一条消息` : '成功',
+                    content: { [serverStreams ? 'application/x-ndjson' : 'application/json']: { schema: m.output || {} } },
+                },
+                default: { $ref: '#/components/responses/Error' },
+            },
+        }, extra);
+    };
+    const requestBody = (m) => {
+        const schema = isStreaming(m).clientStreams ? { type: 'array', items: m.input || {} } : m.input || {};
+        return { required: false, content: { 'application/json': { schema } } };
+    };
+    for (const svc of services) {
+        for (const m of svc.methods) {
+            paths[`/rpc/${svc.name}/${m.name}`] = { post: operation(svc, m, '', { requestBody: requestBody(m) }) };
+            if (!m.http) continue;
+            const method = m.http.method.toLowerCase();
+            const { names } = compileRoute(m.http.path);
+            const props = (m.input && m.input.properties) || {};
+            const parameters = names.map(name => ({ name, in: 'path', required: true, schema: props[name] || { type: 'string' } }));
+            // GET 没有 body，其余字段都走查询串
+            if (method === 'get') {
+                const required = (m.input && m.input.required) || [];
+                for (const [name, schema] of Object.entries(props)) {
+                    if (!names.includes(name)) parameters.push({ name, in: 'query', required: required.includes(name), schema });
+                }
+            }
+            const op = operation(svc, m, '_http', method === 'get' ? {} : { requestBody: requestBody(m) });
+            op.parameters = op.parameters.concat(parameters);
+            paths[m.http.path] = Object.assign(paths[m.http.path] || {}, { [method]: op });
+        }
+    }
+    return {
+        openapi: '3.1.0',
+        info: { title, version },
+        paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            parameters: {
+                Timeout: { name: 'X-Timeout-Ms', in: 'header', required: false, schema: { type: 'integer', minimum: 1 }, description: '调用的期限（毫秒）' },
+            },
+            responses: {
+                Error: {
+                    description: '失败：400 参数不合法，404 没有这个方法，429 超额，499 已取消，500 执行出错，501 未实现，503 后端不可用，504 超时',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+                },
+            },
+        },
+    };
+}
+
+// client 是 RpcClient（或 RpcPool 这类有 call / stream 的对象）。
+// 返回 handle(req, res) => Promise<boolean>，不是网关的路由时返回 false，由调用方继续处理。
+function createGateway({ client, title, version }) {
+    let catalog = null;
+    let loading = null;
+
+    function load(force = false) {
+        if (catalog && !(force && Date.now() - catalog.at > CATALOG_MAX_AGE)) return Promise.resolve(catalog);
+        if (!loading) {
+            loading = client.call('Reflection.listServices', {}, { idempotent: true })
+                .then(({ services }) => (catalog = buildCatalog(services)))
+                .finally(() => (loading = null));
+        }
+        return loading;
+    }
+
+    async function find(key) {
+        const found = (await load()).methods.get(key);
+        return found || (await load(true)).methods.get(key);
+    }
+
+    async function invoke(m, params, req, res) {
+        const options = {};
+        const timeout = req.headers['x-timeout-ms'];
+        if (timeout !== undefined) {
+            options.timeout = Number(timeout);
+            if (!Number.isInteger(options.timeout) || options.timeout <= 0) throw gatewayError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid X-Timeout-Ms');
+        }
+        // HTTP 客户端在响应发完之前断开，就取消后端的调用
+        const controller = new AbortController();
+        options.signal = controller.signal;
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        if (m.kind === 'unary') {
+            return sendJson(res, 200, await client.call(m.fullName, params === undefined ? {} : params,
+                Object.assign({ idempotent: m.idempotent }, options)));
+        }
+        const { clientStreams, serverStreams } = isStreaming(m);
+        if (clientStreams && !Array.isArray(params)) throw gatewayError(ERROR_CODES.INVALID_ARGUMENT, 'Body must be a JSON array of messages');
+        const call = await client.stream(m.fullName, clientStreams ? undefined : params, options);
+        if (clientStreams) {
+            (async () => {
+                for (const msg of params) await call.send(msg);
+                await call.end();
+            })().catch(() => { }); // 发送失败时调用本身也已经结束，错误从 response / 读消息那边报出来
+        }
+        if (!serverStreams) return sendJson(res, 200, await call.response);
+
+        // 等到第一条消息（或结束）再写响应头，这样一开始就失败的调用还能用正常的状态码
+        const messages = call[Symbol.asyncIterator]();
+        let next = await messages.next();
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        try {
+            for (; !next.done; next = await messages.next()) {
+                // HTTP 客户端读得慢就先不读后端：不还额度，后端的推送也就停下来了
+                if (!res.write(JSON.stringify(next.value) + '\n')) await drained(res);
+                if (res.destroyed) return;
+            }
+        } catch (err) {
+            if (!res.destroyed) res.write(JSON.stringify(errorBody(err)) + '\n');
+        }
+        res.end();
+    }
+
+    async function route(req, res, url) {
+        if (url.pathname === '/openapi.json' && req.method === 'GET') {
+            sendJson(res, 200, toOpenApi((await load()).services, { title, version }));
+            return true;
+        }
+        const parts = url.pathname.split('/').filter(Boolean);
+        if (parts[0] === 'rpc') {
+            if (parts.length !== 3) return notFound(res, 'Use /rpc/<service>/<method>');
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { error: 'Method not allowed', code: ERROR_CODES.INVALID_ARGUMENT }, { Allow: 'POST' });
+                return true;
+            }
+            const m = await find(parts.slice(1).map(decodeSegment).join('/'));
+            if (!m) return notFound(res, 'Method not found');
+            await invoke(m, await readBody(req), req, res);
+            return true;
+        }
+
+        // 自定义路由：后端暂时连不上时当作没有匹配，交给调用方回 404
+        const current = await load().catch(() => null);
+        if (!current) return false;
+        for (const r of current.routes) {
+            const match = r.regex.exec(url.pathname);
+            if (!match || r.method !== req.method) continue;
+            const props = (r.m.input && r.m.input.properties) || {};
+            const body = req.method === 'GET' ? undefined : await readBody(req);
+            const params = Object.assign({}, body);
+            for (const [name, raw] of url.searchParams) params[name] = coerce(props[name], raw);
+            r.names.forEach((name, i) => (params[name] = coerce(props[name], decodeSegment(match[i + 1]))));
+            await invoke(r.m, params, req, res);
+            return true;
+        }
+        return false;
+    }
+
+    return async function handle(req, res) {
+        try {
+            return await route(req, res, new URL(req.url, 'http://localhost'));
+        } catch (err) {
+            sendFailure(res, err);
+            return true;
+        }
+    };
+}
+
+module.exports = { createGateway, toOpenApi, HTTP_STATUS };
@@ -0,0 +1,107 @@
+// gen-stubs.js
+// 从运行中的服务端取 Reflection.listServices，生成一个带 JSDoc 类型的客户端桩模块，
+// 编辑器里就能看到每个方法的参数和返回值类型：
+//
+//   node gen-stubs.js stubs.js [--host localhost] [--port 4000]
+//
+//   const { RpcClient } = require('./rpc-client');
+//   const { createStubs } = require('./stubs');
+//   const { Calculator } = createStubs(new RpcClient());
+//   const { result } = await Calculator.add({ a: 1, b: 2 });
+
+const fs = require('fs');
+const { RpcClient } = require('./rpc-client');
+
+// schema.js 子集 => JSDoc 类型表达式
+function toType(schema) {
+    if (!schema) return '*';
+    if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join('|');
+    const types = [].concat(schema.type || []);
+    if (types.length > 1) return types.map(t => toType(Object.assign({}, schema, { type: t }))).join('|');
+    switch (types[0]) {
+        case 'string': return 'string';
+        case 'number':
+        case 'integer': return 'number';
+        case 'boolean': return 'boolean';
+        case 'null': return 'null';
+        case 'array': return `Array<${toType(schema.items)}>`;
+        case 'object': {
+            const props = Object.entries(schema.properties || {});
+            if (!props.length) return 'Object';
+            const required = schema.required || [];
+            return `{ ${props.map(([k, v]) => `${k}${required.includes(k) ? '' : '?'}: ${toType(v)}`).join(', ')} }`;
+        }
+        default: return '*';
+    }
+}
+
+function generate(services) {
+    const lines = [
+        '// 由 gen-stubs.js 根据 Reflection.listServices 生成，不要手改。',
+        '',
+    ];
+    for (const svc of services) {
+        for (const m of svc.methods) {
+            lines.push(`/** @typedef {${toType(m.input)}} ${svc.name}_${m.name}_Input */`);
+            lines.push(`/** @typedef {${toType(m.output)}} ${svc.name}_${m.name}_Output */`);
+        }
+    }
+    lines.push('', '/**', ' * @param {import(\'./rpc-client\').RpcClient} client', ' */', 'function createStubs(client) {', '    return {');
+    for (const svc of services) {
+        if (svc.description) lines.push(`        /** ${svc.description} */`);
+        lines.push(`        ${svc.name}: {`);
+        for (const m of svc.methods) {
+            const kind = m.kind || 'unary';
+            const name = JSON.stringify(m.fullName);
+            lines.push('            /**');
+            if (m.description) lines.push(`             * ${m.description}`);
+            if (kind === 'unary') {
+                lines.push(`             * @param {${svc.name}_${m.name}_Input} params`);
+                lines.push('             * @param {object} [options] timeout / deadline / signal 等，见 rpc-client.js');
+                lines.push(`             * @returns {Promise<${svc.name}_${m.name}_Output>}`);
+                lines.push('             */');
+                // 幂等方法默认开启重试
+                lines.push(m.idempotent
+                    ? `            ${m.name}: (params, options) => client.call(${name}, params, Object.assign({ idempotent: true }, options)),`
+                    : `            ${m.name}: (params, options) => client.call(${name}, params, options),`);
+                continue;
+            }
+            // 流式方法返回 ClientCall：send() 的消息是 Input，for await 读到 / response 得到的是 Output
+            const sends = kind === 'client-stream' || kind === 'bidi';
+            lines.push(`             * ${kind}：${sends ? `send() 发送 ${svc.name}_${m.name}_Input，` : ''}` +
+                `${kind === 'client-stream' ? 'response' : 'for await 读到'} ${svc.name}_${m.name}_Output`);
+            if (!sends) lines.push(`             * @param {${svc.name}_${m.name}_Input} params`);
+            lines.push('             * @param {object} [options] timeout / deadline / signal，见 rpc-client.js');
+            lines.push('             * @returns {import(\'./rpc-client\').ClientCall}');
+            lines.push('             */');
+            lines.push(sends
+                ? `            ${m.name}: options => client.stream(${name}, undefined, options),`
+                : `            ${m.name}: (params, options) => client.stream(${name}, params, options),`);
+        }
+        lines.push('        },');
+    }
+    lines.push('    };', '}', '', 'module.exports = { createStubs };', '');
+    return lines.join('\n');
+}
+
+module.exports = { generate, toType };
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[++i];
+        else args._.push(argv[i]);
+    }
+    const out = args._[0];
+    const client = new RpcClient({ host: args.host || 'localhost', port: Number(args.port || 4000) });
+    client.call('Reflection.listServices').then(({ services }) => {
+        const code = generate(services);
+        if (out) fs.writeFileSync(out, code);
+        else process.stdout.write(code);
+        client.close();
+    }).catch((err) => {
+        console.error('生成失败:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,293 @@
+// mq-client.js
+// MQ broker（5000 端口）的客户端，生产者和消费者都用它。
+//
+//   const { MqClient } = require('./mq-client');
+//   const mq = new MqClient({ port: 5000 });
+//   const off = await mq.subscribe('orders.*', (data, topic) => console.log(topic, data));
+//   const { delivered } = await mq.publish('orders.created', { id: 1 });
+//   await off();          // 或 mq.unsubscribe('orders.*')
+//
+//   // 持久化队列：handler 正常返回即 ack，抛错即 nack（稍后重投）
+//   await mq.send('jobs', { n: 1 });
+//   const stop = await mq.consume('jobs', async (data, delivery) => { ... }, { group: 'workers', prefetch: 5 });
+//   mq.close();
+//
+// 有多个 broker 实例时可以按服务名连接：new MqClient({ service: 'mq' })，每次（重新）连接时
+// 从注册中心（见 discovery.js）挑一个健康的实例，原来的实例挂了就换一个。
+//
+// 连接在第一次使用时建立。断开后下一次调用会自动重连；有订阅或在消费队列的客户端还会每隔 RECONNECT_DELAY
+// 自己重连，连上后把已有的订阅和消费重新发给 broker。断开期间发布到主题的消息收不到，队列里的消息不会丢。
+//
+// 追踪（见 tracing.js）：publish / send 各记一个 producer span，traceparent 放进消息的 headers；
+// handler 在一个 consumer span 里运行，父 span 就是发消息的那个，handler 里再发的调用也都挂在它下面。
+
+const net = require('net');
+const { encode, createDecoder } = require('./protocol');
+const { checkTopic, checkPattern, matches } = require('./mq-topics');
+const { RegistryClient, Balancer } = require('./discovery');
+const tracing = require('./tracing');
+
+const RECONNECT_DELAY = 1000;
+
+class MqClient {
+    constructor({ host = 'localhost', port = 5000, service, registry } = {}) {
+        this.host = host;
+        this.port = port;
+        this.balancer = service ? new Balancer({ registry: registry || new RegistryClient(), service }) : null;
+        this.socket = null;
+        this.connecting = null;
+        this.nextId = 1;
+        this.pending = new Map(); // id => { resolve, reject }
+        this.subscriptions = new Map(); // 主题模式 => Set<handler>
+        this.consumers = new Map(); // "队列\0组" => { handler, command, active }
+        this.settings = null; // config() 设置的慢消费者策略，重连后重新发送
+        this.closed = false;
+        this.reconnectTimer = null;
+    }
+
+    connect() {
+        if (this.socket) return Promise.resolve(this.socket);
+        if (this.connecting) return this.connecting;
+        this.closed = false;
+        this.connecting = this.locate().then(target => this.open(target));
+        this.connecting.catch(() => {
+            this.connecting = null;
+        });
+        return this.connecting;
+    }
+
+    async locate() {
+        if (!this.balancer) return { host: this.host, port: this.port };
+        return this.balancer.pick();
+    }
+
+    open(target) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: target.host, port: target.port });
+            socket.setNoDelay(true);
+            socket.on('data', createDecoder(msg => this.onFrame(msg), (err) => {
+                if (err.fatal) socket.destroy(err);
+            }));
+            socket.once('connect', () => {
+                // 重连后恢复订阅
+                if (this.settings) socket.write(encode(Object.assign({ op: 'CONFIG' }, this.settings)));
+                for (const pattern of this.subscriptions.keys()) socket.write(encode({ op: 'SUBSCRIBE', topic: pattern }));
+                for (const consumer of this.consumers.values()) {
+                    if (consumer.active) socket.write(encode(consumer.command)); // 还在等 OK 的那个由 consume() 自己发
+                }
+                this.socket = socket;
+                this.connecting = null;
+                resolve(socket);
+            });
+            socket.on('error', (err) => {
+                if (this.socket !== socket) {
+                    if (this.balancer) this.balancer.end(target, false);
+                    reject(err);
+                }
+            });
+            socket.on('close', () => {
+                if (this.socket === socket) this.socket = null;
+                for (const { reject } of this.pending.values()) reject(new Error('connection_closed'));
+                this.pending.clear();
+                this.scheduleReconnect();
+            });
+        });
+    }
+
+    // 只有消费者才需要主动重连；纯生产者等下一次 publish 时再连
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer || !(this.subscriptions.size || this.consumers.size)) return;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => this.scheduleReconnect());
+        }, RECONNECT_DELAY);
+    }
+
+    onFrame(msg) {
+        if (msg.op === 'MESSAGE') return this.dispatch(msg.topic, msg.data, msg.headers);
+        if (msg.op === 'DELIVER') return this.onDeliver(msg);
+        const req = this.pending.get(msg.id);
+        if (!req) {
+            if (msg.op === 'ERROR') console.error('MQ broker error:', msg.error);
+            return;
+        }
+        this.pending.delete(msg.id);
+        if (msg.op === 'OK') req.resolve(msg);
+        else req.reject(new Error(msg.error));
+    }
+
+    // broker 对每个客户端只投递一次，这里再按本地的订阅分发给各个 handler
+    dispatch(topic, data, headers) {
+        for (const [pattern, handlers] of this.subscriptions) {
+            if (!matches(pattern, topic)) continue;
+            for (const handler of handlers) {
+                const span = consumerSpan(topic, headers, { 'messaging.subscription': pattern });
+                tracing.withSpan(span, () => Promise.resolve().then(() => handler(data, topic)))
+                    .then(() => span.end(), (err) => {
+                        span.end(err);
+                        console.error(`MQ handler for ${pattern} failed:`, err);
+                    });
+            }
+        }
+    }
+
+    async request(cmd) {
+        const socket = await this.connect();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            socket.write(encode(Object.assign({ id }, cmd)));
+        });
+    }
+
+    // 返回取消这个 handler 的函数
+    async subscribe(pattern, handler) {
+        const invalid = checkPattern(pattern);
+        if (invalid) throw new Error(invalid);
+        let handlers = this.subscriptions.get(pattern);
+        if (!handlers) {
+            handlers = new Set();
+            this.subscriptions.set(pattern, handlers);
+            try {
+                await this.request({ op: 'SUBSCRIBE', topic: pattern });
+            } catch (err) {
+                this.subscriptions.delete(pattern);
+                throw err;
+            }
+        }
+        handlers.add(handler);
+        return () => this.unsubscribe(pattern, handler);
+    }
+
+    // 不传 handler 时去掉这个模式下的全部 handler；最后一个 handler 去掉后才通知 broker
+    async unsubscribe(pattern, handler) {
+        const handlers = this.subscriptions.get(pattern);
+        if (!handlers) return;
+        if (handler) handlers.delete(handler);
+        else handlers.clear();
+        if (handlers.size) return;
+        this.subscriptions.delete(pattern);
+        if (this.socket || this.connecting) await this.request({ op: 'UNSUBSCRIBE', topic: pattern });
+    }
+
+    // resolve { delivered }：这条消息投给了几个客户端
+    async publish(topic, data) {
+        const invalid = checkTopic(topic);
+        if (invalid) throw new Error(invalid);
+        const { delivered } = await this.produce(`publish ${topic}`, topic, { op: 'PUBLISH', topic, data });
+        return { delivered };
+    }
+
+    // 发到持久化队列，resolve { messageId } 时消息已经写进 broker 的日志
+    async send(queue, data) {
+        const { messageId } = await this.produce(`send ${queue}`, queue, { op: 'SEND', queue, data });
+        return { messageId };
+    }
+
+    async produce(name, destination, cmd) {
+        const span = tracing.startSpan(name, {
+            kind: 'producer',
+            attributes: { 'messaging.system': 'ndjson-mq', 'messaging.destination.name': destination },
+        });
+        try {
+            const reply = await this.request(Object.assign(cmd, { headers: tracing.inject(span) }));
+            span.end();
+            return reply;
+        } catch (err) {
+            span.end(err);
+            throw err;
+        }
+    }
+
+    // 消费队列，同一 group 的多个消费者分摊消息。handler(data, delivery) 正常返回即 ack，抛错即 nack 并重投；
+    // 也可以在 handler 里自己调 delivery.ack() / delivery.nack({ requeue: false })（不重试，直接进死信队列）。
+    // 返回停止消费的函数。
+    async consume(queue, handler, { group = 'default', prefetch, visibilityTimeout } = {}) {
+        const key = `${queue}\0${group}`;
+        if (this.consumers.has(key)) throw new Error('already_consuming');
+        const command = { op: 'CONSUME', queue, group, prefetch, visibilityTimeout };
+        const consumer = { handler, command, active: false };
+        // 先登记：broker 回 OK 后紧接着就会投递
+        this.consumers.set(key, consumer);
+        try {
+            await this.request(command);
+        } catch (err) {
+            this.consumers.delete(key);
+            throw err;
+        }
+        consumer.active = true;
+        return () => this.cancel(queue, group);
+    }
+
+    async cancel(queue, group = 'default') {
+        if (!this.consumers.delete(`${queue}\0${group}`)) return;
+        if (this.socket || this.connecting) await this.request({ op: 'CANCEL', queue, group });
+    }
+
+    onDeliver(msg) {
+        const consumer = this.consumers.get(`${msg.queue}\0${msg.group}`);
+        let settled = false;
+        const settle = (op, extra) => {
+            if (settled) return Promise.resolve();
+            settled = true;
+            const cmd = { op, queue: msg.queue, group: msg.group, messageId: msg.messageId };
+            return this.request(Object.assign(cmd, extra));
+        };
+        const delivery = {
+            queue: msg.queue,
+            group: msg.group,
+            messageId: msg.messageId,
+            attempt: msg.attempt,
+            meta: msg.meta,
+            ack: () => settle('ACK'),
+            nack: ({ requeue = true } = {}) => settle('NACK', { requeue }),
+        };
+        // 已经取消消费了，马上还回去
+        if (!consumer) return delivery.nack().catch(() => { });
+        const span = consumerSpan(msg.queue, msg.headers, {
+            'messaging.consumer.group.name': msg.group,
+            'messaging.message.id': msg.messageId,
+            'messaging.delivery.attempt': msg.attempt,
+        });
+        tracing.withSpan(span, () => Promise.resolve().then(() => consumer.handler(msg.data, delivery)))
+            .then(() => {
+                span.end();
+                return settle('ACK');
+            }, (err) => {
+                span.end(err);
+                console.error(`MQ handler for queue ${msg.queue} failed (attempt ${msg.attempt}):`, err && err.message);
+                return settle('NACK', { requeue: true });
+            })
+            // 比如处理太久、可见性超时后消息已经转给别人，ack 会得到 not_in_flight
+            .catch(err => console.error(`MQ: 确认 ${msg.queue}#${msg.messageId} 失败:`, err.message));
+    }
+
+    // 这个连接的积压上限和溢出策略：{ maxBuffered, overflow: 'drop-oldest' | 'drop-newest' | 'disconnect' }
+    async config({ maxBuffered, overflow } = {}) {
+        const result = await this.request({ op: 'CONFIG', maxBuffered, overflow });
+        this.settings = { maxBuffered: result.maxBuffered, overflow: result.overflow };
+        return this.settings;
+    }
+
+    async stats() {
+        return (await this.request({ op: 'STATS' })).stats;
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) this.socket.end();
+    }
+}
+
+// 处理一条消息的 span，父 span 是发消息的那个（headers 里的 traceparent）
+function consumerSpan(destination, headers, attributes) {
+    return tracing.startSpan(`process ${destination}`, {
+        kind: 'consumer',
+        parent: tracing.extract(headers),
+        attributes: Object.assign({ 'messaging.system': 'ndjson-mq', 'messaging.destination.name': destination }, attributes),
+    });
+}
+
+module.exports = { MqClient };
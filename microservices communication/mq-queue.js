@@ -0,0 +1,337 @@
+// mq-queue.js
+// MQ 的持久化队列。和主题订阅不同，队列里的消息会落盘，没有消费者时也不会丢，
+// 消费者处理完要显式 ack；超时没 ack、nack 或消费者断开的消息会重新投递，
+// 投递次数达到 maxDeliveries 还没成功的转进死信队列（"<队列名>.dlq"）。
+//
+// 每个队列一个 append-only 日志文件 <dir>/<队列名>.log，每行一条 JSON 记录：
+//   {"t": "msg", "id": 7, "ts": ..., "data": ...}       入队（死信消息另带 meta，带追踪上下文的另带 headers）
+//   {"t": "group", "g": "billing"}                    出现了一个新的消费组
+//   {"t": "attempt", "g": "billing", "id": 7, "n": 2} 该组第 n 次投递这条消息
+//   {"t": "ack", "g": "billing", "id": 7}             该组处理完了
+//   {"t": "dead", "g": "billing", "id": 7}            该组放弃了这条消息（已转进死信队列）
+// 每条记录都是幂等的（重复回放结果一样），所以压缩时不用和正在排队的追加互斥。
+// broker 重启时按顺序回放日志恢复状态；进程崩溃时写了一半的最后一行直接丢掉。
+//
+// 消费组：同一组里的多个消费者分摊消息（每条只给组里的一个消费者），
+// 不同的组各自完整地消费一遍队列。新建的组从队列里还保留着的最早一条消息开始。
+// 所有组都 ack 过的消息会从内存删掉，日志里的废记录多了以后整个重写一遍。
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const QUEUE_NAME_RE = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+const DLQ_SUFFIX = '.dlq';
+const COMPACT_MIN_RECORDS = 1000;
+
+// 队列名和消费组名共用这条规则；名字直接当文件名，所以不允许 "/" 和 ":" 之类的字符
+function checkName(name, what = 'queue') {
+    if (typeof name !== 'string' || !QUEUE_NAME_RE.test(name) || name.length > 200) return `invalid ${what} name: "${name}"`;
+    return null;
+}
+
+class Group {
+    constructor(name, firstId) {
+        this.name = name;
+        this.cursor = firstId; // 比它小的消息都已经进入过 retry / inflight / done
+        this.retry = []; // 要重新投递的消息 id，优先于新消息
+        this.done = new Set(); // ack 或进了死信的消息 id
+        this.attempts = new Map(); // 消息 id => 已投递次数
+        this.inflight = new Map(); // 消息 id => { consumer, timer }
+        this.consumers = [];
+        this.turn = 0; // 轮询到哪个消费者了
+    }
+}
+
+class DurableQueue {
+    constructor(name, dir, { visibilityTimeout = 30000, maxDeliveries = 5, onDeadLetter } = {}) {
+        this.name = name;
+        this.file = path.join(dir, `${name}.log`);
+        this.visibilityTimeout = visibilityTimeout;
+        this.maxDeliveries = maxDeliveries;
+        this.onDeadLetter = onDeadLetter; // (queueName, message, meta, headers) => Promise，由 broker 投进死信队列
+        this.messages = new Map(); // id => { id, ts, data, meta, headers }，按 id 递增的顺序插入
+        this.groups = new Map();
+        this.nextId = 1;
+        this.records = 0; // 日志当前的行数，用来判断要不要压缩
+        this.fh = null;
+        this.writing = Promise.resolve();
+        this.stats = { enqueued: 0, acked: 0, redelivered: 0, deadLettered: 0 };
+    }
+
+    get isDeadLetterQueue() {
+        return this.name.endsWith(DLQ_SUFFIX);
+    }
+
+    async open() {
+        await fsp.mkdir(path.dirname(this.file), { recursive: true });
+        let text = '';
+        try {
+            text = await fsp.readFile(this.file, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        const lines = text.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i]) continue;
+            let record;
+            try {
+                record = JSON.parse(lines[i]);
+            } catch (e) {
+                if (i === lines.length - 1) break; // 崩溃时没写完的最后一行
+                throw new Error(`${this.file}:${i + 1} 不是合法的日志记录`);
+            }
+            this.apply(record);
+            this.records++;
+        }
+        for (const id of Array.from(this.messages.keys())) this.collect(id);
+        // 重启前在途的消息全部重新排队（已投递次数保留），从最早一条开始
+        const first = this.messages.size ? this.messages.keys().next().value : this.nextId;
+        for (const g of this.groups.values()) g.cursor = first;
+        // 半行残留要截掉，不然下一条追加会接在它后面
+        if (text && !text.endsWith('\n')) await fsp.truncate(this.file, text.lastIndexOf('\n') + 1);
+        this.fh = await fsp.open(this.file, 'a');
+    }
+
+    apply(r) {
+        switch (r.t) {
+            case 'msg':
+                this.messages.set(r.id, { id: r.id, ts: r.ts, data: r.data, meta: r.meta, headers: r.headers });
+                this.nextId = Math.max(this.nextId, r.id + 1);
+                return;
+            case 'group':
+                this.group(r.g);
+                return;
+            case 'attempt':
+                if (this.messages.has(r.id)) this.group(r.g).attempts.set(r.id, r.n);
+                return;
+            case 'ack':
+            case 'dead':
+                if (this.messages.has(r.id)) this.group(r.g).done.add(r.id);
+                return;
+        }
+    }
+
+    group(name) {
+        let g = this.groups.get(name);
+        if (!g) {
+            g = new Group(name, this.messages.size ? this.messages.keys().next().value : this.nextId);
+            this.groups.set(name, g);
+        }
+        return g;
+    }
+
+    append(record) {
+        const line = JSON.stringify(record) + '\n';
+        this.records++;
+        const write = this.writing.then(() => this.fh.appendFile(line));
+        // 一次写失败不能让后面的追加全部跟着失败
+        this.writing = write.catch(err => console.error(`MQ: 写 ${this.file} 失败`, err));
+        return write;
+    }
+
+    // 入队，写进日志后才 resolve，所以 SEND 收到 OK 时消息已经落盘
+    // headers（比如 traceparent）原样保存，投递时带给消费者
+    async send(data, meta, headers) {
+        const msg = { id: this.nextId++, ts: Date.now(), data, meta, headers };
+        this.messages.set(msg.id, msg);
+        this.stats.enqueued++;
+        await this.append(Object.assign({ t: 'msg' }, msg));
+        for (const g of this.groups.values()) this.dispatch(g);
+        return msg.id;
+    }
+
+    // 所有组都处理完的消息从内存删掉；还没有任何组时消息要留着等第一个消费者
+    collect(id) {
+        if (!this.groups.size) return;
+        for (const g of this.groups.values()) if (!g.done.has(id)) return;
+        this.messages.delete(id);
+        for (const g of this.groups.values()) {
+            g.done.delete(id);
+            g.attempts.delete(id);
+        }
+    }
+
+    addConsumer(groupName, consumer) {
+        const isNew = !this.groups.has(groupName);
+        const g = this.group(groupName);
+        if (isNew) this.append({ t: 'group', g: groupName });
+        g.consumers.push(consumer);
+        this.dispatch(g);
+    }
+
+    // 消费者取消或断开：它手上没 ack 的消息立刻交给组里其他人
+    removeConsumer(groupName, consumer) {
+        const g = this.groups.get(groupName);
+        if (!g) return;
+        g.consumers = g.consumers.filter(c => c !== consumer);
+        for (const [id, flight] of g.inflight) {
+            if (flight.consumer === consumer) this.requeue(g, id);
+        }
+        this.dispatch(g);
+    }
+
+    nextMessage(g) {
+        while (g.retry.length) {
+            const id = g.retry.shift();
+            if (this.messages.has(id) && !g.done.has(id) && !g.inflight.has(id)) return this.messages.get(id);
+        }
+        while (g.cursor < this.nextId) {
+            const id = g.cursor++;
+            if (this.messages.has(id) && !g.done.has(id) && !g.inflight.has(id)) return this.messages.get(id);
+        }
+        return null;
+    }
+
+    // 在组里轮询找一个还有空位（在途消息少于 prefetch）的消费者
+    pickConsumer(g) {
+        for (let i = 0; i < g.consumers.length; i++) {
+            const c = g.consumers[(g.turn + i) % g.consumers.length];
+            if (c.inflight < c.prefetch) {
+                g.turn = (g.turn + i + 1) % g.consumers.length;
+                return c;
+            }
+        }
+        return null;
+    }
+
+    dispatch(g) {
+        let consumer;
+        while ((consumer = this.pickConsumer(g))) {
+            const msg = this.nextMessage(g);
+            if (!msg) return;
+            const attempt = (g.attempts.get(msg.id) || 0) + 1;
+            if (attempt > this.maxDeliveries) {
+                this.deadLetter(g, msg, 'max_deliveries');
+                continue;
+            }
+            g.attempts.set(msg.id, attempt);
+            this.append({ t: 'attempt', g: g.name, id: msg.id, n: attempt });
+            if (attempt > 1) this.stats.redelivered++;
+            const timeout = consumer.visibilityTimeout || this.visibilityTimeout;
+            const timer = setTimeout(() => {
+                this.requeue(g, msg.id);
+                this.dispatch(g);
+            }, timeout);
+            timer.unref();
+            g.inflight.set(msg.id, { consumer, timer });
+            consumer.inflight++;
+            consumer.deliver({
+                queue: this.name,
+                group: g.name,
+                messageId: msg.id,
+                attempt,
+                data: msg.data,
+                meta: msg.meta,
+                headers: msg.headers,
+            });
+        }
+    }
+
+    // 从在途里取出，排到重投队列
+    requeue(g, id) {
+        const flight = this.take(g, id);
+        if (flight) g.retry.push(id);
+    }
+
+    take(g, id) {
+        const flight = g.inflight.get(id);
+        if (!flight) return null;
+        clearTimeout(flight.timer);
+        g.inflight.delete(id);
+        flight.consumer.inflight--;
+        return flight;
+    }
+
+    // ack / nack 只认当前持有这条消息的消费者：可见性超时后消息已经转给别人了，迟到的 ack 不算数
+    settle(groupName, id, consumer) {
+        const g = this.groups.get(groupName);
+        const flight = g && g.inflight.get(id);
+        if (!flight || flight.consumer !== consumer) return null;
+        this.take(g, id);
+        return g;
+    }
+
+    ack(groupName, id, consumer) {
+        const g = this.settle(groupName, id, consumer);
+        if (!g) return false;
+        g.done.add(id);
+        this.stats.acked++;
+        this.append({ t: 'ack', g: g.name, id });
+        this.collect(id);
+        this.maybeCompact();
+        this.dispatch(g);
+        return true;
+    }
+
+    // requeue 为 false 时直接进死信队列，不再重试
+    nack(groupName, id, consumer, { requeue = true } = {}) {
+        const g = this.settle(groupName, id, consumer);
+        if (!g) return false;
+        if (requeue) g.retry.push(id);
+        else this.deadLetter(g, this.messages.get(id), 'rejected');
+        this.dispatch(g);
+        return true;
+    }
+
+    deadLetter(g, msg, reason) {
+        g.done.add(msg.id);
+        this.stats.deadLettered++;
+        const attempts = g.attempts.get(msg.id) || 0;
+        // 死信队列自己的消息再失败就只能丢掉，不然会无限套娃
+        if (!this.isDeadLetterQueue && this.onDeadLetter) {
+            const meta = { queue: this.name, group: g.name, messageId: msg.id, attempts, reason, ts: Date.now() };
+            this.onDeadLetter(this.name + DLQ_SUFFIX, msg.data, meta, msg.headers)
+                .catch(err => console.error(`MQ: 消息 ${this.name}#${msg.id} 转进死信队列失败`, err));
+        } else {
+            console.error(`MQ: 丢弃死信队列 ${this.name} 里反复失败的消息 #${msg.id}`);
+        }
+        this.append({ t: 'dead', g: g.name, id: msg.id });
+        this.collect(msg.id);
+    }
+
+    // 日志里大部分行都已经没用了时，按当前状态重写一份再换掉旧文件
+    maybeCompact() {
+        if (this.records < COMPACT_MIN_RECORDS) return;
+        let live = this.groups.size + this.messages.size;
+        for (const g of this.groups.values()) live += g.done.size + g.attempts.size;
+        if (this.records < live * 4) return;
+        this.records = live;
+        this.writing = this.writing.then(() => this.rewrite()).catch(err => console.error(`MQ: 压缩 ${this.file} 失败`, err));
+    }
+
+    async rewrite() {
+        const lines = [];
+        for (const g of this.groups.values()) lines.push({ t: 'group', g: g.name });
+        for (const msg of this.messages.values()) {
+            lines.push(Object.assign({ t: 'msg' }, msg));
+            for (const g of this.groups.values()) {
+                if (g.attempts.has(msg.id)) lines.push({ t: 'attempt', g: g.name, id: msg.id, n: g.attempts.get(msg.id) });
+                if (g.done.has(msg.id)) lines.push({ t: 'ack', g: g.name, id: msg.id });
+            }
+        }
+        const tmp = `${this.file}.compact`;
+        await fsp.writeFile(tmp, lines.map(r => JSON.stringify(r) + '\n').join(''));
+        await this.fh.close();
+        await fsp.rename(tmp, this.file);
+        this.fh = await fsp.open(this.file, 'a');
+    }
+
+    depth() {
+        const groups = {};
+        for (const g of this.groups.values()) {
+            let pending = 0;
+            for (const id of this.messages.keys()) if (!g.done.has(id) && !g.inflight.has(id)) pending++;
+            groups[g.name] = { pending, inflight: g.inflight.size, consumers: g.consumers.length };
+        }
+        return { messages: this.messages.size, groups };
+    }
+
+    async close() {
+        for (const g of this.groups.values()) for (const flight of g.inflight.values()) clearTimeout(flight.timer);
+        await this.writing;
+        if (this.fh) await this.fh.close();
+    }
+}
+
+module.exports = { DurableQueue, checkName, DLQ_SUFFIX };
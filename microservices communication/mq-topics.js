@@ -0,0 +1,48 @@
+// mq-topics.js
+// MQ 主题名按 "." 分成若干段，比如 "orders.created"。订阅时可以用通配符（规则和 AMQP 的 topic exchange 一样）：
+//   *  恰好匹配一段      orders.*  匹配 orders.created，不匹配 orders、orders.eu.created
+//   #  匹配零段或多段    logs.#    匹配 logs、logs.error、logs.app.error
+// 通配符必须独占一段，"order*" 这种写法不合法；发布时的主题不能带通配符。
+
+const WORD_RE = /^[A-Za-z0-9_:-]+$/;
+const MAX_TOPIC_LENGTH = 255;
+
+function check(topic, allowWildcards) {
+    if (typeof topic !== 'string' || !topic) return 'topic must be a non-empty string';
+    if (topic.length > MAX_TOPIC_LENGTH) return `topic longer than ${MAX_TOPIC_LENGTH}`;
+    for (const word of topic.split('.')) {
+        if (allowWildcards && (word === '*' || word === '#')) continue;
+        if (!WORD_RE.test(word)) return `invalid topic segment: "${word}"`;
+    }
+    return null;
+}
+
+// 返回错误描述，合法时返回 null
+function checkTopic(topic) {
+    return check(topic, false);
+}
+
+function checkPattern(pattern) {
+    return check(pattern, true);
+}
+
+function matchWords(pattern, i, topic, j) {
+    if (i === pattern.length) return j === topic.length;
+    if (pattern[i] === '#') {
+        for (let k = j; k <= topic.length; k++) {
+            if (matchWords(pattern, i + 1, topic, k)) return true;
+        }
+        return false;
+    }
+    if (j === topic.length) return false;
+    return (pattern[i] === '*' || pattern[i] === topic[j]) && matchWords(pattern, i + 1, topic, j + 1);
+}
+
+function matches(pattern, topic) {
+    if (pattern === topic) return true;
+    // 连续的 # 等价于一个，合并掉以免回溯次数爆炸
+    const words = pattern.split('.').filter((w, i, all) => w !== '#' || all[i - 1] !== '#');
+    return matchWords(words, 0, topic.split('.'), 0);
+}
+
+module.exports = { checkTopic, checkPattern, matches };
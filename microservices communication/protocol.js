@@ -0,0 +1,111 @@
+// protocol.js
+// gRPC-like 服务（4000 端口）的线上格式：按行分帧的 JSON（newline-delimited JSON）。
+// 每一帧是一行 JSON，以 "\n" 结尾（JSON.stringify 的结果里不会出现裸换行）。
+// TCP 可能把多次 write 合并成一个 data 事件，也可能把一次 write 拆成几段，
+// 所以收到的字节要先缓存，凑满一整行再解析。
+//
+//   请求:  {"id": 1, "method": "add", "params": {"a": 3, "b": 5}}
+//   响应:  {"id": 1, "success": true, "data": {"result": 8}}
+//          {"id": 1, "success": false, "error": "Method not found"}
+//
+// id 由客户端生成、服务端原样带回，所以多个调用可以共用一条连接，响应也可以乱序返回。
+// 失败的响应还带 code（见 ERROR_CODES），参数校验失败时另有 details: [{ path, message }]。
+// 请求可以带 "timeout": 500，即客户端还愿意等多少毫秒（相对时间，不受两边时钟偏差影响）；
+// 服务端据此算出自己的 deadline，过了就放弃执行并回 DEADLINE_EXCEEDED。timeout 最大 MAX_TIMEOUT（2^31-1 毫秒，
+// 约 24.8 天，Node 定时器能表示的上限），更大的当作参数错误。
+// 请求还可以带 "meta": {"traceparent": "00-..."}，即调用方的追踪上下文（见 tracing.js），
+// 服务端这一跳的 span 以它为父。
+//
+// 流式调用（services.js 里 kind 不是 unary 的方法）在同一个 id 上来回发多帧，带 type 字段区分：
+//   {"id": 2, "type": "message", "data": {...}}  一条流消息（双向都用）
+//   {"id": 2, "type": "end"}                     客户端发完了（半关闭），服务端仍可继续发
+//   {"id": 2, "type": "cancel"}                  客户端取消调用，之后服务端不再为这个 id 发任何帧
+//   {"id": 2, "type": "credit", "n": 8}          流控：允许对方再发 n 条 message
+// 服务端的结束帧就是普通响应 {"id": 2, "success": ...}：流正常结束或出错都以它收尾，
+// client-stream 的结果放在它的 data 里。
+//
+// 流控按调用计算：每个方向一开始各有 INITIAL_WINDOW 条额度，发一条 message 用掉一条，
+// 额度用完就得等对方发 credit；接收方每处理掉一批消息就把额度还回去。
+// 所以一个慢消费者只会让自己那条流停下来，不会撑爆内存，也不影响同一连接上的其它调用。
+
+const MAX_FRAME_BYTES = 1024 * 1024;
+const INITIAL_WINDOW = 16;
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout 的上限，再大会被当成 1 毫秒
+
+// 方法的调用方式，和 gRPC 的四种一致
+const METHOD_KINDS = ['unary', 'server-stream', 'client-stream', 'bidi'];
+
+// 结构化错误码，取自 gRPC 的状态码名称
+const ERROR_CODES = {
+    INVALID_FRAME: 'INVALID_FRAME', // 帧不是合法 JSON 或不是 JSON 对象
+    UNIMPLEMENTED: 'UNIMPLEMENTED', // 没有这个方法
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT', // 参数不符合接口定义
+    INTERNAL: 'INTERNAL', // 方法执行出错，或返回值不符合接口定义
+    CANCELLED: 'CANCELLED', // 调用被取消（客户端 cancel 或连接断开）
+    DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED', // 超过了调用的 deadline
+    UNAVAILABLE: 'UNAVAILABLE', // 连不上、连接断开，或客户端的熔断器处于打开状态
+    RESOURCE_EXHAUSTED: 'RESOURCE_EXHAUSTED', // 对方无视流控，超额发送 message
+};
+
+function encode(msg) {
+    return JSON.stringify(msg) + '\n';
+}
+
+// 返回 push(chunk)，把每个 data 事件的 Buffer 交给它。
+// 每凑齐一行调用一次 onFrame(obj)；某一行不是合法 JSON 时调用 onError(err)，连接仍可继续用；
+// 单帧超过 maxFrameBytes 时 err.fatal 为 true，说明对方不是在说这个协议，应当断开。
+function createDecoder(onFrame, onError, { maxFrameBytes = MAX_FRAME_BYTES } = {}) {
+    let pending = [];
+    let pendingBytes = 0;
+
+    return function push(chunk) {
+        let start = 0;
+        let nl;
+        while ((nl = chunk.indexOf(0x0a, start)) !== -1) {
+            const piece = chunk.subarray(start, nl);
+            // 按字节拼接而不是按字符串：一个多字节字符可能正好被拆在两个 chunk 里
+            const line = pendingBytes ? Buffer.concat(pending.concat(piece)) : piece;
+            pending = [];
+            pendingBytes = 0;
+            start = nl + 1;
+            if (line.length > maxFrameBytes) {
+                onError(Object.assign(new Error('frame_too_large'), { fatal: true }));
+                return;
+            }
+            const text = line.toString('utf8').trim(); // 兼容 "\r\n"（比如 .NET 的 WriteLine）
+            if (!text) continue;
+            let msg;
+            try {
+                msg = JSON.parse(text);
+            } catch (e) {
+                onError(new Error('invalid_json'));
+                continue;
+            }
+            onFrame(msg);
+        }
+        if (start < chunk.length) {
+            pending.push(chunk.subarray(start));
+            pendingBytes += chunk.length - start;
+            if (pendingBytes > maxFrameBytes) {
+                pending = [];
+                pendingBytes = 0;
+                onError(Object.assign(new Error('frame_too_large'), { fatal: true }));
+            }
+        }
+    };
+}
+
+// socket.write 返回 false 说明内核缓冲已满，等它排空（或连接关闭）再继续写
+function drained(socket) {
+    return new Promise((resolve) => {
+        const done = () => {
+            socket.off('drain', done);
+            socket.off('close', done);
+            resolve();
+        };
+        socket.on('drain', done);
+        socket.on('close', done);
+    });
+}
+
+module.exports = { encode, drained, createDecoder, MAX_FRAME_BYTES, MAX_TIMEOUT, INITIAL_WINDOW, METHOD_KINDS, ERROR_CODES };
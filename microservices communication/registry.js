@@ -0,0 +1,205 @@
+// registry.js
+// 轻量的服务注册中心（HTTP + JSON，默认端口 8500）。每个服务实例启动时来注册，之后定期发心跳；
+// 超过 ttl 没有心跳的实例自动删除。注册中心还会主动做健康检查，连续失败的实例标记为 critical，
+// 查询时默认只返回健康（passing）的实例，恢复后自动回到轮转里。
+//
+//   node registry.js [port]
+//
+//   PUT    /services/<name>/<id>            注册（重复注册即更新），body: { host, port, ttl, meta, check }
+//   PUT    /services/<name>/<id>/heartbeat  心跳，404 表示注册已过期，需要重新注册
+//   DELETE /services/<name>/<id>            注销
+//   GET    /services                        所有服务及实例
+//   GET    /services/<name>                 健康的实例；?all=1 时包括不健康的
+//
+// check 可以是 { type: 'http', path: '/health' }（2xx 算通过）或 { type: 'tcp' }（能连上算通过），
+// 另有 interval（检查间隔，默认 5 秒）；不填 check 时只看心跳。
+
+const http = require('http');
+const net = require('net');
+
+const DEFAULT_TTL = 10000;
+const MIN_TTL = 1000;
+const CHECK_INTERVAL = 5000;
+const CHECK_TIMEOUT = 2000;
+const FAILURE_THRESHOLD = 2; // 连续失败几次算不健康
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// 路径里的服务名 / 实例 id 是百分号编码的；编码不合法时抛错，由请求处理里的 catch 回 400
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        throw new Error('malformed path');
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > 64 * 1024) req.destroy(new Error('body too large'));
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(new Error('invalid json'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function runCheck(instance) {
+    const { check, host, port } = instance;
+    return new Promise((resolve) => {
+        if (check.type === 'tcp') {
+            const socket = net.createConnection({ host, port, timeout: CHECK_TIMEOUT });
+            socket.once('connect', () => {
+                socket.destroy();
+                resolve(null);
+            });
+            socket.once('timeout', () => {
+                socket.destroy();
+                resolve('timeout');
+            });
+            socket.once('error', err => resolve(err.code || err.message));
+            return;
+        }
+        const req = http.get({ host, port, path: check.path || '/health', timeout: CHECK_TIMEOUT }, (res) => {
+            res.resume();
+            resolve(res.statusCode >= 200 && res.statusCode < 300 ? null : `HTTP ${res.statusCode}`);
+        });
+        req.once('timeout', () => req.destroy(new Error('timeout')));
+        req.once('error', err => resolve(err.code || err.message));
+    });
+}
+
+function createRegistry({ log = console.log } = {}) {
+    const services = new Map(); // 服务名 => Map<实例 id, instance>
+
+    function view(instance) {
+        const { id, service, host, port, meta, ttl, status, output, registeredAt, lastHeartbeat } = instance;
+        return { id, service, host, port, meta, ttl, status, output, registeredAt, lastHeartbeat };
+    }
+
+    function remove(name, id, reason) {
+        const instances = services.get(name);
+        const instance = instances && instances.get(id);
+        if (!instance) return false;
+        clearInterval(instance.timer);
+        instances.delete(id);
+        if (!instances.size) services.delete(name);
+        log(`registry: ${name}/${id} 移除（${reason}）`);
+        return true;
+    }
+
+    async function check(instance) {
+        const error = await runCheck(instance);
+        if (!error) {
+            instance.failures = 0;
+            if (instance.status !== 'passing') log(`registry: ${instance.service}/${instance.id} 恢复健康`);
+            instance.status = 'passing';
+            instance.output = null;
+            return;
+        }
+        instance.output = error;
+        if (++instance.failures >= FAILURE_THRESHOLD && instance.status !== 'critical') {
+            instance.status = 'critical';
+            log(`registry: ${instance.service}/${instance.id} 健康检查失败（${error}），移出轮转`);
+        }
+    }
+
+    function register(name, id, body) {
+        if (typeof body.host !== 'string' || !Number.isInteger(body.port)) throw new Error('host and port are required');
+        const ttl = Math.max(MIN_TTL, Number(body.ttl) || DEFAULT_TTL);
+        const previous = services.get(name) && services.get(name).get(id);
+        if (previous) clearInterval(previous.timer);
+        const now = Date.now();
+        const instance = {
+            id,
+            service: name,
+            host: body.host,
+            port: body.port,
+            meta: body.meta || {},
+            ttl,
+            check: body.check && ['http', 'tcp'].includes(body.check.type) ? body.check : null,
+            status: previous ? previous.status : 'passing',
+            failures: previous ? previous.failures : 0,
+            output: null,
+            registeredAt: previous ? previous.registeredAt : now,
+            lastHeartbeat: now,
+            timer: null,
+        };
+        if (instance.check) {
+            instance.timer = setInterval(() => check(instance), Number(instance.check.interval) || CHECK_INTERVAL);
+            instance.timer.unref();
+        }
+        if (!services.has(name)) services.set(name, new Map());
+        services.get(name).set(id, instance);
+        if (!previous) log(`registry: ${name}/${id} 注册 ${instance.host}:${instance.port}`);
+        return instance;
+    }
+
+    // 心跳过期的实例定期清掉
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [name, instances] of services) {
+            for (const instance of Array.from(instances.values())) {
+                if (now - instance.lastHeartbeat > instance.ttl) remove(name, instance.id, '心跳超时');
+            }
+        }
+    }, 1000);
+    sweeper.unref();
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        try {
+            const parts = pathname.split('/').filter(Boolean).map(decodeSegment);
+            if (parts[0] !== 'services' || parts.length > 4) return sendJson(res, 404, { error: 'not_found' });
+            const [, name, id, action] = parts;
+            if (req.method === 'GET' && !name) {
+                const all = {};
+                for (const [svc, instances] of services) all[svc] = Array.from(instances.values(), view);
+                return sendJson(res, 200, all);
+            }
+            if (req.method === 'GET' && name && !id) {
+                const instances = Array.from((services.get(name) || new Map()).values());
+                const showAll = searchParams.get('all') === '1';
+                return sendJson(res, 200, instances.filter(i => showAll || i.status === 'passing').map(view));
+            }
+            if (req.method === 'PUT' && id && !action) {
+                return sendJson(res, 200, view(register(name, id, await readJson(req))));
+            }
+            if (req.method === 'PUT' && action === 'heartbeat') {
+                const instance = services.get(name) && services.get(name).get(id);
+                if (!instance) return sendJson(res, 404, { error: 'not_registered' });
+                instance.lastHeartbeat = Date.now();
+                return sendJson(res, 200, view(instance));
+            }
+            if (req.method === 'DELETE' && id && !action) {
+                return sendJson(res, remove(name, id, '主动注销') ? 204 : 404);
+            }
+            sendJson(res, 404, { error: 'not_found' });
+        } catch (err) {
+            sendJson(res, 400, { error: err.message });
+        }
+    });
+    server.on('close', () => {
+        clearInterval(sweeper);
+        for (const instances of services.values()) for (const instance of instances.values()) clearInterval(instance.timer);
+    });
+    return server;
+}
+
+module.exports = { createRegistry };
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.REGISTRY_PORT || 8500);
+    createRegistry().listen(port, () => console.log(`Service registry: http://localhost:${port}`));
+}
@@ -0,0 +1,526 @@
+// rpc-client.js
+// gRPC-like 服务的客户端：一条持久连接，多路复用。
+//
+//   const { RpcClient } = require('./rpc-client');
+//   const client = new RpcClient({ port: 4000 });
+//   const { result } = await client.call('Calculator.add', { a: 3, b: 5 });
+//   const calc = await client.stub('Calculator');   // 按 Reflection 生成的桩
+//   const sum = await calc.add({ a: 3, b: 5 });
+//
+//   // 流式方法（见 ClientCall）
+//   for await (const page of client.stream('Dataset.scan', { count: 1000 })) console.log(page.offset);
+//   const upload = client.stream('Calculator.sum');
+//   await upload.send({ value: 1 });
+//   upload.end();
+//   console.log(await upload.response);
+//   client.close();
+//
+//   // 多个实例时按服务名调用（见 discovery.js / registry.js）
+//   const pool = new RpcPool({ service: 'rpc', strategy: 'least-outstanding' });
+//   await pool.call('Calculator.add', { a: 3, b: 5 });
+//
+// 每个调用分配一个递增 id，发出去后登记在 pending 里；响应按 id 找回对应的调用，
+// 所以并发调用共用一条连接，先返回的先 resolve，与发送顺序无关。
+// 连接在第一次调用时建立，断开后下一次调用会自动重连；断开时还没等到响应的调用全部 reject。
+//
+// 可靠性（call 的第三个参数 options）：
+//   timeout / deadline  每个调用都有期限（默认 timeout 30 秒），剩余时间随请求发给服务端，
+//                       到期时本地以 DEADLINE_EXCEEDED reject，并通知服务端放弃
+//   signal              AbortSignal，abort 时以 CANCELLED reject，同样通知服务端
+//   idempotent          幂等方法遇到 UNAVAILABLE 时按指数退避（带随机抖动）重试，直到 maxAttempts 或期限用完；
+//                       非幂等方法只在请求确定没发出去（连不上）时重试。桩会按 services.js 的定义自动带上
+// 同一个服务端连续失败时熔断器打开（见 CircuitBreaker），期间的调用直接失败，不再等超时。
+// 所有失败都是 RpcError，code 见 protocol.js 的 ERROR_CODES。
+// 每次发请求记一个 client span（见 tracing.js），traceparent 放在请求帧的 meta 里带给服务端。
+
+const net = require('net');
+const { encode, drained, createDecoder, INITIAL_WINDOW, ERROR_CODES } = require('./protocol');
+const { validate } = require('./schema');
+const { RegistryClient, Balancer } = require('./discovery');
+const tracing = require('./tracing');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRY = { maxAttempts: 3, baseDelay: 50, maxDelay: 1000 };
+// 这些错误说明服务端本身出了问题，计入熔断器
+const BREAKER_CODES = [ERROR_CODES.UNAVAILABLE, ERROR_CODES.DEADLINE_EXCEEDED, ERROR_CODES.INTERNAL];
+
+// 调用失败时抛出的错误：服务端返回 success: false、桩在本地校验参数失败、超时、取消、连不上等。
+// code 见 protocol.js 的 ERROR_CODES，details 是参数校验的错误列表。
+// UNAVAILABLE 的错误另带 sent：请求是否可能已经到了服务端（决定非幂等方法能不能重试）。
+class RpcError extends Error {
+    constructor(message, method, code, details) {
+        super(message);
+        this.name = 'RpcError';
+        this.method = method;
+        this.code = code || ERROR_CODES.INTERNAL;
+        if (details) this.details = details;
+    }
+}
+
+function unavailable(message, method, sent) {
+    return Object.assign(new RpcError(message, method, ERROR_CODES.UNAVAILABLE), { sent });
+}
+
+// options.deadline（时间戳）优先，其次 options.timeout，都没有时用客户端的默认 timeout；0 表示不限时
+function resolveDeadline(options, defaultTimeout) {
+    if (options.deadline) return options.deadline;
+    const timeout = options.timeout === undefined ? defaultTimeout : options.timeout;
+    return timeout > 0 ? Date.now() + timeout : Infinity;
+}
+
+// 指数退避加全随机抖动：第 n 次重试前等 [0, min(maxDelay, baseDelay * 2^(n-1))) 毫秒，
+// 避免一批客户端在同一时刻一起重试
+function backoff(attempt, { baseDelay, maxDelay }) {
+    return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// run(attempt) 失败时按规则重试。switchesInstance 为 true 时（RpcPool）每次重试会换一个实例，
+// 所以熔断器打开的错误也值得重试；单个 RpcClient 再试也只会撞上同一个打开的熔断器。
+async function withRetries(run, { method, idempotent, deadline, signal, retry, switchesInstance = false }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await run(attempt);
+        } catch (err) {
+            const retryable = err.code === ERROR_CODES.UNAVAILABLE &&
+                (idempotent || !err.sent) && (switchesInstance || !err.circuitOpen);
+            if (!retryable || attempt >= retry.maxAttempts) throw err;
+            const wait = backoff(attempt, retry);
+            if (Date.now() + wait >= deadline) throw err;
+            if (retry.onRetry) retry.onRetry({ method, attempt, delay: wait, error: err });
+            try {
+                await sleep(wait, signal);
+            } catch (e) {
+                throw new RpcError('Cancelled', method, ERROR_CODES.CANCELLED);
+            }
+        }
+    }
+}
+
+function rpcAttributes(client, method) {
+    return { 'rpc.system': 'ndjson-rpc', 'rpc.method': method, 'server.address': client.host, 'server.port': client.port };
+}
+
+// 熔断器：连续 failureThreshold 次失败（UNAVAILABLE / DEADLINE_EXCEEDED / INTERNAL）后打开，
+// 打开期间的调用直接以 UNAVAILABLE 失败，不再去压已经出问题的服务端；resetTimeout 之后半开，
+// 只放一个调用过去试探：成功就关闭，失败就再打开 resetTimeout。
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, resetTimeout = 5000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probing = false;
+    }
+
+    allow() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeout) return false;
+            this.state = 'half-open';
+            this.probing = false;
+        }
+        if (this.probing) return false;
+        this.probing = true;
+        return true;
+    }
+
+    record(ok) {
+        if (ok) {
+            this.state = 'closed';
+            this.failures = 0;
+            this.probing = false;
+            return;
+        }
+        if (this.state === 'half-open' || ++this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            this.failures = 0;
+            this.probing = false;
+        }
+    }
+}
+
+function flush(waiters) {
+    for (const wake of waiters.splice(0)) wake();
+}
+
+// 流式调用在客户端的一端，由 client.stream() 返回：
+//   for await (const msg of call) { ... }  读服务端推送的消息（server-stream / bidi）；提前 break 会取消调用
+//   await call.send(data)                  发一条消息（client-stream / bidi），服务端额度用完时等待
+//   call.end()                             告诉服务端发完了
+//   await call.response                    结束帧的 data（client-stream 的返回值）；调用失败时 reject RpcError
+//   call.cancel()                          取消调用，服务端的实现会收到 CANCELLED
+// options 里的 timeout / deadline 对整个流有效（默认不限时，流可能本来就很长），signal 触发时取消调用。
+class ClientCall {
+    constructor(client, method, params, { input, timeout, deadline, signal } = {}) {
+        this.client = client;
+        this.id = client.nextId++;
+        this.method = method;
+        this.input = input; // 桩传入的消息定义，send 前在本地校验
+        this.sendCredit = INITIAL_WINDOW;
+        this.consumed = 0;
+        this.inbox = [];
+        this.readers = [];
+        this.writers = [];
+        this.ended = false;
+        this.done = false;
+        this.error = null;
+        this.response = new Promise((resolve, reject) => {
+            this.resolveResponse = resolve;
+            this.rejectResponse = reject;
+        });
+        this.response.catch(() => { }); // 只用 for await 读流的调用方不必再处理 response
+        this.span = tracing.startSpan(method, { kind: 'client', attributes: rpcAttributes(client, method) });
+        this.deadline = resolveDeadline({ timeout, deadline }, 0);
+        this.timer = null;
+        if (Number.isFinite(this.deadline)) {
+            this.timer = setTimeout(() => this.abandon(new RpcError('Deadline exceeded', method, ERROR_CODES.DEADLINE_EXCEEDED)),
+                Math.max(0, this.deadline - Date.now()));
+        }
+        this.signal = signal;
+        this.onAbort = () => this.cancel();
+        if (signal) signal.addEventListener('abort', this.onAbort, { once: true });
+        // 连接建立前的 send / end / cancel 都排在 ready 后面，顺序不变
+        this.ready = client.connect().then((socket) => {
+            if (!this.done) {
+                client.pending.set(this.id, this);
+                const frame = { id: this.id, method, params, meta: tracing.inject(this.span) };
+                if (Number.isFinite(this.deadline)) frame.timeout = Math.max(0, this.deadline - Date.now());
+                socket.write(encode(frame));
+            }
+            return socket;
+        });
+        this.ready.catch(err => this.settle(unavailable(err.message, method, false)));
+        if (signal && signal.aborted) this.cancel();
+    }
+
+    onFrame(msg) {
+        if (msg.type === 'message') {
+            this.inbox.push(msg.data);
+            return flush(this.readers);
+        }
+        if (msg.type === 'credit') {
+            if (Number.isInteger(msg.n) && msg.n > 0) this.sendCredit += msg.n;
+            return flush(this.writers);
+        }
+        if (msg.type) return;
+        this.settle(msg.success ? null : new RpcError(msg.error, this.method, msg.code, msg.details), msg.data);
+    }
+
+    fail(err) {
+        this.settle(unavailable(err.message, this.method, true));
+    }
+
+    settle(err, data) {
+        if (this.done) return;
+        this.done = true;
+        this.error = err;
+        clearTimeout(this.timer);
+        if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+        this.span.end(err);
+        this.client.pending.delete(this.id);
+        if (err) this.rejectResponse(err);
+        else this.resolveResponse(data);
+        flush(this.readers);
+        flush(this.writers);
+    }
+
+    write(msg) {
+        return this.ready.then(socket => socket.destroyed || socket.write(encode(msg)) || drained(socket));
+    }
+
+    async send(data) {
+        if (this.ended) throw new Error('call_ended');
+        if (this.input) {
+            const invalid = validate(this.input, data, 'message');
+            if (invalid.length) throw new RpcError('Invalid message', this.method, ERROR_CODES.INVALID_ARGUMENT, invalid);
+        }
+        await this.ready;
+        while (!this.done && this.sendCredit === 0) await new Promise(resolve => this.writers.push(resolve));
+        if (this.done) throw this.error || new Error('call_finished');
+        this.sendCredit--;
+        await this.write({ id: this.id, type: 'message', data });
+    }
+
+    end() {
+        if (this.ended || this.done) return;
+        this.ended = true;
+        this.write({ id: this.id, type: 'end' }).catch(() => { });
+    }
+
+    cancel() {
+        this.abandon(new RpcError('Cancelled', this.method, ERROR_CODES.CANCELLED));
+    }
+
+    // 本地不再等了（取消或到期），也通知服务端停下
+    abandon(err) {
+        if (this.done) return;
+        this.write({ id: this.id, type: 'cancel' }).catch(() => { });
+        this.settle(err);
+    }
+
+    [Symbol.asyncIterator]() {
+        return {
+            next: async () => {
+                while (!this.done && !this.inbox.length) await new Promise(resolve => this.readers.push(resolve));
+                if (!this.inbox.length) {
+                    if (this.error) throw this.error;
+                    return { value: undefined, done: true };
+                }
+                const value = this.inbox.shift();
+                // 每读走半个窗口就把额度还给服务端
+                if (++this.consumed >= INITIAL_WINDOW / 2 && !this.done) {
+                    this.write({ id: this.id, type: 'credit', n: this.consumed }).catch(() => { });
+                    this.consumed = 0;
+                }
+                return { value, done: false };
+            },
+            // for await 里 break / throw 时调用：不再读了，就取消调用
+            return: async () => {
+                this.cancel();
+                return { value: undefined, done: true };
+            },
+        };
+    }
+}
+
+// options: timeout 默认期限（毫秒，0 表示不限时）；retry { maxAttempts, baseDelay, maxDelay, onRetry }；
+// breaker { failureThreshold, resetTimeout }，传 false 关闭熔断
+class RpcClient {
+    constructor({ host = 'localhost', port = 4000, timeout = DEFAULT_TIMEOUT, retry = {}, breaker = {} } = {}) {
+        this.host = host;
+        this.port = port;
+        this.timeout = timeout;
+        this.retry = Object.assign({}, DEFAULT_RETRY, retry);
+        this.breaker = breaker === false ? null : new CircuitBreaker(breaker);
+        this.socket = null;
+        this.connecting = null;
+        this.nextId = 1;
+        this.pending = new Map(); // id => { onFrame, fail }，流式调用就是 ClientCall 本身
+        this.services = null; // Reflection.listServices 的结果，第一次 stub() 时获取
+    }
+
+    connect() {
+        if (this.socket) return Promise.resolve(this.socket);
+        if (this.connecting) return this.connecting;
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setNoDelay(true);
+            socket.on('data', createDecoder(msg => this.onResponse(msg), (err) => {
+                if (err.fatal) socket.destroy(err);
+            }));
+            socket.once('connect', () => {
+                this.socket = socket;
+                this.connecting = null;
+                resolve(socket);
+            });
+            socket.on('error', (err) => {
+                if (this.connecting) {
+                    this.connecting = null;
+                    reject(err);
+                }
+            });
+            socket.on('close', () => {
+                if (this.socket === socket) this.socket = null;
+                this.failPending(new Error('connection_closed'));
+            });
+        });
+        return this.connecting;
+    }
+
+    onResponse(msg) {
+        const call = this.pending.get(msg.id);
+        if (call) call.onFrame(msg); // 不认识的 id（比如服务端对坏帧的应答），忽略
+    }
+
+    failPending(err) {
+        for (const call of Array.from(this.pending.values())) call.fail(err);
+        this.pending.clear();
+    }
+
+    // options: { timeout, deadline, signal, idempotent, maxAttempts }，见文件开头
+    call(method, params = {}, options = {}) {
+        const deadline = resolveDeadline(options, this.timeout);
+        const retry = options.maxAttempts ? Object.assign({}, this.retry, { maxAttempts: options.maxAttempts }) : this.retry;
+        return withRetries(() => this.attempt(method, params, deadline, options.signal), {
+            method,
+            idempotent: Boolean(options.idempotent),
+            deadline,
+            signal: options.signal,
+            retry,
+        });
+    }
+
+    // 发一次请求，不重试
+    attempt(method, params, deadline, signal) {
+        if (this.breaker && !this.breaker.allow()) {
+            return Promise.reject(Object.assign(unavailable('Circuit open', method, false), { circuitOpen: true }));
+        }
+        const span = tracing.startSpan(method, { kind: 'client', attributes: rpcAttributes(this, method) });
+        return new Promise((resolve, reject) => {
+            let id = null;
+            let socket = null;
+            let timer = null;
+            let settled = false;
+            const finish = (err, data) => {
+                if (settled) return;
+                settled = true;
+                span.end(err);
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (id !== null) this.pending.delete(id);
+                if (this.breaker) this.breaker.record(!err || !BREAKER_CODES.includes(err.code));
+                if (err) reject(err);
+                else resolve(data);
+            };
+            // 本地不等了，也告诉服务端别再算了
+            const abandon = (err) => {
+                if (socket && !socket.destroyed) socket.write(encode({ id, type: 'cancel' }));
+                finish(err);
+            };
+            const onAbort = () => abandon(new RpcError('Cancelled', method, ERROR_CODES.CANCELLED));
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) return finish(new RpcError('Deadline exceeded', method, ERROR_CODES.DEADLINE_EXCEEDED));
+            if (Number.isFinite(remaining)) {
+                timer = setTimeout(() => abandon(new RpcError('Deadline exceeded', method, ERROR_CODES.DEADLINE_EXCEEDED)), remaining);
+            }
+
+            this.connect().then((s) => {
+                if (settled) return;
+                socket = s;
+                id = this.nextId++;
+                this.pending.set(id, {
+                    onFrame: (msg) => {
+                        if (msg.type) return;
+                        finish(msg.success ? null : new RpcError(msg.error, method, msg.code, msg.details), msg.data);
+                    },
+                    fail: err => finish(unavailable(err.message, method, true)),
+                });
+                const frame = { id, method, params, meta: tracing.inject(span) };
+                if (Number.isFinite(deadline)) frame.timeout = Math.max(0, deadline - Date.now());
+                socket.write(encode(frame));
+            }, err => finish(unavailable(err.message, method, false)));
+        });
+    }
+
+    // 发起流式调用，立即返回 ClientCall（连接在后台建立）。
+    // client-stream / bidi 不需要 params，输入用 call.send() 发。options 见 ClientCall。
+    stream(method, params, options) {
+        return new ClientCall(this, method, params, options);
+    }
+
+    // 按服务端 Reflection 给出的定义生成某个服务的桩：每个方法是一个函数，
+    // 发送前先在本地按入参定义校验，不合法直接以 INVALID_ARGUMENT reject，不占用网络往返。
+    async stub(serviceName) {
+        if (!this.services) this.services = (await this.call('Reflection.listServices')).services;
+        const svc = this.services.find(s => s.name === serviceName);
+        if (!svc) throw new Error(`unknown service: ${serviceName}`);
+        const stub = {};
+        for (const m of svc.methods) {
+            if (m.kind === 'client-stream' || m.kind === 'bidi') {
+                stub[m.name] = options => this.stream(m.fullName, undefined, Object.assign({ input: m.input }, options));
+                continue;
+            }
+            if (m.kind === 'server-stream') {
+                // 流式桩同步返回 ClientCall，参数不合法时直接抛出
+                stub[m.name] = (params = {}, options) => {
+                    const invalid = validate(m.input, params);
+                    if (invalid.length) throw new RpcError('Invalid params', m.fullName, ERROR_CODES.INVALID_ARGUMENT, invalid);
+                    return this.stream(m.fullName, params, options);
+                };
+                continue;
+            }
+            stub[m.name] = async (params = {}, options) => {
+                const invalid = validate(m.input, params);
+                if (invalid.length) throw new RpcError('Invalid params', m.fullName, ERROR_CODES.INVALID_ARGUMENT, invalid);
+                return this.call(m.fullName, params, Object.assign({ idempotent: m.idempotent }, options));
+            };
+        }
+        return Object.freeze(stub);
+    }
+
+    close() {
+        if (this.socket) this.socket.end();
+    }
+}
+
+// 按服务名调用：从注册中心查健康的实例，在它们之间做负载均衡（round-robin 或 least-outstanding），
+// 每个实例各用一个 RpcClient（一条持久连接，各自一个熔断器）。重试在这一层做，每次重试重新选实例。
+// 只有 UNAVAILABLE 记到实例头上（业务错误说明实例本身是好的），连续几次就暂时把它剔除。
+class RpcPool {
+    constructor({ service = 'rpc', registry = new RegistryClient(), strategy, timeout = DEFAULT_TIMEOUT, retry = {}, breaker = {} } = {}) {
+        this.balancer = new Balancer({ registry, service, strategy });
+        this.timeout = timeout;
+        this.retry = Object.assign({}, DEFAULT_RETRY, retry);
+        this.breaker = breaker;
+        this.clients = new Map(); // "host:port" => RpcClient
+    }
+
+    client(instance) {
+        const key = Balancer.key(instance);
+        if (!this.clients.has(key)) {
+            this.clients.set(key, new RpcClient({ host: instance.host, port: instance.port, breaker: this.breaker }));
+        }
+        return this.clients.get(key);
+    }
+
+    async pick(method) {
+        try {
+            return await this.balancer.pick();
+        } catch (err) {
+            throw unavailable(err.message, method, false);
+        }
+    }
+
+    call(method, params = {}, options = {}) {
+        const deadline = resolveDeadline(options, this.timeout);
+        const retry = options.maxAttempts ? Object.assign({}, this.retry, { maxAttempts: options.maxAttempts }) : this.retry;
+        return withRetries(async () => {
+            const instance = await this.pick(method);
+            this.balancer.begin(instance);
+            try {
+                const data = await this.client(instance).call(method, params, Object.assign({}, options, { deadline, maxAttempts: 1 }));
+                this.balancer.end(instance, true);
+                return data;
+            } catch (err) {
+                this.balancer.end(instance, err.code !== ERROR_CODES.UNAVAILABLE);
+                throw err;
+            }
+        }, { method, idempotent: Boolean(options.idempotent), deadline, signal: options.signal, retry, switchesInstance: true });
+    }
+
+    // 和 RpcClient.stream 一样，只是要先选实例，所以返回的是 Promise<ClientCall>
+    async stream(method, params, options) {
+        const instance = await this.pick(method);
+        const call = this.client(instance).stream(method, params, options);
+        this.balancer.begin(instance);
+        call.response.then(() => this.balancer.end(instance, true),
+            err => this.balancer.end(instance, err.code !== ERROR_CODES.UNAVAILABLE));
+        return call;
+    }
+
+    close() {
+        for (const client of this.clients.values()) client.close();
+    }
+}
+
+module.exports = { RpcClient, RpcError, ClientCall, RpcPool, CircuitBreaker };
@@ -0,0 +1,73 @@
+// schema.js
+// JSON Schema 的一个小子集，够描述 RPC 方法的入参和返回值：
+//   type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'（也可以是数组，表示几种之一）
+//   object:  properties / required / additionalProperties(false 表示不允许多余字段)
+//   array:   items / minItems / maxItems
+//   string:  minLength / maxLength / pattern
+//   number:  minimum / maximum
+//   通用:    enum / description（只用于说明）
+// validate 返回错误列表 [{ path, message }]，为空表示通过。
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+function validate(schema, value, path = 'params', errors = []) {
+    if (!schema) return errors;
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => matchesType(t, value))) {
+            errors.push({ path, message: `expected ${types.join(' | ')}, got ${typeOf(value)}` });
+            return errors; // 类型都不对，其余约束没有意义
+        }
+    }
+    if (schema.enum && !schema.enum.some(v => v === value)) {
+        errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) value.forEach((v, i) => validate(schema.items, v, `${path}[${i}]`, errors));
+    }
+    if (typeOf(value) === 'object') {
+        const props = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        for (const [key, v] of Object.entries(value)) {
+            if (props[key]) validate(props[key], v, `${path}.${key}`, errors);
+            else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        }
+    }
+    return errors;
+}
+
+module.exports = { validate };
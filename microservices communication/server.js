@@ -1,9 +1,57 @@
 const http = require('http');
 const net = require('net');
+const os = require('os');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const { encode, drained, createDecoder, MAX_TIMEOUT, INITIAL_WINDOW, METHOD_KINDS, ERROR_CODES } = require('./protocol');
+const { validate } = require('./schema');
+const services = require('./services');
+const { checkTopic, checkPattern, matches: matchesTopic } = require('./mq-topics');
+const { DurableQueue, checkName } = require('./mq-queue');
+const { RegistryClient } = require('./discovery');
+const { RpcClient } = require('./rpc-client');
+const { createGateway, HTTP_STATUS } = require('./gateway');
+const tracing = require('./tracing');
+
+// 端口可以用环境变量改。同一台机器上跑多个实例时设成 0（随机端口），实际端口会注册到注册中心
+function portFromEnv(name, fallback) {
+    return process.env[name] === undefined ? fallback : Number(process.env[name]);
+}
+const REST_PORT = portFromEnv('REST_PORT', 3000);
+const RPC_PORT = portFromEnv('RPC_PORT', 4000);
+const MQ_PORT = portFromEnv('MQ_PORT', 5000);
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+tracing.configure({ instance: INSTANCE_ID });
 
 // ---------------- REST 部分 ----------------
+// 其余路径交给 HTTP/JSON 网关（gateway.js），转成 RPC 调用：POST /rpc/<服务名>/<方法名>、GET /openapi.json。
+// 后端默认是本实例的 RPC 端口（监听后才知道实际端口），RPC_BACKEND=host:port 时转发到别处
+const [backendHost, backendPort] = (process.env.RPC_BACKEND || '').split(':');
+const gatewayClient = new RpcClient({ host: backendHost || 'localhost', port: Number(backendPort) || RPC_PORT });
+const gateway = createGateway({ client: gatewayClient, title: 'microservices communication' });
+
+// 每个请求记一个 server span，父 span 来自请求头 traceparent（见 tracing.js）；注册中心的健康检查太频繁，不记
 const restServer = http.createServer((req, res) => {
-    if (req.method === 'GET' && req.url === '/hello') {
+    if (req.url === '/health') return handleRest(req, res);
+    const span = tracing.startSpan(`${req.method} ${req.url.split('?')[0]}`, {
+        kind: 'server',
+        parent: tracing.extract(req.headers),
+        attributes: { 'http.request.method': req.method, 'url.path': req.url.split('?')[0] },
+    });
+    res.on('close', () => {
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if (!res.writableFinished) span.end({ code: ERROR_CODES.CANCELLED, message: 'Client closed connection' });
+        else span.end(res.statusCode >= 500 ? { code: `HTTP ${res.statusCode}`, message: http.STATUS_CODES[res.statusCode] } : null);
+    });
+    tracing.withSpan(span, () => handleRest(req, res));
+});
+restServer.listen(REST_PORT, () => announce(restServer, 'rest', 'REST server: http', { type: 'http', path: '/health' }));
+
+function handleRest(req, res) {
+    if (req.method === 'GET' && req.url === '/health') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', instance: INSTANCE_ID }));
+    } else if (req.method === 'GET' && req.url === '/hello') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ message: 'Hello from REST' }));
     } else if (req.method === 'POST' && req.url === '/echo') {
@@ -13,55 +61,763 @@ const restServer = http.createServer((req, res) => {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ youSent: JSON.parse(body || '{}') }));
         });
+    } else if (req.method === 'GET' && req.url === '/mq/stats') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(mqStats()));
+    } else if (req.method === 'POST' && req.url === '/greet') {
+        greet(req, res);
     } else {
-        res.writeHead(404);
-        res.end('Not Found');
+        gateway(req, res).then((handled) => {
+            if (handled) return;
+            res.writeHead(404);
+            res.end('Not Found');
+        });
     }
-});
-restServer.listen(3000, () => console.log('REST server: http://localhost:3000'));
+}
+
+// 演示跨协议的追踪：先调 RPC 的 Greeter.sayHello，再把结果发到 MQ 主题 greetings.sent，
+// 这个请求的 span、RPC 两端的 span、发布消息和订阅者处理消息的 span 都在同一个 trace 里
+async function greet(req, res) {
+    let body = '';
+    for await (const chunk of req) body += chunk; // 用 await 读，后面的调用才留在这个请求的 span 里
+    let status = 200;
+    let result;
+    try {
+        const { name } = JSON.parse(body || '{}');
+        const { message } = await gatewayClient.call('Greeter.sayHello', { name }, { idempotent: true });
+        result = { message, delivered: publishTraced('greetings.sent', { name, message }) };
+    } catch (err) {
+        status = err instanceof SyntaxError ? 400 : HTTP_STATUS[err.code] || 500;
+        result = { error: err.message, code: err.code };
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+}
 
 // ---------------- gRPC-like 部分 ----------------
-const methods = {
-    sayHello: (params) => ({ message: `Hello, ${params.name}` }),
-    add: (params) => ({ result: params.a + params.b }),
+// 按行分帧的 JSON（见 protocol.js），请求带 id，响应原样带回 id：
+// 一条连接上可以同时有多个调用，先算完的先返回。
+// 接口定义在 services.js，这里只放实现；请求参数和返回值都按定义校验。
+// unary 方法的实现是 fn(params, ctx)，ctx 是 { signal, deadline }；流式方法是 fn(params, call)，call 见下面的 ServerCall。
+// 客户端取消、连接断开或超过 deadline 时 signal 触发，耗时的实现应当据此提前结束。
+
+// 内置的反射服务：列出所有服务和方法的定义，客户端据此生成桩
+const REFLECTION = {
+    Reflection: {
+        description: '查询服务和方法定义',
+        methods: {
+            listServices: {
+                description: '列出所有服务、方法及其入参/返回值结构',
+                idempotent: true,
+                input: { type: 'object', additionalProperties: false },
+                output: { type: 'object', properties: { services: { type: 'array' } }, required: ['services'] },
+            },
+        },
+    },
 };
+const definitions = Object.assign({}, services, REFLECTION);
 
-const grpcServer = net.createServer(socket => {
-    socket.on('data', data => {
-        try {
-            const req = JSON.parse(data.toString());
-            const fn = methods[req.method];
-            let res;
-            if (fn) {
-                res = { success: true, data: fn(req.params) };
-            } else {
-                res = { success: false, error: 'Method not found' };
+const implementations = {
+    Greeter: {
+        sayHello: (params) => ({ message: `Hello, ${params.name}` }),
+    },
+    Calculator: {
+        add: (params) => ({ result: params.a + params.b }),
+        // 模拟耗时操作，用来演示乱序返回
+        sleep: (params, ctx) => delay(params.ms, { slept: params.ms }, { signal: ctx.signal }),
+        sum: async (params, call) => {
+            let sum = 0;
+            let count = 0;
+            for await (const { value } of call) {
+                sum += value;
+                count++;
+            }
+            return { sum, count };
+        },
+        runningTotal: async (params, call) => {
+            let total = 0;
+            for await (const { value } of call) {
+                total += value;
+                await call.send({ total });
             }
-            socket.write(JSON.stringify(res) + "\n");
-        } catch (e) {
-            socket.write(JSON.stringify({ success: false, error: e.message }) + "\n");
+        },
+    },
+    Dataset: {
+        // 客户端读得慢时 send 会停在流控上，不会一口气把整个数据集塞进内存
+        scan: async ({ count, pageSize = 100, delayMs = 0 }, call) => {
+            for (let offset = 0; offset < count; offset += pageSize) {
+                if (delayMs) await delay(delayMs, undefined, { signal: call.signal });
+                const items = Array.from({ length: Math.min(pageSize, count - offset) }, (_, i) => offset + i);
+                await call.send({ offset, items, progress: (offset + items.length) / count });
+            }
+        },
+    },
+    Health: {
+        check: () => ({ status: 'SERVING', instance: INSTANCE_ID }),
+    },
+    Reflection: {
+        listServices: () => ({
+            services: Object.entries(definitions).map(([name, svc]) => ({
+                name,
+                description: svc.description || '',
+                methods: Object.entries(svc.methods).map(([method, def]) => ({
+                    name: method,
+                    fullName: `${name}.${method}`,
+                    kind: def.kind || 'unary',
+                    idempotent: Boolean(def.idempotent),
+                    http: def.http,
+                    description: def.description || '',
+                    input: def.input,
+                    output: def.output,
+                })),
+            })),
+        }),
+    },
+};
+
+// "服务名.方法名" => { def, fn }；方法名在所有服务里唯一时，短名（如 "add"）也能调用
+const registry = new Map();
+(function buildRegistry() {
+    const shortNames = new Map();
+    for (const [service, svc] of Object.entries(definitions)) {
+        for (const [name, def] of Object.entries(svc.methods)) {
+            const fn = implementations[service] && implementations[service][name];
+            if (!fn) throw new Error(`${service}.${name} 在 services.js 里声明了，但没有实现`);
+            const kind = def.kind || 'unary';
+            if (!METHOD_KINDS.includes(kind)) throw new Error(`${service}.${name} 的 kind 不正确: ${kind}`);
+            const entry = {
+                fullName: `${service}.${name}`,
+                def,
+                fn,
+                kind,
+                clientStreams: kind === 'client-stream' || kind === 'bidi',
+                serverStreams: kind === 'server-stream' || kind === 'bidi',
+            };
+            registry.set(entry.fullName, entry);
+            shortNames.set(name, shortNames.has(name) ? null : entry);
+        }
+    }
+    for (const [name, entry] of shortNames) if (entry) registry.set(name, entry);
+})();
+
+function sendFrame(socket, msg) {
+    if (!socket.destroyed) socket.write(encode(msg));
+}
+
+// 返回发出去的错误，调用方可以顺手记到 span 上
+function sendError(socket, id, code, error, extra) {
+    sendFrame(socket, Object.assign({ id, success: false, code, error }, extra));
+    return rpcError(code, error);
+}
+
+function rpcError(code, message, details) {
+    return Object.assign(new Error(message), { code }, details ? { details } : null);
+}
+
+// 实现里可以抛出带 code 的错误；其余一律算 INTERNAL
+function sendFailure(socket, id, e) {
+    return sendError(socket, id, ERROR_CODES[e.code] || ERROR_CODES.INTERNAL, e.message, e.details ? { details: e.details } : undefined);
+}
+
+function flush(waiters) {
+    for (const wake of waiters.splice(0)) wake();
+}
+
+function deadlineError() {
+    return rpcError(ERROR_CODES.DEADLINE_EXCEEDED, 'Deadline exceeded');
+}
+
+// 实现函数不理会 signal 时也不再等它：signal 一触发就按取消 / 超时处理，迟到的结果丢掉
+function untilAborted(value, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        Promise.resolve(value).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// 流式调用在服务端的一端，作为第二个参数交给实现函数：
+//   for await (const msg of call) { ... }  读客户端发来的消息（client-stream / bidi），客户端 end 后循环结束
+//   await call.send(data)                  推送一条消息（server-stream / bidi），对方额度用完时等待
+//   call.signal                            AbortSignal，客户端取消、连接断开或超过 deadline 时触发
+//   call.deadline                          deadline 的时间戳，客户端没给 timeout 时为 null
+// 调用被取消后 send 和读消息都会抛出 CANCELLED 错误，实现函数自然就退出了。
+// deadline 对整个流有效：到期时服务端以 DEADLINE_EXCEEDED 结束这个流。
+class ServerCall {
+    constructor(socket, calls, id, entry, params, deadline) {
+        this.socket = socket;
+        this.calls = calls;
+        this.id = id;
+        this.entry = entry;
+        this.params = params;
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.sendCredit = INITIAL_WINDOW; // 还能给客户端发几条
+        this.recvCredit = INITIAL_WINDOW; // 客户端还能发来几条
+        this.consumed = 0; // 已经读走、还没还给客户端的额度
+        this.inbox = [];
+        this.inputEnded = false;
+        this.done = false;
+        this.readers = [];
+        this.writers = [];
+        this.deadline = deadline;
+        this.timer = deadline === null ? null : setTimeout(() => this.fail(deadlineError()), deadline - Date.now());
+    }
+
+    onFrame(msg) {
+        switch (msg.type) {
+            case 'message': return this.onMessage(msg.data);
+            case 'end':
+                this.inputEnded = true;
+                return flush(this.readers);
+            case 'credit':
+                if (!Number.isInteger(msg.n) || msg.n <= 0) return;
+                this.sendCredit += msg.n;
+                return flush(this.writers);
+            case 'cancel': return this.abort(rpcError(ERROR_CODES.CANCELLED, 'Cancelled by client'));
+        }
+    }
+
+    onMessage(data) {
+        if (!this.entry.clientStreams || this.inputEnded) {
+            return this.fail(rpcError(ERROR_CODES.INVALID_ARGUMENT, 'Unexpected message'));
+        }
+        if (this.recvCredit <= 0) return this.fail(rpcError(ERROR_CODES.RESOURCE_EXHAUSTED, 'Flow control window exceeded'));
+        this.recvCredit--;
+        const invalid = validate(this.entry.def.input, data, 'message');
+        if (invalid.length) return this.fail(rpcError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid message', invalid));
+        this.inbox.push(data);
+        flush(this.readers);
+    }
+
+    async send(data) {
+        if (!this.entry.serverStreams) throw new Error(`${this.entry.fullName} 不是服务端流式方法`);
+        const invalid = validate(this.entry.def.output, data, 'message');
+        if (invalid.length) {
+            console.error(`${this.entry.fullName} 推送的消息不符合定义`, invalid);
+            throw rpcError(ERROR_CODES.INTERNAL, 'Invalid message');
+        }
+        while (!this.done && this.sendCredit === 0) await new Promise(resolve => this.writers.push(resolve));
+        if (this.done) throw this.signal.reason;
+        this.sendCredit--;
+        if (!this.socket.write(encode({ id: this.id, type: 'message', data }))) await drained(this.socket);
+    }
+
+    [Symbol.asyncIterator]() {
+        return {
+            next: async () => {
+                while (!this.done && !this.inbox.length && !this.inputEnded) {
+                    await new Promise(resolve => this.readers.push(resolve));
+                }
+                if (this.done) throw this.signal.reason;
+                if (!this.inbox.length) return { value: undefined, done: true };
+                const value = this.inbox.shift();
+                // 每读走半个窗口就把额度还给客户端，让它在我们处理的同时接着发
+                if (++this.consumed >= INITIAL_WINDOW / 2) {
+                    this.recvCredit += this.consumed;
+                    sendFrame(this.socket, { id: this.id, type: 'credit', n: this.consumed });
+                    this.consumed = 0;
+                }
+                return { value, done: false };
+            },
+        };
+    }
+
+    // 正常结束：发结束帧
+    finish(data) {
+        if (this.done) return;
+        this.close(null);
+        sendFrame(this.socket, { id: this.id, success: true, data });
+    }
+
+    // 服务端这边出错：发错误结束帧，并让还在运行的实现函数停下来
+    fail(err) {
+        if (this.done) return;
+        this.close(err);
+        sendFailure(this.socket, this.id, err);
+    }
+
+    // 客户端取消或断开：对方已经不再等这个 id，什么都不用发
+    abort(err) {
+        if (this.done) return;
+        this.close(err);
+    }
+
+    close(err) {
+        this.done = true;
+        clearTimeout(this.timer);
+        this.calls.delete(this.id);
+        if (err) this.controller.abort(err);
+        flush(this.readers);
+        flush(this.writers);
+    }
+}
+
+async function handleStream(socket, calls, id, entry, rawParams, deadline) {
+    // 后续的 message / end / cancel 帧都靠 id 找到这个调用，所以 id 必须有且不能和进行中的流重复
+    if (id === null || calls.has(id)) return sendError(socket, id, ERROR_CODES.INVALID_ARGUMENT, 'Streaming calls need a unique id');
+    // client-stream / bidi 的输入走 message 帧，起始帧的 params 不用
+    const params = entry.clientStreams || rawParams === undefined ? {} : rawParams;
+    if (!entry.clientStreams) {
+        const invalid = validate(entry.def.input, params);
+        if (invalid.length) return sendError(socket, id, ERROR_CODES.INVALID_ARGUMENT, 'Invalid params', { details: invalid });
+    }
+
+    const call = new ServerCall(socket, calls, id, entry, params, deadline);
+    calls.set(id, call);
+    let data;
+    try {
+        data = await entry.fn(params, call);
+    } catch (e) {
+        call.fail(e);
+        return call.signal.reason;
+    }
+    const badResult = entry.kind === 'client-stream' ? validate(entry.def.output, data, 'result') : [];
+    if (badResult.length) {
+        console.error(`${entry.fullName} 的返回值不符合定义`, badResult);
+        call.fail(rpcError(ERROR_CODES.INTERNAL, 'Invalid result'));
+    } else {
+        call.finish(entry.kind === 'client-stream' ? data : undefined);
+    }
+    // 实现函数返回之前，调用可能已经被取消或超时了
+    return call.signal.aborted ? call.signal.reason : null;
+}
+
+// 一帧 JSON 可以是任何值（null、数组、数字……），只有对象才是请求 / 命令
+function isFrameObject(frame) {
+    return frame !== null && typeof frame === 'object' && !Array.isArray(frame);
+}
+
+async function handleRpc(socket, calls, req) {
+    let id = null;
+    // 没有人 await 这个函数，漏出去的异常会变成 unhandled rejection 把整个进程（REST / RPC / MQ）带走
+    try {
+        id = req.id === undefined ? null : req.id; // 不带 id 的旧式请求也照常应答
+        const entry = registry.get(req.method);
+        if (!entry) return sendError(socket, id, ERROR_CODES.UNIMPLEMENTED, 'Method not found', { method: req.method });
+        // 每个调用记一个 server span，父 span 来自请求的 meta.traceparent；实现函数里再发出的 RPC / MQ 调用都挂在它下面
+        const span = tracing.startSpan(entry.fullName, {
+            kind: 'server',
+            parent: tracing.extract(req.meta),
+            attributes: { 'rpc.system': 'ndjson-rpc', 'rpc.method': entry.fullName, 'rpc.kind': entry.kind },
+        });
+        span.end(await tracing.withSpan(span, () => runRpc(socket, calls, id, entry, req)));
+    } catch (e) {
+        console.error('RPC error:', e);
+        sendError(socket, id, ERROR_CODES.INTERNAL, 'Internal error');
+    }
+}
+
+// 返回应答出去的错误（成功时为空）
+async function runRpc(socket, calls, id, entry, req) {
+    if (req.timeout !== undefined && !(typeof req.timeout === 'number' && req.timeout >= 0 && req.timeout <= MAX_TIMEOUT)) {
+        return sendError(socket, id, ERROR_CODES.INVALID_ARGUMENT, 'Invalid timeout');
+    }
+    const deadline = req.timeout === undefined ? null : Date.now() + req.timeout;
+    // 在路上就已经过期的请求不用执行了
+    if (deadline !== null && req.timeout <= 0) return sendFailure(socket, id, deadlineError());
+    if (entry.kind !== 'unary') return handleStream(socket, calls, id, entry, req.params, deadline);
+
+    const params = req.params === undefined ? {} : req.params;
+    const invalid = validate(entry.def.input, params);
+    if (invalid.length) return sendError(socket, id, ERROR_CODES.INVALID_ARGUMENT, 'Invalid params', { details: invalid });
+
+    // unary 调用也登记进 calls，这样客户端的 cancel 帧、连接断开和 deadline 都能通知到实现函数
+    const controller = new AbortController();
+    const ctx = { signal: controller.signal, deadline };
+    const tracked = id !== null && !calls.has(id);
+    if (tracked) {
+        calls.set(id, {
+            onFrame: (msg) => {
+                if (msg.type === 'cancel') controller.abort(rpcError(ERROR_CODES.CANCELLED, 'Cancelled by client'));
+            },
+            abort: err => controller.abort(err),
+        });
+    }
+    const timer = deadline === null ? null : setTimeout(() => controller.abort(deadlineError()), deadline - Date.now());
+    let data;
+    try {
+        data = await untilAborted(entry.fn(params, ctx), ctx.signal);
+    } catch (e) {
+        if (ctx.signal.aborted) {
+            console.log(`${entry.fullName}（id ${id}）${ctx.signal.reason.message}，放弃执行`);
+            // 取消的调用客户端已经不等了，不用应答
+            if (ctx.signal.reason.code === ERROR_CODES.CANCELLED) return ctx.signal.reason;
+            return sendFailure(socket, id, ctx.signal.reason);
         }
+        return sendFailure(socket, id, e);
+    } finally {
+        clearTimeout(timer);
+        if (tracked) calls.delete(id);
+    }
+    const badResult = validate(entry.def.output, data, 'result');
+    if (badResult.length) {
+        console.error(`${entry.fullName} 的返回值不符合定义`, badResult);
+        return sendError(socket, id, ERROR_CODES.INTERNAL, 'Invalid result');
+    }
+    sendFrame(socket, { id, success: true, data });
+}
+
+const grpcServer = net.createServer(socket => {
+    const calls = new Map(); // 这条连接上进行中的流式调用，id => ServerCall
+    const push = createDecoder((frame) => {
+        // 不是对象的帧回一个错误，连接保持打开，和不合法的 JSON 一样处理
+        if (!isFrameObject(frame)) return sendError(socket, null, ERROR_CODES.INVALID_FRAME, 'invalid_frame');
+        if (!frame.type) return handleRpc(socket, calls, frame);
+        const call = calls.get(frame.id);
+        if (call) call.onFrame(frame); // 已经结束的调用，迟到的帧直接忽略
+    }, (err) => {
+        sendError(socket, null, ERROR_CODES.INVALID_FRAME, err.message);
+        if (err.fatal) socket.end();
     });
+    socket.on('data', push);
+    socket.on('error', () => { }); // 客户端断开，未完成的调用结果直接丢弃
+    socket.on('close', () => {
+        for (const call of calls.values()) call.abort(rpcError(ERROR_CODES.CANCELLED, 'Connection closed'));
+    });
+});
+grpcServer.listen(RPC_PORT, () => {
+    if (!backendPort) gatewayClient.port = grpcServer.address().port;
+    announce(grpcServer, 'rpc', 'gRPC-like server: tcp', { type: 'tcp' });
 });
-grpcServer.listen(4000, () => console.log('gRPC-like server: tcp://localhost:4000'));
 
 // ---------------- MQ 部分 ----------------
-const mqClients = [];
-const mqServer = net.createServer(socket => {
-    mqClients.push(socket);
-
-    socket.on('data', data => {
-        const msg = data.toString();
-        console.log('Broker received:', msg);
-        mqClients.forEach(c => {
-            // 多个 client 连接时，发送的消息会广播给所有订阅者
-            if (c !== socket) c.write(msg); // 接收到信息，把消息传给其他 socket
+// 和 4000 端口一样是按行分帧的 JSON，每帧一个命令：
+//   {"op": "SUBSCRIBE", "topic": "orders.*"}
+//   {"op": "UNSUBSCRIBE", "topic": "orders.*"}
+//   {"op": "PUBLISH", "topic": "orders.created", "data": {...}}
+// 命令带 id 时 broker 回 {"op": "OK", "id": ...}（PUBLISH 另带 delivered：投递给了几个客户端）
+// 或 {"op": "ERROR", "id": ..., "error": ...}。
+// 消息只投给订阅了匹配主题的客户端（通配符见 mq-topics.js），包括发布者自己；
+// 一个客户端的多个订阅同时匹配时只收到一次：{"op": "MESSAGE", "topic": "orders.created", "data": {...}}
+//
+// 持久化队列（见 mq-queue.js），消息落盘，要 ack：
+//   {"op": "SEND", "queue": "jobs", "data": {...}}                  => OK 带 messageId，此时消息已写进日志
+//   {"op": "CONSUME", "queue": "jobs", "group": "workers", "prefetch": 10, "visibilityTimeout": 30000}
+//   {"op": "ACK", "queue": "jobs", "group": "workers", "messageId": 7}
+//   {"op": "NACK", "queue": "jobs", "group": "workers", "messageId": 7, "requeue": true}
+//   {"op": "CANCEL", "queue": "jobs", "group": "workers"}
+// 投递：{"op": "DELIVER", "queue": "jobs", "group": "workers", "messageId": 7, "attempt": 1, "data": {...}}
+// group 默认 "default"；prefetch 是这个消费者最多同时持有几条没 ack 的消息。
+//
+// PUBLISH / SEND 可以带 "headers": {"traceparent": "00-..."}（值都是字符串），broker 原样放进 MESSAGE / DELIVER，
+// 队列消息的 headers 随消息落盘。broker 对每条 PUBLISH / SEND 记一个 span（见 tracing.js）。
+//
+// 慢消费者：socket 写不动时（write 返回 false），发给它的帧先排在它自己的 outbox 里，drain 后再写。
+// outbox 里的主题消息（MESSAGE）最多 maxBuffered 条，满了按 overflow 处理：
+//   drop-oldest  丢掉最早的一条再排进去（默认）   drop-newest  丢掉这条新消息   disconnect  断开这个客户端
+// 可以用 {"op": "CONFIG", "maxBuffered": 100, "overflow": "drop-newest"} 按连接设置。
+// OK / ERROR 不会被丢；DELIVER 的数量已经被 prefetch 限住了，也不丢。
+// 只发命令不读回复的客户端，积压的回复超过 maxBuffered 时暂停读它的 socket，排空一半后再继续。
+// 统计见 {"op": "STATS"} 或 GET http://localhost:3000/mq/stats。
+const MQ_DATA_DIR = path.resolve(process.env.MQ_DATA_DIR || path.join(__dirname, 'mq-data'));
+const MQ_VISIBILITY_TIMEOUT_MS = Number(process.env.MQ_VISIBILITY_TIMEOUT_MS) || 30000;
+const MQ_MAX_DELIVERIES = Number(process.env.MQ_MAX_DELIVERIES) || 5;
+const MQ_DEFAULT_PREFETCH = 10;
+const MQ_OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'disconnect'];
+const MQ_MAX_BUFFERED = Number(process.env.MQ_MAX_BUFFERED) || 1000;
+const MQ_OVERFLOW = MQ_OVERFLOW_POLICIES.includes(process.env.MQ_OVERFLOW) ? process.env.MQ_OVERFLOW : 'drop-oldest';
+
+// socket => { patterns: Set<订阅的主题模式>, consumers: Map<"队列\0组", consumer>,
+//             outbox: [{ frame, droppable }], buffered: outbox 里可丢弃的条数, maxBuffered, overflow, dropped }
+const mqClients = new Map();
+const mqQueues = new Map(); // 队列名 => { queue: DurableQueue, ready: Promise }，第一次用到时打开并回放日志
+const mqMetrics = { published: 0, delivered: 0, droppedOldest: 0, droppedNewest: 0, slowConsumerDisconnects: 0 };
+
+function openQueue(name) {
+    if (!mqQueues.has(name)) {
+        const queue = new DurableQueue(name, MQ_DATA_DIR, {
+            visibilityTimeout: MQ_VISIBILITY_TIMEOUT_MS,
+            maxDeliveries: MQ_MAX_DELIVERIES,
+            onDeadLetter: (dlq, data, meta, headers) => openQueue(dlq).then(q => q.send(data, meta, headers)),
         });
+        const ready = queue.open().then(() => queue);
+        ready.catch(() => mqQueues.delete(name)); // 打开失败下次再试
+        mqQueues.set(name, { queue, ready });
+    }
+    return mqQueues.get(name).ready;
+}
+
+// 返回 false 表示这一帧被丢掉了
+function mqWrite(socket, frame, droppable) {
+    const client = mqClients.get(socket);
+    if (!client || socket.destroyed) return false;
+    if (!client.outbox.length && !socket.writableNeedDrain) {
+        socket.write(frame);
+        return true;
+    }
+    if (droppable && client.buffered >= client.maxBuffered) {
+        client.dropped++;
+        if (client.overflow === 'drop-newest') {
+            mqMetrics.droppedNewest++;
+            return false;
+        }
+        if (client.overflow === 'disconnect') {
+            mqMetrics.slowConsumerDisconnects++;
+            console.log(`MQ: 断开慢消费者 ${socket.remoteAddress}:${socket.remotePort}（积压 ${client.buffered} 条）`);
+            socket.destroy();
+            return false;
+        }
+        mqMetrics.droppedOldest++;
+        client.outbox.splice(client.outbox.findIndex(item => item.droppable), 1);
+        client.buffered--;
+    }
+    client.outbox.push({ frame, droppable });
+    if (droppable) client.buffered++;
+    else if (client.outbox.length - client.buffered > client.maxBuffered) socket.pause();
+    return true;
+}
+
+function mqFlush(socket) {
+    const client = mqClients.get(socket);
+    if (!client) return;
+    while (client.outbox.length && !socket.writableNeedDrain) {
+        const item = client.outbox.shift();
+        if (item.droppable) client.buffered--;
+        socket.write(item.frame);
+    }
+    if (socket.isPaused() && client.outbox.length - client.buffered <= client.maxBuffered / 2) socket.resume();
+}
+
+function mqSend(socket, msg) {
+    mqWrite(socket, encode(msg), false);
+}
+
+function mqReply(socket, cmd, extra) {
+    if (cmd.id !== undefined) mqSend(socket, Object.assign({ op: 'OK', id: cmd.id }, extra));
+}
+
+function mqFail(socket, cmd, error) {
+    mqSend(socket, { op: 'ERROR', id: cmd.id === undefined ? null : cmd.id, error });
+}
+
+function mqPublish(topic, data, headers) {
+    const frame = encode({ op: 'MESSAGE', topic, data, headers }); // 只序列化一次
+    let delivered = 0;
+    mqMetrics.published++;
+    for (const [socket, { patterns }] of mqClients) {
+        for (const pattern of patterns) {
+            if (!matchesTopic(pattern, topic)) continue;
+            if (mqWrite(socket, frame, true)) delivered++;
+            break;
+        }
+    }
+    mqMetrics.delivered += delivered;
+    return delivered;
+}
+
+// 服务端自己往 MQ 发消息：记一个 producer span，它的 traceparent 放进消息的 headers
+function publishTraced(topic, data) {
+    const span = tracing.startSpan(`publish ${topic}`, {
+        kind: 'producer',
+        attributes: { 'messaging.system': 'ndjson-mq', 'messaging.destination.name': topic },
     });
+    const delivered = mqPublish(topic, data, tracing.inject(span));
+    span.setAttribute('messaging.delivered', delivered).end();
+    return delivered;
+}
 
-    socket.on('end', () => {
-        const idx = mqClients.indexOf(socket);
-        if (idx >= 0) mqClients.splice(idx, 1); // 接收信息完成，把自己清除出队列
+// broker 这一跳的 span，父 span 来自消息 headers 里的 traceparent
+function brokerSpan(op, destination, headers) {
+    return tracing.startSpan(`MQ ${op} ${destination}`, {
+        kind: 'server',
+        parent: tracing.extract(headers),
+        attributes: { 'messaging.system': 'ndjson-mq', 'messaging.operation': op, 'messaging.destination.name': destination },
+    });
+}
+
+function checkHeaders(headers) {
+    if (headers === undefined) return null;
+    const ok = headers && typeof headers === 'object' && !Array.isArray(headers) && Object.values(headers).every(v => typeof v === 'string');
+    return ok ? null : 'headers must be an object of strings';
+}
+
+function mqStats() {
+    const connections = [];
+    let buffered = 0;
+    for (const [socket, client] of mqClients) {
+        buffered += client.buffered;
+        connections.push({
+            remote: `${socket.remoteAddress}:${socket.remotePort}`,
+            subscriptions: Array.from(client.patterns),
+            consumers: Array.from(client.consumers.keys(), key => key.replace('\0', '/')),
+            buffered: client.buffered,
+            outbox: client.outbox.length,
+            socketBufferedBytes: socket.writableLength,
+            maxBuffered: client.maxBuffered,
+            overflow: client.overflow,
+            dropped: client.dropped,
+        });
+    }
+    const queues = {};
+    for (const [name, { queue }] of mqQueues) {
+        if (queue.fh) queues[name] = Object.assign(queue.depth(), queue.stats);
+    }
+    return Object.assign({}, mqMetrics, {
+        dropped: mqMetrics.droppedOldest + mqMetrics.droppedNewest,
+        connections: connections.length,
+        buffered,
+        clients: connections,
+        queues,
+    });
+}
+
+function checkInt(value, min, max) {
+    return value === undefined || (Number.isInteger(value) && value >= min && value <= max);
+}
+
+async function handleQueueCommand(socket, cmd) {
+    const invalid = checkName(cmd.queue) || checkName(cmd.group === undefined ? 'default' : cmd.group, 'group');
+    if (invalid) return mqFail(socket, cmd, invalid);
+    const group = cmd.group === undefined ? 'default' : cmd.group;
+    const key = `${cmd.queue}\0${group}`;
+    const { consumers } = mqClients.get(socket);
+    const queue = await openQueue(cmd.queue);
+    switch (cmd.op) {
+        case 'SEND': {
+            const badHeaders = checkHeaders(cmd.headers);
+            if (badHeaders) return mqFail(socket, cmd, badHeaders);
+            const span = brokerSpan('SEND', cmd.queue, cmd.headers);
+            const messageId = await queue.send(cmd.data, undefined, cmd.headers);
+            span.setAttribute('messaging.message.id', messageId).end();
+            return mqReply(socket, cmd, { messageId });
+        }
+        case 'CONSUME': {
+            if (!mqClients.has(socket)) return; // 打开队列期间连接已经断了
+            if (consumers.has(key)) return mqFail(socket, cmd, 'already_consuming');
+            if (!checkInt(cmd.prefetch, 1, 1000)) return mqFail(socket, cmd, 'prefetch must be an integer 1..1000');
+            if (!checkInt(cmd.visibilityTimeout, 100, 12 * 3600 * 1000)) return mqFail(socket, cmd, 'invalid visibilityTimeout');
+            const consumer = {
+                prefetch: cmd.prefetch || MQ_DEFAULT_PREFETCH,
+                visibilityTimeout: cmd.visibilityTimeout,
+                inflight: 0,
+                deliver: msg => mqSend(socket, Object.assign({ op: 'DELIVER' }, msg)),
+            };
+            consumers.set(key, consumer);
+            mqReply(socket, cmd); // 先回 OK 再开始投递
+            return queue.addConsumer(group, consumer);
+        }
+        case 'ACK':
+        case 'NACK': {
+            const consumer = consumers.get(key);
+            const settled = consumer && (cmd.op === 'ACK'
+                ? queue.ack(group, cmd.messageId, consumer)
+                : queue.nack(group, cmd.messageId, consumer, { requeue: cmd.requeue !== false }));
+            // 可见性超时后消息已经交给别的消费者，这时的 ack 不再算数
+            if (!settled) return mqFail(socket, cmd, 'not_in_flight');
+            return mqReply(socket, cmd);
+        }
+        case 'CANCEL': {
+            const consumer = consumers.get(key);
+            if (consumer) {
+                consumers.delete(key);
+                queue.removeConsumer(group, consumer);
+            }
+            return mqReply(socket, cmd);
+        }
+    }
+}
+
+function handleMqCommand(socket, cmd) {
+    if (!isFrameObject(cmd)) return mqSend(socket, { op: 'ERROR', id: null, error: 'invalid_command' });
+    const { patterns } = mqClients.get(socket);
+    switch (cmd.op) {
+        case 'SUBSCRIBE':
+        case 'UNSUBSCRIBE': {
+            const invalid = checkPattern(cmd.topic);
+            if (invalid) return mqFail(socket, cmd, invalid);
+            if (cmd.op === 'SUBSCRIBE') patterns.add(cmd.topic);
+            else patterns.delete(cmd.topic);
+            return mqReply(socket, cmd);
+        }
+        case 'PUBLISH': {
+            const invalid = checkTopic(cmd.topic);
+            if (invalid) return mqFail(socket, cmd, invalid);
+            const badHeaders = checkHeaders(cmd.headers);
+            if (badHeaders) return mqFail(socket, cmd, badHeaders);
+            console.log('Broker received:', cmd.topic);
+            const span = brokerSpan('PUBLISH', cmd.topic, cmd.headers);
+            const delivered = mqPublish(cmd.topic, cmd.data, cmd.headers);
+            span.setAttribute('messaging.delivered', delivered).end();
+            return mqReply(socket, cmd, { delivered });
+        }
+        case 'SEND':
+        case 'CONSUME':
+        case 'ACK':
+        case 'NACK':
+        case 'CANCEL':
+            return handleQueueCommand(socket, cmd).catch((err) => {
+                console.error('MQ queue error:', err);
+                mqFail(socket, cmd, 'internal_error');
+            });
+        case 'CONFIG': {
+            const client = mqClients.get(socket);
+            if (cmd.overflow !== undefined && !MQ_OVERFLOW_POLICIES.includes(cmd.overflow)) {
+                return mqFail(socket, cmd, `overflow must be one of ${MQ_OVERFLOW_POLICIES.join(', ')}`);
+            }
+            if (!checkInt(cmd.maxBuffered, 1, 1000000)) return mqFail(socket, cmd, 'maxBuffered must be an integer 1..1000000');
+            if (cmd.overflow !== undefined) client.overflow = cmd.overflow;
+            if (cmd.maxBuffered !== undefined) client.maxBuffered = cmd.maxBuffered;
+            return mqReply(socket, cmd, { maxBuffered: client.maxBuffered, overflow: client.overflow });
+        }
+        case 'STATS':
+            return mqReply(socket, cmd, { stats: mqStats() });
+        default:
+            return mqFail(socket, cmd, `unknown op: ${cmd.op}`);
+    }
+}
+
+const mqServer = net.createServer(socket => {
+    mqClients.set(socket, {
+        patterns: new Set(),
+        consumers: new Map(),
+        outbox: [],
+        buffered: 0,
+        maxBuffered: MQ_MAX_BUFFERED,
+        overflow: MQ_OVERFLOW,
+        dropped: 0,
+    });
+    socket.on('drain', () => mqFlush(socket));
+    socket.on('data', createDecoder(cmd => handleMqCommand(socket, cmd), (err) => {
+        mqSend(socket, { op: 'ERROR', id: null, error: err.message });
+        if (err.fatal) socket.end();
+    }));
+    socket.on('error', () => { });
+    socket.on('close', () => {
+        // 断开时连同它的订阅一起清除；没 ack 的消息交给同组的其他消费者
+        for (const [key, consumer] of mqClients.get(socket).consumers) {
+            const [queue, group] = key.split('\0');
+            mqQueues.get(queue).queue.removeConsumer(group, consumer);
+        }
+        mqClients.delete(socket);
     });
 });
-mqServer.listen(5000, () => console.log('MQ broker: tcp://localhost:5000'));
+mqServer.listen(MQ_PORT, () => announce(mqServer, 'mq', 'MQ broker: tcp', { type: 'tcp' }));
+
+// ---------------- 服务注册 ----------------
+// 设置了 REGISTRY_URL 时，三个服务监听成功后注册到注册中心（registry.js）并保持心跳，
+// 注册中心按 check 做健康检查；进程收到 SIGINT / SIGTERM 时先注销再退出。
+// SERVICE_HOST 是注册给别人用来连接的地址，默认 localhost。
+const serviceRegistry = process.env.REGISTRY_URL ? new RegistryClient({ url: process.env.REGISTRY_URL }) : null;
+const registrations = [];
+
+function announce(server, service, label, check) {
+    const { port } = server.address();
+    console.log(`${label}://localhost:${port}`);
+    if (!serviceRegistry) return;
+    registrations.push(serviceRegistry.register({
+        service,
+        id: `${service}-${INSTANCE_ID}`,
+        host: process.env.SERVICE_HOST || 'localhost',
+        port,
+        meta: { instance: INSTANCE_ID },
+        check,
+    }));
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        Promise.all(registrations.map(r => r.stop()).concat(tracing.flush())).finally(() => process.exit(0));
+    });
+}
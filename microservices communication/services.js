@@ -0,0 +1,155 @@
+// services.js
+// gRPC-like 服务的接口定义（相当于 .proto）：每个服务有哪些方法，入参和返回值是什么结构。
+// 服务端按它校验请求、通过 Reflection 对外公开；客户端据此生成桩（stub），不必再按字符串拼方法名。
+// 全名是 "服务名.方法名"，比如 "Calculator.add"；方法名在所有服务里唯一时也可以只写 "add"。
+//
+// kind 决定调用方式（默认 unary，见 protocol.js 的 METHOD_KINDS）：
+//   unary          input 是参数，output 是返回值
+//   server-stream  input 是参数，output 是服务端推送的每条消息
+//   client-stream  input 是客户端发送的每条消息，output 是流结束后的返回值
+//   bidi           input / output 分别是两个方向上的每条消息
+// idempotent: true 表示重复执行没有副作用：连接出问题（UNAVAILABLE）时客户端可以自动重试，
+// 哪怕请求可能已经到了服务端。没标的方法只在请求确定没发出去时才重试。
+// http: { method, path } 让 HTTP 网关（gateway.js）在 POST /rpc/<服务名>/<方法名> 之外再映射一条路由，
+// path 里的 {字段} 取自同名参数。
+
+const number = { type: 'number' };
+
+module.exports = {
+    Greeter: {
+        description: '打招呼',
+        methods: {
+            sayHello: {
+                description: '返回一句问候',
+                idempotent: true,
+                http: { method: 'GET', path: '/v1/hello/{name}' },
+                input: {
+                    type: 'object',
+                    properties: { name: { type: 'string', minLength: 1, maxLength: 100 } },
+                    required: ['name'],
+                    additionalProperties: false,
+                },
+                output: {
+                    type: 'object',
+                    properties: { message: { type: 'string' } },
+                    required: ['message'],
+                },
+            },
+        },
+    },
+
+    Calculator: {
+        description: '数值计算',
+        methods: {
+            add: {
+                description: 'a + b',
+                idempotent: true,
+                http: { method: 'GET', path: '/v1/add' },
+                input: {
+                    type: 'object',
+                    properties: { a: number, b: number },
+                    required: ['a', 'b'],
+                    additionalProperties: false,
+                },
+                output: {
+                    type: 'object',
+                    properties: { result: number },
+                    required: ['result'],
+                },
+            },
+            sleep: {
+                description: '等待 ms 毫秒后返回（演示乱序返回和 deadline）',
+                idempotent: true,
+                input: {
+                    type: 'object',
+                    properties: { ms: { type: 'integer', minimum: 0, maximum: 60000 } },
+                    required: ['ms'],
+                    additionalProperties: false,
+                },
+                output: {
+                    type: 'object',
+                    properties: { slept: { type: 'integer' } },
+                    required: ['slept'],
+                },
+            },
+            sum: {
+                kind: 'client-stream',
+                description: '客户端逐条发送数字，结束后返回总和',
+                input: {
+                    type: 'object',
+                    properties: { value: number },
+                    required: ['value'],
+                    additionalProperties: false,
+                },
+                output: {
+                    type: 'object',
+                    properties: { sum: number, count: { type: 'integer' } },
+                    required: ['sum', 'count'],
+                },
+            },
+            runningTotal: {
+                kind: 'bidi',
+                description: '每收到一个数字，回一条当前累计值',
+                input: {
+                    type: 'object',
+                    properties: { value: number },
+                    required: ['value'],
+                    additionalProperties: false,
+                },
+                output: {
+                    type: 'object',
+                    properties: { total: number },
+                    required: ['total'],
+                },
+            },
+        },
+    },
+
+    Health: {
+        description: '健康检查，负载均衡和注册中心用',
+        methods: {
+            check: {
+                description: '返回实例状态和实例 id',
+                idempotent: true,
+                input: { type: 'object', additionalProperties: false },
+                output: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['SERVING', 'NOT_SERVING'] },
+                        instance: { type: 'string' },
+                    },
+                    required: ['status', 'instance'],
+                },
+            },
+        },
+    },
+
+    Dataset: {
+        description: '大数据集分页读取',
+        methods: {
+            scan: {
+                kind: 'server-stream',
+                description: '按页推送 0..count-1，每页 pageSize 条；delayMs 模拟每页的读取耗时',
+                input: {
+                    type: 'object',
+                    properties: {
+                        count: { type: 'integer', minimum: 0, maximum: 10000000 },
+                        pageSize: { type: 'integer', minimum: 1, maximum: 1000 },
+                        delayMs: { type: 'integer', minimum: 0, maximum: 10000 },
+                    },
+                    required: ['count'],
+                    additionalProperties: false,
+                },
+                output: {
+                    type: 'object',
+                    properties: {
+                        offset: { type: 'integer' },
+                        items: { type: 'array', items: { type: 'integer' } },
+                        progress: { type: 'number', minimum: 0, maximum: 1 },
+                    },
+                    required: ['offset', 'items', 'progress'],
+                },
+            },
+        },
+    },
+};
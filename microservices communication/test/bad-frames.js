@@ -0,0 +1,79 @@
+// bad-frames.js
+// 往 RPC 端口和 MQ 端口发不是对象的 JSON 帧（null、数组、数字、字符串）：每帧回一个错误
+// （RPC 是 INVALID_FRAME，MQ 是 op: ERROR），连接不断，之后同一条连接上的正常调用 / 命令照常返回，
+// 服务器进程也还活着；timeout 超过上限的调用回 INVALID_ARGUMENT。任何一项不对时退出码为 1
+const net = require('net');
+const { createDecoder, MAX_TIMEOUT, ERROR_CODES } = require('../protocol');
+
+const BAD_FRAMES = ['null', '[]', '42', '"hello"', 'true'];
+let failed = 0;
+
+function check(label, ok, detail) {
+    console.log(`${ok ? 'ok  ' : 'FAIL'}  ${label}${ok ? '' : ` — ${detail}`}`);
+    if (!ok) failed++;
+}
+
+// 连上 port，逐行写 lines，收满 count 帧应答后返回它们
+function exchange(port, lines, count) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ port });
+        const frames = [];
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error(`only ${frames.length}/${count} replies within 3s`));
+        }, 3000);
+        socket.on('data', createDecoder((frame) => {
+            frames.push(frame);
+            if (frames.length < count) return;
+            clearTimeout(timer);
+            socket.end();
+            resolve(frames);
+        }));
+        socket.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        socket.write(lines.map(line => line + '\n').join(''));
+    });
+}
+
+async function rpc() {
+    const lines = BAD_FRAMES.concat(JSON.stringify({ id: 1, method: 'add', params: { a: 3, b: 5 } }));
+    const replies = await exchange(4000, lines, lines.length);
+    BAD_FRAMES.forEach((frame, i) => {
+        check(`RPC ${frame}`, replies[i].code === ERROR_CODES.INVALID_FRAME, JSON.stringify(replies[i]));
+    });
+    const last = replies[replies.length - 1];
+    check('RPC 之后同一连接上的 add', last.id === 1 && last.success && last.data.result === 8, JSON.stringify(last));
+    // 新连接也还能用：进程没有崩
+    const [again] = await exchange(4000, [JSON.stringify({ id: 2, method: 'add', params: { a: 1, b: 1 } })], 1);
+    check('RPC 新连接', again.success && again.data.result === 2, JSON.stringify(again));
+    // timeout 超过定时器上限：参数错误，而不是 1 毫秒后就 DEADLINE_EXCEEDED
+    const [tooLong, longest] = await exchange(4000, [
+        JSON.stringify({ id: 3, method: 'add', params: { a: 1, b: 2 }, timeout: MAX_TIMEOUT + 1 }),
+        JSON.stringify({ id: 4, method: 'add', params: { a: 1, b: 2 }, timeout: MAX_TIMEOUT }),
+    ], 2);
+    check('RPC timeout 超过上限', tooLong.code === ERROR_CODES.INVALID_ARGUMENT, JSON.stringify(tooLong));
+    check('RPC timeout 正好是上限', longest.success && longest.data.result === 3, JSON.stringify(longest));
+}
+
+async function mq() {
+    const lines = BAD_FRAMES.concat(JSON.stringify({ id: 1, op: 'STATS' }));
+    const replies = await exchange(5000, lines, lines.length);
+    BAD_FRAMES.forEach((frame, i) => {
+        check(`MQ ${frame}`, replies[i].op === 'ERROR' && replies[i].id === null, JSON.stringify(replies[i]));
+    });
+    const last = replies[replies.length - 1];
+    check('MQ 之后同一连接上的 STATS', last.op === 'OK' && last.id === 1 && !!last.stats, JSON.stringify(last));
+}
+
+(async () => {
+    try {
+        await rpc();
+        await mq();
+    } catch (e) {
+        check('服务器还在应答', false, e.message);
+    }
+    console.log(failed ? `${failed} 项失败` : '全部通过');
+    process.exitCode = failed ? 1 : 0;
+})();
@@ -0,0 +1,89 @@
+// discovery.js
+// 演示服务注册与客户端负载均衡：起一个注册中心和 3 个 server.js 实例（随机端口），
+// 按服务名调用 RPC / REST / MQ，然后杀掉一个实例，看它怎样被移出轮转
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { createRegistry } = require('../registry');
+const { RegistryClient, createRestClient } = require('../discovery');
+const { RpcPool } = require('../rpc-client');
+const { MqClient } = require('../mq-client');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const REGISTRY_PORT = 8599;
+const REGISTRY_URL = `http://localhost:${REGISTRY_PORT}`;
+
+function startInstance(n) {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: Object.assign({}, process.env, {
+            REGISTRY_URL,
+            INSTANCE_ID: `inst-${n}`,
+            REST_PORT: '0',
+            RPC_PORT: '0',
+            MQ_PORT: '0',
+            MQ_DATA_DIR: path.join(os.tmpdir(), `mq-data-inst-${n}`),
+        }),
+        stdio: 'ignore',
+    });
+    return child;
+}
+
+async function tally(label, calls) {
+    const counts = {};
+    for (const instance of await calls) counts[instance] = (counts[instance] || 0) + 1;
+    console.log(label, counts);
+}
+
+(async () => {
+    const registryServer = createRegistry({ log: msg => console.log('  ' + msg) }).listen(REGISTRY_PORT);
+    const children = [1, 2, 3].map(startInstance);
+    const registry = new RegistryClient({ url: REGISTRY_URL });
+    while ((await registry.resolve('rpc', { fresh: true })).length < 3) await wait(200);
+
+    // round-robin：依次落在 3 个实例上
+    const pool = new RpcPool({ service: 'rpc', registry });
+    const rr = [];
+    for (let i = 0; i < 6; i++) rr.push((await pool.call('Health.check')).instance);
+    await tally('round-robin 6 次调用:', rr);
+
+    // least-outstanding：两个慢调用占住两个实例，后面的快调用都落到空闲的那个上
+    const lo = new RpcPool({ service: 'rpc', registry, strategy: 'least-outstanding' });
+    const slow = [lo.call('sleep', { ms: 800 }), lo.call('sleep', { ms: 800 })];
+    const quick = [];
+    for (let i = 0; i < 4; i++) quick.push((await lo.call('Health.check')).instance);
+    await tally('least-outstanding 慢调用进行中时的 4 次快调用:', quick);
+    await Promise.all(slow);
+
+    // REST 和 MQ 同样按服务名解析
+    const rest = createRestClient({ registry });
+    const restHits = [];
+    for (let i = 0; i < 3; i++) restHits.push((await rest.request('GET', '/health')).data.instance);
+    await tally('REST /health 3 次:', restHits);
+    const mq = new MqClient({ service: 'mq', registry });
+    await mq.subscribe('discovery.demo', data => console.log('MQ 收到:', data));
+    await mq.publish('discovery.demo', 'hello via registry');
+
+    // 直接杀掉 inst-3（来不及注销）：客户端连续失败几次后先把它剔除，注册中心随后也会通过健康检查/TTL 移除它
+    children[2].kill('SIGKILL');
+    await wait(300);
+    const afterKill = [];
+    for (let i = 0; i < 9; i++) {
+        afterKill.push(await pool.call('Health.check').then(r => r.instance, e => `失败(${e.code || e.message})`));
+    }
+    await tally('杀掉 inst-3 后 9 次调用:', afterKill);
+    console.log('等待注册中心发现 inst-3 不健康...');
+    while ((await registry.resolve('rpc', { fresh: true })).length > 2) await wait(1000);
+    console.log('注册中心里健康的 rpc 实例:', (await registry.resolve('rpc', { fresh: true })).map(i => i.meta.instance));
+
+    // 正常退出的实例会主动注销
+    children[1].kill('SIGTERM');
+    await wait(500);
+    console.log('inst-2 正常退出后:', (await registry.resolve('rpc', { fresh: true })).map(i => i.meta.instance));
+
+    mq.close();
+    pool.close();
+    lo.close();
+    children[0].kill('SIGTERM');
+    await wait(300);
+    registryServer.close();
+})();
@@ -0,0 +1,48 @@
+// gateway.js
+// 演示 HTTP/JSON 网关：用普通 HTTP 请求调用 RPC 方法（unary、映射路由、流式），看错误码怎样换成 HTTP 状态码，
+// 最后取 OpenAPI 描述。需要先启动 server.js（REST 端口 3000）
+const http = require('http');
+
+function request(method, path, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port: 3000, method, path, headers: Object.assign({ 'Content-Type': 'application/json' }, headers) }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], text }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined || typeof body === 'string' ? body : JSON.stringify(body)); // 字符串原样发送
+    });
+}
+
+async function show(label, method, path, body, headers) {
+    const res = await request(method, path, body, headers);
+    console.log(`${label}: ${res.status}`, res.text.trim());
+}
+
+(async () => {
+    await show('POST /rpc/Calculator/add', 'POST', '/rpc/Calculator/add', { a: 3, b: 5 });
+    await show('GET /v1/add?a=1.5&b=2', 'GET', '/v1/add?a=1.5&b=2');
+    await show('GET /v1/hello/gateway', 'GET', '/v1/hello/gateway');
+
+    // 错误码 => HTTP 状态码
+    await show('参数不合法', 'POST', '/rpc/Calculator/add', { a: 'x', b: 1 });
+    await show('body 不是 JSON', 'POST', '/rpc/Calculator/add', '{"a": 1,');
+    await show('没有这个方法', 'POST', '/rpc/Calculator/nope', {});
+    await show('超时（X-Timeout-Ms: 100）', 'POST', '/rpc/Calculator/sleep', { ms: 2000 }, { 'X-Timeout-Ms': '100' });
+    await show('GET /rpc/...', 'GET', '/rpc/Calculator/add');
+    await show('路径里坏掉的 %xx', 'GET', '/v1/hello/%E0%A4%A');
+    await show('方法名里坏掉的 %xx', 'POST', '/rpc/Calculator/%E0%A4%A', {});
+
+    // 流式：client-stream 的 body 是消息数组；server-stream / bidi 的响应是 NDJSON
+    await show('client-stream sum', 'POST', '/rpc/Calculator/sum', [{ value: 1 }, { value: 2 }, { value: 3 }]);
+    const scan = await request('POST', '/rpc/Dataset/scan', { count: 5, pageSize: 2 });
+    console.log(`server-stream scan: ${scan.status} ${scan.type}\n${scan.text.trim()}`);
+    const totals = await request('POST', '/rpc/Calculator/runningTotal', [{ value: 1 }, { value: 2 }, { value: 'x' }]);
+    console.log(`bidi runningTotal（第三条不合法）: ${totals.status}\n${totals.text.trim()}`);
+
+    const spec = JSON.parse((await request('GET', '/openapi.json')).text);
+    console.log(`OpenAPI ${spec.openapi}，路径:`, Object.keys(spec.paths));
+    console.log('GET /v1/add 的参数:', spec.paths['/v1/add'].get.parameters.map(p => p.name || p.$ref));
+})();
@@ -1,21 +1,45 @@
 // grpc-like-client.js
-const net = require('net');
-
-function call(method, params) {
-    return new Promise((resolve) => {
-        const client = net.createConnection({ port: 4000 }, () => {
-            client.write(JSON.stringify({ method, params }));
-        });
-        client.on('data', data => {
-            resolve(JSON.parse(data.toString()));
-            client.end();
-        });
-    });
-}
+const { RpcClient } = require('../rpc-client');
 
 (async () => {
-    console.log(await call('sayHello', { name: 'wxc' }));
-    console.log(await call('add', { a: 3, b: 5 }));
+    const client = new RpcClient({ port: 4000 });
+
+    console.log(await client.call('sayHello', { name: 'wxc' }));
+    console.log(await client.call('add', { a: 3, b: 5 }));
+
+    // 同一条连接上并发发出多个调用：耗时短的先返回，结果仍然对应到各自的调用
+    const started = Date.now();
+    const results = await Promise.all([300, 100, 200].map(ms =>
+        client.call('sleep', { ms }).then((r) => {
+            console.log(`sleep ${ms}ms 返回于 +${Date.now() - started}ms`, r);
+            return r;
+        })));
+    console.log('Promise.all 按调用顺序:', results);
+
+    // 大量并发调用同样共用这一条连接
+    const sums = await Promise.all(Array.from({ length: 1000 }, (_, i) => client.call('add', { a: i, b: i })));
+    console.log('1000 个并发 add 全部正确:', sums.every((r, i) => r.result === 2 * i));
+
+    try {
+        await client.call('nope');
+    } catch (e) {
+        console.log('未知方法:', e.code, e.message);
+    }
+
+    // 参数按 services.js 的定义校验，add 不再把字符串拼起来
+    try {
+        await client.call('Calculator.add', { a: '3', b: 5 });
+    } catch (e) {
+        console.log('参数不合法:', e.code, e.details);
+    }
+
+    // 用 Reflection 生成的桩调用，不用再按字符串写方法名；参数在本地就先校验
+    const calc = await client.stub('Calculator');
+    const greeter = await client.stub('Greeter');
+    console.log(await calc.add({ a: 1.5, b: 2 }), await greeter.sayHello({ name: 'stub' }));
+    await calc.add({ a: 1 }).catch(e => console.log('本地校验:', e.code, e.details));
+
+    client.close();
 })();
 
-// grpc 就是远程过程调用，整体的逻辑还是 处理请求返回响应。在 grpc 里面，预先定义可以进行的一些操作，数据形式，然后客户端在发送数据的时候，带上要指定的操作，还有数据。
\ No newline at end of file
+// grpc 就是远程过程调用，整体的逻辑还是 处理请求返回响应。在 grpc 里面，预先定义可以进行的一些操作，数据形式，然后客户端在发送数据的时候，带上要指定的操作，还有数据。
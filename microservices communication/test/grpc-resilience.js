@@ -0,0 +1,89 @@
+// grpc-resilience.js
+// 演示 RPC 客户端的可靠性：deadline 传到服务端、AbortSignal 取消、幂等方法的退避重试、熔断器。
+// 需要先启动 server.js（RPC 端口 4000）；重试部分会自己在 4100 端口再起一个 server.js
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { RpcClient } = require('../rpc-client');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describe(err) {
+    return `${err.code}（${err.message}）`;
+}
+
+async function timed(label, promise) {
+    const started = Date.now();
+    try {
+        console.log(label, await promise, `${Date.now() - started}ms`);
+    } catch (err) {
+        console.log(label, describe(err), `${Date.now() - started}ms`);
+    }
+}
+
+(async () => {
+    const client = new RpcClient({ port: 4000 });
+    const stubs = await client.stub('Calculator');
+
+    // deadline：服务端收到剩余时间，到期后放弃 sleep（看服务端日志），客户端在 200ms 时拿到 DEADLINE_EXCEEDED
+    await timed('sleep 2000ms，timeout 200ms:', stubs.sleep({ ms: 2000 }, { timeout: 200 }));
+
+    // 取消：abort 之后客户端立即 reject，服务端同样收到 cancel
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    await timed('sleep 2000ms，100ms 后 abort:', stubs.sleep({ ms: 2000 }, { signal: controller.signal }));
+
+    // 流的 deadline：读到一半时到期，for await 抛出 DEADLINE_EXCEEDED
+    const scan = client.stream('Dataset.scan', { count: 1000, pageSize: 10, delayMs: 50 }, { timeout: 300 });
+    let pages = 0;
+    try {
+        for await (const page of scan) pages = page.offset / 10 + 1;
+    } catch (err) {
+        console.log(`scan 在已读 ${pages} 页时结束:`, describe(err));
+    }
+
+    // 重试：4100 端口一开始没有服务，幂等方法按退避重试，等服务起来就成功；非幂等方法同样会重试，
+    // 因为请求根本没发出去（连不上）
+    const retrying = new RpcClient({
+        port: 4100,
+        breaker: false, // 这里只看重试，熔断器在后面单独演示
+        retry: {
+            maxAttempts: 8,
+            baseDelay: 100,
+            onRetry: ({ method, attempt, delay, error }) => console.log(`  ${method} 第 ${attempt} 次失败（${error.code}），${delay}ms 后重试`),
+        },
+    });
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: Object.assign({}, process.env, {
+            RPC_PORT: '4100',
+            REST_PORT: '0',
+            MQ_PORT: '0',
+            MQ_DATA_DIR: path.join(os.tmpdir(), 'mq-data-resilience'),
+        }),
+        stdio: 'ignore',
+    });
+    await timed('4100 上的服务还在启动，Calculator.add:', retrying.call('Calculator.add', { a: 1, b: 2 }, { idempotent: true }));
+
+    // 请求已经发出去之后连接断了：幂等方法重试，非幂等方法不敢重试，直接报 UNAVAILABLE
+    const inFlight = [
+        retrying.call('Calculator.sleep', { ms: 1000 }, { idempotent: false }),
+        retrying.call('Calculator.sleep', { ms: 1000 }, { idempotent: true, timeout: 800 }),
+    ];
+    await wait(100);
+    child.kill('SIGKILL');
+    await timed('请求发出后服务端挂掉，非幂等:', inFlight[0]);
+    await timed('请求发出后服务端挂掉，幂等（重试到 deadline 为止）:', inFlight[1]);
+    retrying.close();
+
+    // 熔断器：连续 3 次连不上后打开，之后的调用不再尝试连接，直接失败；resetTimeout 后半开放一个试探
+    const broken = new RpcClient({ port: 4100, retry: { maxAttempts: 1 }, breaker: { failureThreshold: 3, resetTimeout: 500 } });
+    for (let i = 1; i <= 5; i++) {
+        await timed(`熔断演示第 ${i} 次（${broken.breaker.state}）:`, broken.call('Calculator.add', { a: 1, b: 1 }));
+    }
+    await wait(600);
+    await timed('等待 resetTimeout 后放行一次试探:', broken.call('Calculator.add', { a: 1, b: 1 }));
+    console.log('试探失败后熔断器:', broken.breaker.state);
+
+    broken.close();
+    client.close();
+})();
@@ -0,0 +1,62 @@
+// grpc-stream.js
+// 演示流式调用：server-stream、client-stream、bidi，以及流控和取消
+const { RpcClient } = require('../rpc-client');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+    const client = new RpcClient({ port: 4000 });
+
+    // server-stream：服务端按页推送，for await 逐页读
+    for await (const page of client.stream('Dataset.scan', { count: 1000, pageSize: 250 })) {
+        console.log(`scan offset=${page.offset} 共 ${page.items.length} 条 进度 ${Math.round(page.progress * 100)}%`);
+    }
+
+    // 流控：读得慢时，客户端最多攒一个窗口（16 条），服务端的 send 停在那里等额度
+    const big = client.stream('Dataset.scan', { count: 1000000, pageSize: 10 });
+    const iterator = big[Symbol.asyncIterator]();
+    await iterator.next();
+    await wait(200);
+    console.log('慢消费者缓冲的消息数:', big.inbox.length);
+
+    // 取消：break 会发 cancel，服务端的实现随之停止
+    let pages = 0;
+    for await (const page of big) {
+        if (++pages === 3) break;
+    }
+    await big.response.catch(e => console.log('取消后 response:', e.code, '已读页数', pages));
+
+    // client-stream：逐条发送，超过窗口的部分要等服务端还额度
+    const sum = client.stream('Calculator.sum');
+    for (let i = 1; i <= 100; i++) await sum.send({ value: i });
+    sum.end();
+    console.log('sum:', await sum.response);
+
+    // bidi：一边发一边读
+    const totals = client.stream('Calculator.runningTotal');
+    const reading = (async () => {
+        const seen = [];
+        for await (const { total } of totals) seen.push(total);
+        return seen;
+    })();
+    for (const value of [1, 2, 3, 4]) await totals.send({ value });
+    totals.end();
+    console.log('runningTotal:', await reading);
+
+    // 出错：消息不符合定义，服务端以错误结束帧结束这个流
+    const bad = client.stream('Calculator.sum');
+    await bad.send({ value: 'x' });
+    await bad.response.catch(e => console.log('消息不合法:', e.code, e.details));
+
+    // 桩：server-stream 方法返回 ClientCall，client-stream / bidi 的消息在本地先校验
+    const dataset = await client.stub('Dataset');
+    const calc = await client.stub('Calculator');
+    for await (const page of dataset.scan({ count: 5, pageSize: 2 })) console.log('stub scan:', page.items);
+    const local = calc.sum();
+    await local.send({ value: '1' }).catch(e => console.log('本地校验:', e.code, e.details));
+    local.cancel();
+
+    // 流和普通调用共用同一条连接
+    console.log(await client.call('add', { a: 1, b: 2 }));
+    client.close();
+})();
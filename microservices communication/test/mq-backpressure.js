@@ -0,0 +1,58 @@
+// mq-backpressure.js
+// 演示慢消费者：两个订阅者停止读 socket，broker 给每个只积压 100 条，
+// 一个按 drop-oldest 丢旧消息，一个按 disconnect 被断开；正常的订阅者和 broker 都不受影响
+const net = require('net');
+const { MqClient } = require('../mq-client');
+const { encode, createDecoder } = require('../protocol');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const TOTAL = 20000;
+const payload = 'x'.repeat(1024);
+
+// 直接用 socket，方便让它"卡住"不读
+function slowSubscriber(overflow, onMessage) {
+    const socket = net.createConnection({ port: 5000 });
+    socket.on('data', createDecoder((msg) => {
+        if (msg.op === 'MESSAGE') onMessage(msg);
+    }));
+    socket.on('error', () => { });
+    socket.write(encode({ op: 'CONFIG', maxBuffered: 100, overflow }));
+    socket.write(encode({ id: 1, op: 'SUBSCRIBE', topic: 'flood.#' }));
+    return socket;
+}
+
+(async () => {
+    const fast = new MqClient({ port: 5000 });
+    const producer = new MqClient({ port: 5000 });
+    let fastCount = 0;
+    await fast.subscribe('flood.#', () => fastCount++);
+
+    const received = [];
+    const dropOldest = slowSubscriber('drop-oldest', msg => received.push(msg.data.seq));
+    const disconnect = slowSubscriber('disconnect', () => { });
+    await wait(200);
+    dropOldest.pause();
+    disconnect.pause();
+
+    for (let seq = 0; seq < TOTAL; seq += 500) {
+        await Promise.all(Array.from({ length: 500 }, (_, i) => producer.publish('flood.data', { seq: seq + i, payload })));
+    }
+    await wait(200);
+
+    const stats = await producer.stats();
+    const slow = stats.clients.find(c => c.overflow === 'drop-oldest' && c.maxBuffered === 100);
+    console.log(`发布 ${stats.published} 条，正常订阅者收到 ${fastCount} 条`);
+    console.log(`drop-oldest 订阅者积压 ${slow.buffered} 条，丢弃 ${slow.dropped} 条；` +
+        `disconnect 订阅者还在连接列表里: ${stats.clients.some(c => c.overflow === 'disconnect')}`);
+    console.log('broker 统计:', { dropped: stats.dropped, slowConsumerDisconnects: stats.slowConsumerDisconnects, buffered: stats.buffered });
+
+    // 慢消费者恢复读取：先收到 socket 缓冲里的旧消息，然后是 outbox 里保留的最新 100 条
+    dropOldest.resume();
+    await wait(500);
+    console.log(`drop-oldest 订阅者恢复后收到 ${received.length} 条，最后一条 seq=${received[received.length - 1]}`);
+
+    dropOldest.end();
+    disconnect.destroy();
+    fast.close();
+    producer.close();
+})();
@@ -1,12 +1,25 @@
 // mq-client.js
-const net = require('net');
-const client = net.createConnection({ port: 5000 });
+// 演示主题订阅：一个消费者订阅 orders.*，另一个订阅 logs.#，生产者往不同主题发消息
+const { MqClient } = require('../mq-client');
 
-client.on('data', data => {
-    console.log('Received from broker:', data.toString());
-});
+(async () => {
+    const orders = new MqClient({ port: 5000 });
+    const logs = new MqClient({ port: 5000 });
+    const producer = new MqClient({ port: 5000 });
 
-// 模拟生产消息
-setInterval(() => {
-    client.write('Hello MQ at ' + new Date().toISOString());
-}, 2000);
+    await orders.subscribe('orders.*', (data, topic) => console.log('[orders 消费者]', topic, data));
+    const offLogs = await logs.subscribe('logs.#', (data, topic) => console.log('[logs 消费者]', topic, data));
+
+    // orders.* 只匹配一段，orders.eu.created 没人收；logs.# 匹配 logs 下的任意层级
+    for (const topic of ['orders.created', 'orders.eu.created', 'logs', 'logs.app.error', 'metrics.cpu']) {
+        const { delivered } = await producer.publish(topic, { at: new Date().toISOString() });
+        console.log(`发布 ${topic} => 投递给 ${delivered} 个客户端`);
+    }
+
+    await offLogs();
+    console.log('logs 退订后发布 logs.app.error => 投递给', (await producer.publish('logs.app.error', 'bye')).delivered);
+
+    await producer.publish('orders.*', {}).catch(e => console.log('发布主题不能带通配符:', e.message));
+
+    setTimeout(() => [orders, logs, producer].forEach(c => c.close()), 100);
+})();
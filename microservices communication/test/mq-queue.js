@@ -0,0 +1,48 @@
+// mq-queue.js
+// 演示持久化队列：没有消费者时消息先存着；消费组内分摊、组间各收一份；失败重投、进死信队列；可见性超时
+const { MqClient } = require('../mq-client');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+    const producer = new MqClient({ port: 5000 });
+    const workerA = new MqClient({ port: 5000 });
+    const workerB = new MqClient({ port: 5000 });
+    const auditor = new MqClient({ port: 5000 });
+
+    // 这时还没有任何消费者，消息落盘等着
+    for (let n = 1; n <= 6; n++) await producer.send('demo.jobs', { n });
+    console.log('已发送 6 条，暂无消费者');
+
+    // workers 组的两个消费者分摊；audit 组单独收到全部 6 条
+    const seen = { A: [], B: [], audit: [] };
+    await workerA.consume('demo.jobs', async ({ n }) => { seen.A.push(n); await wait(20); }, { group: 'workers', prefetch: 1 });
+    await workerB.consume('demo.jobs', async ({ n }) => { seen.B.push(n); await wait(20); }, { group: 'workers', prefetch: 1 });
+    await auditor.consume('demo.jobs', ({ n }) => { seen.audit.push(n); }, { group: 'audit' });
+    await wait(300);
+    console.log('workers 组: A 处理了', seen.A, 'B 处理了', seen.B, '；audit 组:', seen.audit);
+
+    // 一直失败的消息：每次抛错都会 nack 重投，达到最大投递次数（默认 5）后进 demo.flaky.dlq
+    await workerA.consume('demo.flaky', (data, delivery) => {
+        console.log(`flaky 第 ${delivery.attempt} 次投递`);
+        throw new Error('boom');
+    });
+    await producer.send('demo.flaky', { poison: true });
+    await wait(300);
+    const stopDlq = await auditor.consume('demo.flaky.dlq', (data, delivery) => {
+        console.log('死信队列收到:', data, delivery.meta);
+    });
+
+    // 可见性超时：拿到消息不 ack 也不 nack，500ms 后 broker 把它投给别人
+    let slowAttempts = 0;
+    await workerB.consume('demo.slow', (data, delivery) => {
+        slowAttempts = delivery.attempt;
+        if (delivery.attempt === 1) return new Promise(() => { }); // 卡住
+    }, { visibilityTimeout: 500 });
+    await producer.send('demo.slow', { slow: true });
+    await wait(1200);
+    console.log('demo.slow 投递次数:', slowAttempts);
+
+    await stopDlq();
+    [producer, workerA, workerB, auditor].forEach(c => c.close());
+})();
@@ -6,6 +6,10 @@ $writer = New-Object System.IO.StreamWriter($stream)
 
 Write-Host "MQ Client connected. Listening messages..."
 
+# 每行一个 JSON 命令：先订阅 demo 下的所有主题
+$writer.WriteLine('{"op":"SUBSCRIBE","topic":"demo.#"}')
+$writer.Flush()
+
 # 后台异步任务接收消息
 Start-Job -ScriptBlock {
     param($reader)
@@ -19,7 +23,7 @@ Start-Job -ScriptBlock {
 
 # 模拟每隔 2s 发送消息
 for ($i=0; $i -lt 5; $i++) {
-    $msg = "Hello MQ $i at $(Get-Date)"
+    $msg = ConvertTo-Json @{ op="PUBLISH"; topic="demo.ps1"; data="Hello MQ $i at $(Get-Date)" } -Compress
     $writer.WriteLine($msg)
     $writer.Flush()
     Start-Sleep -Seconds 2
@@ -0,0 +1,83 @@
+// tracing.js
+// 演示跨 REST / RPC / MQ 的分布式追踪：起一个追踪收集器和一个 server.js（3100 / 4100 / 5100 端口），
+// 发一个 POST /greet：REST -> RPC Greeter.sayHello -> MQ 主题 greetings.sent -> 订阅者再调 RPC、发到队列 emails
+// -> 队列消费者。最后从收集器取出这个 trace，按父子关系打印出来
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { spawn } = require('child_process');
+const tracing = require('../tracing');
+const { createCollector } = require('../trace-collector');
+const { MqClient } = require('../mq-client');
+const { RpcClient } = require('../rpc-client');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const COLLECTOR_PORT = 4399;
+const COLLECTOR = `http://localhost:${COLLECTOR_PORT}`;
+
+function request(method, port, path, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path, headers: Object.assign({ 'Content-Type': 'application/json' }, headers) }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, text }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+(async () => {
+    const collector = createCollector().listen(COLLECTOR_PORT);
+    tracing.configure({ serviceName: 'tracing-demo', export: `${COLLECTOR}/v1/traces` });
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: Object.assign({}, process.env, {
+            REST_PORT: '3100',
+            RPC_PORT: '4100',
+            MQ_PORT: '5100',
+            MQ_DATA_DIR: path.join(os.tmpdir(), 'mq-data-tracing'),
+            TRACE_EXPORT: `${COLLECTOR}/v1/traces`,
+            TRACE_SERVICE_NAME: 'server',
+        }),
+        stdio: 'ignore',
+    });
+    while (!(await request('GET', 3100, '/health').catch(() => null))) await wait(100);
+
+    // 订阅者：处理消息时再调一次 RPC、往队列发一条，它们都挂在"处理消息"的 span 下面
+    const mq = new MqClient({ port: 5100 });
+    const rpc = new RpcClient({ port: 4100 });
+    const done = new Promise((resolve) => {
+        mq.consume('emails', async (data) => {
+            console.log('队列 emails 收到:', data);
+            resolve();
+        });
+    });
+    await mq.subscribe('greetings.*', async (data) => {
+        console.log('订阅者收到:', data);
+        const { result } = await rpc.call('Calculator.add', { a: data.message.length, b: 0 });
+        await mq.send('emails', { to: data.name, length: result });
+    });
+
+    // 调用方自己的 span 作为整个 trace 的根，traceparent 放进请求头
+    const span = tracing.startSpan('POST /greet', { kind: 'client' });
+    const res = await request('POST', 3100, '/greet', { name: 'trace' }, tracing.inject(span));
+    span.setAttribute('http.response.status_code', res.status).end();
+    console.log(`POST /greet: ${res.status} ${res.text}`);
+    console.log('traceparent:', span.traceparent);
+    await done;
+
+    // 导出是每秒一批；server 收到 SIGTERM 时也会把剩下的导出去
+    await wait(200);
+    await tracing.flush();
+    server.kill('SIGTERM');
+    await new Promise(resolve => server.once('exit', resolve));
+
+    const tree = await request('GET', COLLECTOR_PORT, `/traces/${span.traceId}?format=text`);
+    console.log(`\ntrace ${span.traceId}:\n${tree.text}`);
+    console.log('收集器里的 trace:', JSON.parse((await request('GET', COLLECTOR_PORT, '/traces')).text));
+
+    mq.close();
+    rpc.close();
+    collector.close();
+})();
@@ -0,0 +1,192 @@
+// trace-collector.js
+// 本地的追踪收集器（代替 Jaeger / Zipkin / OTel Collector 用来看效果），HTTP + JSON，默认端口 4318。
+// 各进程设置 TRACE_EXPORT 指向它（见 tracing.js），span 都收在内存里，按 trace 查看。
+//
+//   node trace-collector.js [port]
+//   TRACE_EXPORT=http://localhost:4318/v1/traces node server.js                          # OTLP/JSON
+//   TRACE_EXPORT=http://localhost:4318/api/v2/spans TRACE_FORMAT=zipkin node server.js   # Zipkin v2 JSON
+//
+//   POST /v1/traces          OTLP/JSON 格式的 span
+//   POST /api/v2/spans       Zipkin v2 JSON 格式的 span
+//   GET  /traces             最近的 trace：[{ traceId, root, services, spans, durationMs }]
+//   GET  /traces/<traceId>   这个 trace 的所有 span；?format=text 时按父子关系缩进成一棵树
+//
+// 两种格式收进来以后统一成 { traceId, spanId, parentSpanId, name, kind, service, start, duration, error, attributes }，
+// 时间单位是毫秒。最多保留 MAX_SPANS 个 span，多了丢最早的。
+
+const http = require('http');
+
+const MAX_SPANS = 20000;
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+const OTLP_KINDS = [undefined, 'internal', 'server', 'client', 'producer', 'consumer'];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) req.destroy(new Error('body too large'));
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(new Error('invalid json'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function otlpValue(value) {
+    if (!value) return undefined;
+    if ('stringValue' in value) return value.stringValue;
+    if ('intValue' in value) return Number(value.intValue);
+    if ('doubleValue' in value) return value.doubleValue;
+    if ('boolValue' in value) return value.boolValue;
+    return undefined;
+}
+
+function fromOtlp(body) {
+    const spans = [];
+    for (const rs of body.resourceSpans || []) {
+        const resource = {};
+        for (const a of (rs.resource && rs.resource.attributes) || []) resource[a.key] = otlpValue(a.value);
+        for (const ss of rs.scopeSpans || []) {
+            for (const s of ss.spans || []) {
+                const attributes = {};
+                for (const a of s.attributes || []) attributes[a.key] = otlpValue(a.value);
+                const start = Number(BigInt(s.startTimeUnixNano) / 1000n) / 1000;
+                spans.push({
+                    traceId: s.traceId,
+                    spanId: s.spanId,
+                    parentSpanId: s.parentSpanId || null,
+                    name: s.name,
+                    kind: OTLP_KINDS[s.kind] || 'internal',
+                    service: resource['service.name'] || 'unknown',
+                    start,
+                    duration: Number(BigInt(s.endTimeUnixNano) / 1000n) / 1000 - start,
+                    error: s.status && s.status.code === 2 ? s.status.message || 'error' : null,
+                    attributes,
+                });
+            }
+        }
+    }
+    return spans;
+}
+
+function fromZipkin(body) {
+    if (!Array.isArray(body)) throw new Error('expected an array of spans');
+    return body.map(s => ({
+        traceId: s.traceId,
+        spanId: s.id,
+        parentSpanId: s.parentId || null,
+        name: s.name,
+        kind: s.kind ? s.kind.toLowerCase() : 'internal',
+        service: (s.localEndpoint && s.localEndpoint.serviceName) || 'unknown',
+        start: s.timestamp / 1000,
+        duration: (s.duration || 0) / 1000,
+        error: (s.tags && s.tags.error) || null,
+        attributes: s.tags || {},
+    }));
+}
+
+// 按父子关系缩进；父 span 不在这批里的（还没导出过来，或者来自外部）当作根
+function renderTrace(spans) {
+    const ids = new Set(spans.map(s => s.spanId));
+    const children = new Map();
+    for (const s of spans) {
+        const parent = s.parentSpanId && ids.has(s.parentSpanId) ? s.parentSpanId : null;
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(s);
+    }
+    const t0 = Math.min(...spans.map(s => s.start));
+    const lines = [];
+    const walk = (parent, depth) => {
+        for (const s of (children.get(parent) || []).sort((a, b) => a.start - b.start)) {
+            const offset = (s.start - t0).toFixed(1);
+            const error = s.error ? `  ✗ ${s.error}` : '';
+            lines.push(`${'  '.repeat(depth)}[${s.service}] ${s.kind} ${s.name}  +${offset}ms ${s.duration.toFixed(1)}ms${error}`);
+            walk(s.spanId, depth + 1);
+        }
+    };
+    walk(null, 0);
+    return lines.join('\n');
+}
+
+function createCollector({ log = () => { } } = {}) {
+    const spans = []; // 按收到的顺序
+    const traces = new Map(); // traceId => span 列表
+
+    function add(batch) {
+        for (const s of batch) {
+            if (typeof s.traceId !== 'string' || typeof s.spanId !== 'string') continue;
+            spans.push(s);
+            if (!traces.has(s.traceId)) traces.set(s.traceId, []);
+            traces.get(s.traceId).push(s);
+        }
+        while (spans.length > MAX_SPANS) {
+            const old = spans.shift();
+            const rest = traces.get(old.traceId).filter(s => s !== old);
+            if (rest.length) traces.set(old.traceId, rest);
+            else traces.delete(old.traceId);
+        }
+        log(`trace-collector: 收到 ${batch.length} 个 span`);
+    }
+
+    function summary(traceId, list) {
+        const root = list.find(s => !s.parentSpanId || !list.some(p => p.spanId === s.parentSpanId)) || list[0];
+        const start = Math.min(...list.map(s => s.start));
+        const end = Math.max(...list.map(s => s.start + s.duration));
+        return {
+            traceId,
+            root: root.name,
+            services: Array.from(new Set(list.map(s => s.service))),
+            spans: list.length,
+            errors: list.filter(s => s.error).length,
+            durationMs: Math.round((end - start) * 10) / 10,
+        };
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+        try {
+            if (req.method === 'POST' && url.pathname === '/v1/traces') {
+                add(fromOtlp(await readJson(req)));
+                return sendJson(res, 200, {});
+            }
+            if (req.method === 'POST' && url.pathname === '/api/v2/spans') {
+                add(fromZipkin(await readJson(req)));
+                return sendJson(res, 202);
+            }
+            if (req.method === 'GET' && parts[0] === 'traces' && parts.length === 1) {
+                const list = Array.from(traces, ([id, list]) => summary(id, list)).reverse();
+                return sendJson(res, 200, list);
+            }
+            if (req.method === 'GET' && parts[0] === 'traces' && parts.length === 2) {
+                const list = traces.get(parts[1]);
+                if (!list) return sendJson(res, 404, { error: 'not_found' });
+                if (url.searchParams.get('format') !== 'text') return sendJson(res, 200, list);
+                res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+                return res.end(renderTrace(list) + '\n');
+            }
+            sendJson(res, 404, { error: 'not_found' });
+        } catch (err) {
+            sendJson(res, 400, { error: err.message });
+        }
+    });
+    return server;
+}
+
+module.exports = { createCollector, renderTrace, fromOtlp, fromZipkin };
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.COLLECTOR_PORT || 4318);
+    createCollector({ log: console.log }).listen(port, () => console.log(`Trace collector: http://localhost:${port}`));
+}
@@ -0,0 +1,256 @@
+// tracing.js
+// 跨 REST / RPC / MQ 的分布式追踪，上下文格式按 W3C Trace Context。
+//
+// 一次请求经过的每一跳各记一个 span，它们共用一个 traceId，父子关系靠 traceparent 往下传：
+//   traceparent: 00-<32 位十六进制 traceId>-<16 位十六进制 spanId>-<flags，01 表示采样>
+//   HTTP  请求头 traceparent（tracestate 原样透传）
+//   RPC   请求帧的 "meta": { "traceparent": "..." }（见 protocol.js）
+//   MQ    PUBLISH / SEND 的 "headers": { "traceparent": "..." }，broker 原样放进 MESSAGE / DELIVER，
+//         队列里的消息连同 headers 一起落盘
+// 进程内用 AsyncLocalStorage 记住当前 span：在 withSpan(span, fn) 里发出的 RPC / MQ / HTTP 调用
+// 自动成为它的子 span，实现函数不用手动传上下文。
+//
+//   const span = startSpan('Calculator.add', { kind: 'client', attributes: { 'rpc.method': 'Calculator.add' } });
+//   frame.meta = inject(span);
+//   ...
+//   span.end(err);                                  // err 有值时记为失败
+//
+//   const span = startSpan(name, { kind: 'server', parent: extract(req.headers) });
+//   await withSpan(span, () => handler());
+//
+// 导出：TRACE_EXPORT 是文件路径（每批 span 追加一行 JSON）或 http(s) 地址（POST 过去，比如 trace-collector.js），
+// TRACE_FORMAT 选 otlp（OTLP/JSON，默认）或 zipkin（Zipkin v2 JSON）。没设 TRACE_EXPORT 时照样传播上下文，只是不导出。
+// 服务名取 TRACE_SERVICE_NAME，默认是入口脚本的文件名；也可以调 configure() 修改。
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const FORMATS = ['otlp', 'zipkin'];
+const KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+const FLUSH_INTERVAL = 1000;
+const MAX_BATCH = 512;
+const MAX_BUFFERED = 10000; // 导出端一直不可用时最多攒这么多，再多就丢最早的
+const TRACEPARENT_RE = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+const config = {
+    serviceName: process.env.TRACE_SERVICE_NAME || path.basename(process.argv[1] || 'node', '.js'),
+    instance: null,
+    export: process.env.TRACE_EXPORT || null,
+    format: process.env.TRACE_FORMAT || 'otlp',
+};
+if (!FORMATS.includes(config.format)) throw new Error(`TRACE_FORMAT must be one of ${FORMATS.join(', ')}`);
+
+const storage = new AsyncLocalStorage();
+let buffer = [];
+let timer = null;
+let warned = false;
+
+// Date.now() 只到毫秒，span 的时间用 hrtime 换算成纳秒级的 Unix 时间
+const EPOCH_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+function nowNs() {
+    return EPOCH_NS + process.hrtime.bigint();
+}
+
+function randomId(bytes) {
+    let id;
+    do id = crypto.randomBytes(bytes).toString('hex'); while (/^0+$/.test(id));
+    return id;
+}
+
+// 不合法的 traceparent 当作没有（开一条新的 trace），不报错
+function parseTraceparent(value) {
+    const m = typeof value === 'string' && TRACEPARENT_RE.exec(value.trim().toLowerCase());
+    if (!m || m[1] === 'ff' || (m[1] === '00' && m[5])) return null;
+    if (/^0+$/.test(m[2]) || /^0+$/.test(m[3])) return null;
+    return { traceId: m[2], spanId: m[3], sampled: (parseInt(m[4], 16) & 1) === 1 };
+}
+
+// carrier 是 HTTP 请求头、RPC 的 meta 或 MQ 的 headers，返回父 span 的上下文或 null
+function extract(carrier) {
+    const ctx = carrier && parseTraceparent(carrier.traceparent);
+    if (ctx && typeof carrier.tracestate === 'string') ctx.tracestate = carrier.tracestate;
+    return ctx;
+}
+
+function inject(span, carrier = {}) {
+    carrier.traceparent = span.traceparent;
+    if (span.tracestate) carrier.tracestate = span.tracestate;
+    return carrier;
+}
+
+class Span {
+    // parent 不传时取当前 span（withSpan 里），传 null 表示开一条新的 trace
+    constructor(name, { kind = 'internal', parent, attributes } = {}) {
+        if (!KINDS.includes(kind)) throw new Error(`unknown span kind: ${kind}`);
+        const p = parent === undefined ? storage.getStore() || null : parent;
+        this.traceId = p ? p.traceId : randomId(16);
+        this.spanId = randomId(8);
+        this.parentSpanId = p ? p.spanId : null;
+        this.sampled = p ? p.sampled : true;
+        this.tracestate = p ? p.tracestate : undefined;
+        this.name = name;
+        this.kind = kind;
+        this.attributes = Object.assign({}, attributes);
+        this.startNs = nowNs();
+        this.endNs = null;
+        this.error = null;
+    }
+
+    get traceparent() {
+        return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    // 只有第一次 end 有效；err 是 RpcError 之类带 code 的错误时，code 也记下来
+    end(err) {
+        if (this.endNs !== null) return;
+        this.endNs = nowNs();
+        if (err) this.error = { code: err.code || 'ERROR', message: err.message || String(err) };
+        if (this.sampled) record(this);
+    }
+}
+
+function startSpan(name, options) {
+    return new Span(name, options);
+}
+
+function withSpan(span, fn) {
+    return storage.run(span, fn);
+}
+
+function currentSpan() {
+    return storage.getStore() || null;
+}
+
+function configure(options) {
+    Object.assign(config, options);
+    if (!FORMATS.includes(config.format)) throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+}
+
+function record(span) {
+    if (!config.export) return;
+    buffer.push(span);
+    if (buffer.length > MAX_BUFFERED) buffer.splice(0, buffer.length - MAX_BUFFERED);
+    if (buffer.length >= MAX_BATCH) {
+        flush();
+    } else if (!timer) {
+        timer = setTimeout(flush, FLUSH_INTERVAL);
+        timer.unref();
+    }
+}
+
+function otlpValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    return { stringValue: String(value) };
+}
+
+function otlpAttributes(attributes) {
+    return Object.entries(attributes).filter(([, v]) => v !== undefined && v !== null).map(([key, v]) => ({ key, value: otlpValue(v) }));
+}
+
+function toOtlp(spans) {
+    const resource = { 'service.name': config.serviceName };
+    if (config.instance) resource['service.instance.id'] = config.instance;
+    return {
+        resourceSpans: [{
+            resource: { attributes: otlpAttributes(resource) },
+            scopeSpans: [{
+                scope: { name: 'microservices-communication/tracing' },
+                spans: spans.map(s => ({
+                    traceId: s.traceId,
+                    spanId: s.spanId,
+                    parentSpanId: s.parentSpanId || undefined,
+                    name: s.name,
+                    kind: KINDS.indexOf(s.kind) + 1, // OTLP: 1 INTERNAL, 2 SERVER, 3 CLIENT, 4 PRODUCER, 5 CONSUMER
+                    startTimeUnixNano: String(s.startNs),
+                    endTimeUnixNano: String(s.endNs),
+                    attributes: otlpAttributes(Object.assign({}, s.attributes, s.error && { 'error.code': s.error.code })),
+                    status: s.error ? { code: 2, message: s.error.message } : { code: 0 },
+                })),
+            }],
+        }],
+    };
+}
+
+function toZipkin(spans) {
+    return spans.map(s => ({
+        traceId: s.traceId,
+        id: s.spanId,
+        parentId: s.parentSpanId || undefined,
+        name: s.name,
+        kind: s.kind === 'internal' ? undefined : s.kind.toUpperCase(),
+        timestamp: Number(s.startNs / 1000n),
+        duration: Math.max(1, Number((s.endNs - s.startNs) / 1000n)),
+        localEndpoint: { serviceName: config.serviceName },
+        tags: Object.assign(
+            Object.fromEntries(Object.entries(s.attributes).map(([k, v]) => [k, String(v)])),
+            s.error && { error: s.error.message, 'error.code': s.error.code },
+        ),
+    }));
+}
+
+function post(url, body) {
+    return new Promise((resolve, reject) => {
+        const req = (url.startsWith('https:') ? https : http).request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 3000,
+        }, (res) => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+            else reject(new Error(`HTTP ${res.statusCode}`));
+        });
+        req.once('timeout', () => req.destroy(new Error('timeout')));
+        req.once('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+// 把攒着的 span 导出去；导出失败时只告警一次，这批 span 丢弃（追踪数据不值得为它阻塞业务）
+function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!config.export || !buffer.length) return Promise.resolve();
+    const spans = buffer;
+    buffer = [];
+    const body = config.format === 'zipkin' ? toZipkin(spans) : toOtlp(spans);
+    const target = config.export;
+    const write = /^https?:\/\//.test(target)
+        ? post(target, body)
+        : fs.promises.appendFile(target, JSON.stringify(body) + '\n');
+    return write.then(() => {
+        warned = false;
+    }, (err) => {
+        if (!warned) console.warn(`tracing: 导出到 ${target} 失败（${err.message}），丢弃 ${spans.length} 个 span`);
+        warned = true;
+    });
+}
+
+// 进程自然退出前把剩下的 span 导出去；被信号杀掉的进程要自己调 flush()
+process.on('beforeExit', () => {
+    if (buffer.length) flush();
+});
+
+module.exports = {
+    startSpan,
+    withSpan,
+    currentSpan,
+    extract,
+    inject,
+    parseTraceparent,
+    configure,
+    flush,
+    toOtlp,
+    toZipkin,
+    Span,
+};
@@ -0,0 +1,77 @@
+// helpers.js
+// 演示 / 测试脚本共用：起一个 ws-server.js 子进程，以及一个把收到的 JSON 消息按类型排队的客户端
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { connect } = require('../ws-protocol');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// /status 能访问就说明服务器已经在监听了
+function ready(port) {
+    return new Promise((resolve) => {
+        http.get(`http://localhost:${port}/status`, (res) => {
+            res.resume();
+            resolve(true);
+        }).on('error', () => resolve(false));
+    });
+}
+
+// 在 port 上起一个 ws-server.js，env 追加到当前环境变量上，等它开始监听
+async function startServer(port, env = {}) {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'ws-server.js')], {
+        env: Object.assign({}, process.env, { PORT: String(port) }, env),
+        stdio: 'ignore',
+    });
+    while (!(await ready(port))) await wait(100);
+    return server;
+}
+
+function stopServer(server) {
+    return new Promise((resolve) => {
+        server.on('exit', resolve);
+        server.kill('SIGTERM');
+    });
+}
+
+// 连上之后把收到的 JSON 消息都存下来，next(type) 等下一条该类型的消息，request(obj, type) 发一条再等回复
+async function open(url, options) {
+    const ws = await connect(url, options);
+    const inbox = [];
+    const waiting = [];
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) return;
+        const msg = JSON.parse(data);
+        const i = waiting.findIndex(w => w.type === msg.type);
+        if (i >= 0) waiting.splice(i, 1)[0].resolve(msg);
+        else inbox.push(msg);
+    });
+    ws.next = (type) => {
+        const i = inbox.findIndex(m => m.type === type);
+        if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+        return new Promise(resolve => waiting.push({ type, resolve }));
+    };
+    ws.request = (obj, type) => {
+        ws.send(JSON.stringify(obj));
+        return ws.next(type);
+    };
+    return ws;
+}
+
+// check(label, ok, detail) 打一行 ok / FAIL，done() 打总结并设置退出码（有失败就是 1）
+function checks() {
+    const failures = [];
+    let total = 0;
+    const check = (label, ok, detail) => {
+        total++;
+        console.log(`  ${ok ? 'ok  ' : 'FAIL'}  ${label}${ok ? '' : `\n          ${JSON.stringify(detail)}`}`);
+        if (!ok) failures.push(label);
+    };
+    const done = () => {
+        console.log(`\n${total - failures.length}/${total} 通过${failures.length ? `，失败：${failures.join('，')}` : ''}`);
+        process.exitCode = failures.length ? 1 : 0;
+    };
+    return { check, done };
+}
+
+module.exports = { wait, ready, startServer, stopServer, open, checks };
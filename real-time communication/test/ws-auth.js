@@ -0,0 +1,122 @@
+// ws-auth.js
+// 测试鉴权和房间权限：起一个 ws-server.js（8092 端口，默认房间配置），依次检查
+//   1. 没有 token / token 被篡改 / 过期 / Cookie 不是合法的百分号编码：upgrade 直接被 401 拒绝，不会升级成 WebSocket，
+//      服务器也不会因此挂掉
+//   2. token 分别放在 ?token=、ws_token Cookie、Sec-WebSocket-Protocol 里都能连上，用户 id 来自 token；
+//      不是对象的 JSON 消息回 invalid_json，连接不断
+//   3. 同一个用户再连一次，旧连接被 4000 关掉，新连接接管原来加入的房间
+//   4. announcements 里普通用户只能看不能发；staff 是私有房间，没有 staff 角色进不去
+//   5. vip 是邀请制：moderator（admin）邀请之后才能进
+//   6. moderator 禁言、踢人；被踢的人一段时间内不能回来
+// 全部通过时退出码为 0
+const { connect } = require('../ws-protocol');
+const { issueToken, signToken } = require('../ws-auth');
+const { wait, startServer, stopServer, open, checks } = require('./helpers');
+
+const PORT = 8092;
+const URL = `ws://localhost:${PORT}`;
+
+const { check, done } = checks();
+const tokenUrl = token => `${URL}/?token=${token}`;
+
+// 连不上时是 HTTP 状态码，竟然连上了是 101
+async function upgradeStatus(url, options) {
+    try {
+        (await connect(url, options)).terminate();
+        return 101;
+    } catch (err) {
+        return err.statusCode;
+    }
+}
+
+// 一直等不到某条回复时不要挂住
+setTimeout(() => {
+    console.log('超时：有回复没等到');
+    process.exit(1);
+}, 30000).unref();
+
+(async () => {
+    const server = await startServer(PORT);
+
+    // 1. 拒绝
+    check('没有 token: 401', (await upgradeStatus(URL)) === 401);
+    const forged = issueToken('alice', { name: 'Alice' }).replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+    check('签名被改过: 401', (await upgradeStatus(tokenUrl(forged))) === 401);
+    const now = Math.floor(Date.now() / 1000);
+    const expired = signToken({ sub: 'alice', name: 'Alice', roles: [], iat: now - 7200, exp: now - 3600 });
+    check('过期: 401', (await upgradeStatus(tokenUrl(expired))) === 401);
+    check('解不开的 Cookie: 401', (await upgradeStatus(URL, { headers: { Cookie: 'other=%E0%A4%A' } })) === 401);
+    const cookies = `other=%E0%A4%A; ws_token=${issueToken('dave')}`;
+    check('旁边有解不开的 Cookie 也不影响 ws_token', (await upgradeStatus(URL, { headers: { Cookie: cookies } })) === 101);
+
+    // 2. 三种携带方式
+    const alice = await open(tokenUrl(issueToken('alice', { name: 'Alice' })));
+    const aliceWelcome = await alice.next('welcome');
+    check('?token=', aliceWelcome.id === 'alice' && aliceWelcome.name === 'Alice', aliceWelcome);
+    const bob = await open(URL, { headers: { Cookie: `ws_token=${issueToken('bob', { name: 'Bob' })}` } });
+    const bobWelcome = await bob.next('welcome');
+    check('ws_token Cookie', bobWelcome.id === 'bob', bobWelcome);
+    const root = await open(URL, { headers: { 'Sec-WebSocket-Protocol': `relay.v1, bearer.${issueToken('root', { name: 'Root', roles: ['admin'] })}` } });
+    const rootWelcome = await root.next('welcome');
+    check('Sec-WebSocket-Protocol', rootWelcome.id === 'root' && root.protocol === 'relay.v1', { rootWelcome, protocol: root.protocol });
+
+    for (const ws of [alice, bob, root]) await ws.request({ type: 'join', room: 'lobby' }, 'joined');
+    alice.send(JSON.stringify({ type: 'msg', room: 'lobby', text: 'hi' }));
+    const hi = await bob.next('msg');
+    check('消息的 from 来自 token', hi.from === 'alice' && hi.text === 'hi', hi);
+    for (const data of ['null', '42', '[]']) {
+        const reply = await alice.request(JSON.parse(data), 'error');
+        check(`不是对象的消息 ${data}: invalid_json，连接不断`, reply.message === 'invalid_json', reply);
+    }
+
+    // 3. 同一用户重连：旧连接被关掉，新连接还在 lobby 里
+    const replaced = new Promise(resolve => bob.on('close', code => resolve(code)));
+    const bob2 = await open(tokenUrl(issueToken('bob', { name: 'Bob' })));
+    check('旧连接被 4000 关掉', (await replaced) === 4000);
+    const bob2Welcome = await bob2.next('welcome');
+    check('新连接接管原来的房间', JSON.stringify(bob2Welcome.rooms) === '["lobby"]', bob2Welcome);
+
+    // 4. 只读房间和私有房间
+    const viewer = await alice.request({ type: 'join', room: 'announcements' }, 'joined');
+    check('进 announcements 是 viewer', viewer.role === 'viewer', viewer);
+    const readOnly = await alice.request({ type: 'msg', room: 'announcements', text: 'hi' }, 'error');
+    check('viewer 不能发言', readOnly.message === 'forbidden', readOnly);
+    const staff = await alice.request({ type: 'join', room: 'staff' }, 'error');
+    check('没有 staff 角色进不了 staff', staff.message === 'forbidden', staff);
+
+    // 5. 邀请制
+    const vip = await alice.request({ type: 'join', room: 'vip' }, 'error');
+    check('没被邀请进不了 vip', vip.message === 'forbidden', vip);
+    const bobInvite = await bob2.request({ type: 'invite', room: 'vip', user: 'alice' }, 'error');
+    check('普通成员不能邀请', bobInvite.message === 'forbidden', bobInvite);
+    await root.request({ type: 'join', room: 'vip' }, 'joined');
+    await root.request({ type: 'invite', room: 'vip', user: 'alice' }, 'invited');
+    const invited = await alice.next('invited');
+    check('alice 收到邀请', invited.room === 'vip' && invited.by.id === 'root', invited);
+    const vipAgain = await alice.request({ type: 'join', room: 'vip' }, 'joined');
+    check('被邀请后能进 vip', vipAgain.role === 'member', vipAgain);
+
+    // 6. 禁言和踢人（root 是 admin，在所有房间都是 moderator）
+    const bobKick = await bob2.request({ type: 'kick', room: 'lobby', user: 'alice' }, 'error');
+    check('普通成员不能踢人', bobKick.message === 'forbidden', bobKick);
+    await root.request({ type: 'mute', room: 'lobby', user: 'alice', duration: 60 }, 'notice');
+    const muted = await alice.next('muted');
+    check('alice 被禁言', muted.room === 'lobby' && !!muted.until, muted);
+    const mutedMsg = await alice.request({ type: 'msg', room: 'lobby', text: 'hello?' }, 'error');
+    check('禁言后不能发言', mutedMsg.message === 'muted', mutedMsg);
+    const list = await bob2.request({ type: 'list', room: 'lobby' }, 'list');
+    const member = id => list.members.find(m => m.id === id) || {};
+    check('成员列表里有角色和禁言状态', member('alice').muted === true && member('root').role === 'moderator', list);
+    root.send(JSON.stringify({ type: 'kick', room: 'lobby', user: 'bob', reason: 'spam', duration: 30 }));
+    const kicked = await bob2.next('kicked');
+    check('bob 被踢', kicked.reason === 'spam', kicked);
+    const banned = await bob2.request({ type: 'join', room: 'lobby' }, 'error');
+    check('被踢后马上回来不行', banned.message === 'banned', banned);
+    const dm = await bob2.request({ type: 'msg', to: 'alice', text: 'psst' }, 'error');
+    check('不能私聊没有共同房间的人', dm.message === 'forbidden', dm);
+
+    for (const ws of [alice, bob2, root]) ws.close();
+    await wait(200);
+    await stopServer(server);
+    done();
+})();
@@ -0,0 +1,317 @@
+// ws-autobahn.js
+// 仿 Autobahn|Testsuite 的协议一致性测试：用裸 TCP 连上 ws-server.js 的 /echo，按用例发出构造好的帧
+// （包括故意违反 RFC 6455 的帧），检查服务器回来的帧和最后的关闭码。用例编号对应 Autobahn 的章节：
+//   1 收发文本/二进制  2 ping/pong  3 保留位  4 保留 opcode  5 分片  6 UTF-8  7 关闭握手  9 大消息  10 其它
+//   12 / 13 permessage-deflate（压缩收发、扩展参数协商）
+// 需要先启动 ws-server.js。全部通过时退出码为 0。
+//
+//   node test/ws-autobahn.js [ws://localhost:8080/echo]
+const net = require('net');
+const crypto = require('crypto');
+const { OPCODES, computeAccept, buildFrame, buildClose, FrameParser } = require('../ws-protocol');
+const { fromResponse } = require('../ws-deflate');
+
+const target = new URL(process.argv[2] || 'ws://localhost:8080/echo');
+const CASE_TIMEOUT = 3000; // 服务器应该在这之内回完并关掉 TCP 连接
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- 构造客户端帧（都带 mask）
+const frame = (opcode, payload, options) => buildFrame(opcode, payload, Object.assign({ mask: true }, options));
+const textFrame = (payload, fin = true) => frame(OPCODES.TEXT, payload, { fin });
+const binaryFrame = (payload, fin = true) => frame(OPCODES.BINARY, payload, { fin });
+const contFrame = (payload, fin = true) => frame(OPCODES.CONTINUATION, payload, { fin });
+const pingFrame = (payload = '', fin = true) => frame(OPCODES.PING, payload, { fin });
+const closeFrame = (code, reason) => buildClose(code, reason, { mask: true });
+
+// 在第一个字节上打开额外的位（RSV2 = 0x20、RSV3 = 0x10），buildFrame 本身不会生成这种帧
+function withBits(buf, bits) {
+    buf[0] |= bits;
+    return buf;
+}
+
+// 只有帧头、声明了一个 64 位长度的帧；服务器应该在读 payload 之前就拒绝
+function hugeHeader(length) {
+    const buf = Buffer.alloc(14);
+    buf[0] = 0x82;
+    buf[1] = 0x80 | 127;
+    buf.writeBigUInt64BE(length, 2);
+    return buf;
+}
+
+// 压缩帧要用这条连接上协商出来的压缩状态，所以是函数，连上以后才生成：deflate => 帧
+const zFrame = (opcode, data) => deflate => frame(opcode, deflate.compress(Buffer.from(data)), { rsv1: true });
+// 整条消息压缩后切成 n 片，RSV1 只在第一片
+const zFragments = (opcode, data, n) => (deflate) => {
+    const payload = deflate.compress(Buffer.from(data));
+    const size = Math.ceil(payload.length / n);
+    return Buffer.concat(Array.from({ length: n }, (_, i) =>
+        frame(i === 0 ? opcode : OPCODES.CONTINUATION, payload.subarray(i * size, (i + 1) * size), { fin: i === n - 1, rsv1: i === 0 })));
+};
+
+function closePayload(code, reasonBytes) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(code);
+    return frame(OPCODES.CLOSE, Buffer.concat([buf, reasonBytes]));
+}
+
+// --- 期望收到的帧，和收到的帧一样归一成一行描述来比较；压缩过的消息（解压后比较）带 +deflate
+function describe(opcode, payload, compressed = false) {
+    if (opcode === OPCODES.CLOSE) return payload.length >= 2 ? `close ${payload.readUInt16BE(0)}` : 'close (no code)';
+    const name = { [OPCODES.TEXT]: 'text', [OPCODES.BINARY]: 'binary', [OPCODES.PING]: 'ping', [OPCODES.PONG]: 'pong' }[opcode] || `opcode ${opcode}`;
+    const digest = crypto.createHash('sha1').update(payload).digest('hex').slice(0, 8);
+    return `${name}${compressed ? '+deflate' : ''}(${payload.length}) ${digest}`;
+}
+const text = str => describe(OPCODES.TEXT, Buffer.from(str, 'utf8'));
+const binary = buf => describe(OPCODES.BINARY, buf);
+const ztext = str => describe(OPCODES.TEXT, Buffer.from(str, 'utf8'), true);
+const zbinary = buf => describe(OPCODES.BINARY, buf, true);
+const pong = (payload = '') => describe(OPCODES.PONG, Buffer.from(payload));
+const close = code => describe(OPCODES.CLOSE, code === undefined ? Buffer.alloc(0) : Buffer.from([code >> 8, code & 0xff]));
+
+const bytes = (n, fill = 0x2a) => Buffer.alloc(n, fill);
+const chars = n => 'x'.repeat(n);
+const hex = s => Buffer.from(s.replace(/\s+/g, ''), 'hex');
+
+// --- 用例：send 依次写出（数字表示先等这么多毫秒，函数表示压缩帧），expect 是服务器回来的全部帧；
+// offer 是客户端的 Sec-WebSocket-Extensions，extension 是期望服务器接受的扩展（null 表示不该接受）
+const cases = [];
+const add = (id, title, send, expect, { offer, extension } = {}) => cases.push({ id, title, send, expect, offer, extension });
+
+const LENGTHS = [0, 125, 126, 127, 128, 65535, 65536];
+LENGTHS.forEach((n, i) => add(`1.1.${i + 1}`, `文本消息 ${n} 字节`, [textFrame(chars(n)), closeFrame(1000)], [text(chars(n)), close(1000)]));
+LENGTHS.forEach((n, i) => add(`1.2.${i + 1}`, `二进制消息 ${n} 字节`, [binaryFrame(bytes(n)), closeFrame(1000)], [binary(bytes(n)), close(1000)]));
+
+add('2.1', '不带 payload 的 ping', [pingFrame(), closeFrame(1000)], [pong(), close(1000)]);
+add('2.2', 'ping 带 125 字节二进制 payload', [pingFrame(bytes(125, 0xfe)), closeFrame(1000)], [pong(bytes(125, 0xfe)), close(1000)]);
+add('2.3', 'ping payload 超过 125 字节', [pingFrame(bytes(126))], [close(1002)]);
+add('2.4', '没人要的 pong 直接忽略', [frame(OPCODES.PONG, 'unsolicited'), closeFrame(1000)], [close(1000)]);
+add('2.5', '连续 10 个 ping', [...Array.from({ length: 10 }, (_, i) => pingFrame(`p${i}`)), closeFrame(1000)],
+    [...Array.from({ length: 10 }, (_, i) => pong(`p${i}`)), close(1000)]);
+
+add('3.1', '文本帧设置了 RSV1（没协商扩展）', [withBits(textFrame('Hello'), 0x40)], [close(1002)]);
+add('3.2', '文本帧设置了 RSV2', [withBits(textFrame('Hello'), 0x20)], [close(1002)]);
+add('3.3', '正常消息之后 RSV3，后面的 ping 不应得到回应', [textFrame('Hello'), withBits(textFrame('Hello'), 0x10), pingFrame()],
+    [text('Hello'), close(1002)]);
+add('3.4', 'ping 帧设置了 RSV1', [withBits(pingFrame(), 0x40)], [close(1002)]);
+
+add('4.1.1', '保留的数据 opcode 3', [frame(3, '')], [close(1002)]);
+add('4.1.2', '保留的数据 opcode 7，前面有正常消息', [textFrame('Hello'), frame(7, 'reserved')], [text('Hello'), close(1002)]);
+add('4.2.1', '保留的控制 opcode 11', [frame(11, '')], [close(1002)]);
+add('4.2.2', '保留的控制 opcode 15', [frame(15, 'reserved')], [close(1002)]);
+
+add('5.1', '分片的 ping', [pingFrame('frag', false), contFrame('ment')], [close(1002)]);
+add('5.2', '分片的 pong', [frame(OPCODES.PONG, 'frag', { fin: false }), contFrame('ment')], [close(1002)]);
+add('5.3', '两片的文本消息', [textFrame('fragment1', false), contFrame('fragment2'), closeFrame(1000)],
+    [text('fragment1fragment2'), close(1000)]);
+add('5.4', '分片之间夹着 ping', [textFrame('fragment1', false), pingFrame('between'), contFrame('fragment2'), closeFrame(1000)],
+    [pong('between'), text('fragment1fragment2'), close(1000)]);
+add('5.5', '分片逐个发送，中间停顿', [textFrame('fragment1', false), 50, contFrame('fragment2', false), 50, contFrame('fragment3'), closeFrame(1000)],
+    [text('fragment1fragment2fragment3'), close(1000)]);
+add('5.6', '二进制消息三片，中间一片为空', [binaryFrame(bytes(10), false), contFrame(Buffer.alloc(0), false), contFrame(bytes(10, 0x01)), closeFrame(1000)],
+    [binary(Buffer.concat([bytes(10), bytes(10, 0x01)])), close(1000)]);
+add('5.7', '没有开头的续帧', [contFrame('fragment')], [close(1002)]);
+add('5.8', '没有开头、也没有结尾的续帧', [contFrame('fragment', false)], [close(1002)]);
+add('5.9', '上一条消息没结束就开始新消息', [textFrame('fragment1', false), textFrame('fragment2')], [close(1002)]);
+add('5.10', '空的文本首片加续帧', [textFrame('', false), contFrame('', false), contFrame('done'), closeFrame(1000)],
+    [text('done'), close(1000)]);
+
+const kosme = 'κόσμε';
+add('6.1', '合法 UTF-8', [textFrame(kosme), closeFrame(1000)], [text(kosme), close(1000)]);
+const kosmeBytes = [...Buffer.from(kosme)];
+add('6.2', '多字节字符被拆进不同分片（每片一个字节）',
+    [...kosmeBytes.map((b, i) => (i === 0 ? textFrame : contFrame)(Buffer.from([b]), i === kosmeBytes.length - 1)), closeFrame(1000)],
+    [text(kosme), close(1000)]);
+add('6.3', '最大码点 U+10FFFF', [textFrame(hex('f48fbfbf')), closeFrame(1000)], [text('\u{10ffff}'), close(1000)]);
+add('6.4', '非法字节 0xff', [textFrame(hex('ceba ff'))], [close(1007)]);
+add('6.5', '过长编码的 "/"', [textFrame(hex('c0af'))], [close(1007)]);
+add('6.6', '代理码点 U+D800', [textFrame(hex('eda080'))], [close(1007)]);
+add('6.7', '超出 U+10FFFF', [textFrame(hex('f4908080'))], [close(1007)]);
+add('6.8', '消息在字符中间结束', [textFrame(hex('cebae1bd'))], [close(1007)]);
+add('6.9', '第一片就非法时立即失败，不等后面的分片', [textFrame(hex('ceba ff'), false)], [close(1007)]);
+add('6.10', '分片边界处拼起来才是非法', [textFrame(hex('ce'), false), contFrame(hex('ff'))], [close(1007)]);
+
+add('7.1', '不带关闭码的 close', [closeFrame()], [close()]);
+add('7.2', '关闭码 1000 加原因', [closeFrame(1000, 'bye')], [close(1000)]);
+add('7.3', '1 字节的 close payload', [frame(OPCODES.CLOSE, Buffer.from([0x03]))], [close(1002)]);
+add('7.4', '原因正好 123 字节（payload 125 字节）', [closeFrame(1000, chars(123))], [close(1000)]);
+add('7.5', 'close 之后再发的消息被忽略', [closeFrame(1000), textFrame('after close')], [close(1000)]);
+add('7.6', '关闭原因不是合法 UTF-8', [closePayload(1000, hex('ceba ff'))], [close(1007)]);
+[1000, 1001, 1002, 1003, 1007, 1008, 1009, 1010, 1011, 1012, 1013, 1014, 3000, 3999, 4000, 4999].forEach((code, i) => {
+    add(`7.7.${i + 1}`, `合法关闭码 ${code}`, [closeFrame(code)], [close(code)]);
+});
+[0, 999, 1004, 1005, 1006, 1015, 1016, 1100, 2000, 2999, 5000, 65535].forEach((code, i) => {
+    add(`7.8.${i + 1}`, `非法关闭码 ${code}`, [closePayload(code, Buffer.alloc(0))], [close(1002)]);
+});
+
+const big = crypto.randomBytes(4 * 1024 * 1024);
+const bigText = chars(1024 * 1024);
+add('9.1', '1 MiB 文本，64 KiB 一片', [
+    ...Array.from({ length: 16 }, (_, i) => (i === 0 ? textFrame : contFrame)(bigText.slice(i * 65536, (i + 1) * 65536), i === 15)),
+    closeFrame(1000),
+], [text(bigText), close(1000)]);
+add('9.2', '4 MiB 二进制，一帧', [binaryFrame(big), closeFrame(1000)], [binary(big), close(1000)]);
+add('9.3', '帧头声明 1 TiB，超过消息上限', [hugeHeader(1n << 40n)], [close(1009)]);
+add('9.4', '64 位长度的最高位被置位', [hugeHeader(1n << 63n)], [close(1002)]);
+
+add('10.1', '客户端帧没有 mask', [buildFrame(OPCODES.TEXT, 'unmasked')], [close(1002)]);
+add('10.2', '一次写出多条消息', [Buffer.concat([textFrame('a'), textFrame('b'), pingFrame('c'), closeFrame(1000)])],
+    [text('a'), text('b'), pong('c'), close(1000)]);
+add('10.3', '帧被拆成单个字节逐个写出', [...textFrame('byte by byte')].map(b => Buffer.from([b])).concat([closeFrame(1000)]),
+    [text('byte by byte'), close(1000)]);
+
+// 服务器的压缩阈值默认 1024 字节：小于它的消息原样发回，大于等于它的压缩发回
+const DEFLATE = { offer: 'permessage-deflate; client_max_window_bits', extension: 'permessage-deflate' };
+const json = n => JSON.stringify(Array.from({ length: n }, (_, i) => ({ type: 'msg', room: 'room1', from: `c${i % 7}`, text: `hello #${i}` })));
+const small = json(2);
+const large = json(40);
+add('12.1.1', '压缩的文本消息，回来的也压缩', [zFrame(OPCODES.TEXT, large), closeFrame(1000)], [ztext(large), close(1000)], DEFLATE);
+add('12.1.2', '压缩的小消息，回来的不压缩（低于阈值）', [zFrame(OPCODES.TEXT, small), closeFrame(1000)], [text(small), close(1000)], DEFLATE);
+add('12.1.3', '没压缩的大消息，回来的压缩', [textFrame(large), closeFrame(1000)], [ztext(large), close(1000)], DEFLATE);
+add('12.1.4', '压缩的二进制消息 64 KiB', [zFrame(OPCODES.BINARY, big.subarray(0, 65536)), closeFrame(1000)],
+    [zbinary(big.subarray(0, 65536)), close(1000)], DEFLATE);
+add('12.1.5', '压缩的空消息', [zFrame(OPCODES.TEXT, ''), closeFrame(1000)], [text(''), close(1000)], DEFLATE);
+add('12.2.1', '压缩消息切成 3 片', [zFragments(OPCODES.TEXT, large, 3), closeFrame(1000)],
+    [ztext(large), close(1000)], DEFLATE);
+add('12.2.2', '20 条消息，两边都沿用上下文（context takeover）',
+    [...Array.from({ length: 20 }, (_, i) => zFrame(OPCODES.TEXT, json(30 + i))), closeFrame(1000)],
+    [...Array.from({ length: 20 }, (_, i) => ztext(json(30 + i))), close(1000)], DEFLATE);
+add('12.2.3', '压缩和不压缩的消息交替', [zFrame(OPCODES.TEXT, large), textFrame(small), zFrame(OPCODES.TEXT, large), textFrame(large), closeFrame(1000)],
+    [ztext(large), text(small), ztext(large), ztext(large), close(1000)], DEFLATE);
+add('12.3.1', '续帧设置了 RSV1', [textFrame('frag', false), withBits(contFrame('ment'), 0x40)], [close(1002)], DEFLATE);
+add('12.3.2', '压缩数据损坏', [frame(OPCODES.TEXT, hex('ffffffff'), { rsv1: true })], [close(1007)], DEFLATE);
+add('12.3.3', '解压后不是合法 UTF-8', [zFrame(OPCODES.TEXT, hex('ceba ff'))], [close(1007)], DEFLATE);
+add('12.3.4', '解压后超过消息上限（压缩炸弹）', [zFrame(OPCODES.BINARY, Buffer.alloc(20 * 1024 * 1024))], [close(1009)], DEFLATE);
+
+const NEGOTIATION = [
+    ['permessage-deflate', 'permessage-deflate'],
+    ['permessage-deflate; server_no_context_takeover; client_no_context_takeover', 'permessage-deflate; server_no_context_takeover; client_no_context_takeover'],
+    ['permessage-deflate; server_max_window_bits=9; client_max_window_bits=9', 'permessage-deflate; server_max_window_bits=9; client_max_window_bits=9'],
+    ['permessage-deflate; client_max_window_bits="12"', 'permessage-deflate; client_max_window_bits=12'],
+    ['permessage-deflate; server_max_window_bits=8, permessage-deflate; server_max_window_bits=10', 'permessage-deflate; server_max_window_bits=10'],
+    ['x-webkit-deflate-frame, permessage-deflate', 'permessage-deflate'],
+    ['permessage-deflate; unknown_param', null],
+    ['permessage-deflate; server_max_window_bits=16', null],
+    ['permessage-deflate; server_no_context_takeover; server_no_context_takeover', null],
+    ['x-webkit-deflate-frame', null],
+];
+NEGOTIATION.forEach(([offer, extension], i) => {
+    const messages = [large, json(41), json(42)];
+    const expect = extension ? messages.map(ztext) : messages.map(text);
+    const send = messages.map(m => (extension ? zFrame(OPCODES.TEXT, m) : textFrame(m)));
+    add(`13.${i + 1}`, `协商 "${offer}"`, [...send, closeFrame(1000)], [...expect, close(1000)], { offer, extension });
+});
+
+// --- 握手：不合规的升级请求要被拒绝
+const handshakes = [
+    { id: 'H.1', title: '合规的握手', headers: {}, status: 101 },
+    { id: 'H.2', title: 'Sec-WebSocket-Version: 8', headers: { 'Sec-WebSocket-Version': '8' }, status: 426 },
+    { id: 'H.3', title: '没有 Sec-WebSocket-Key', headers: { 'Sec-WebSocket-Key': null }, status: 400 },
+    { id: 'H.4', title: 'Sec-WebSocket-Key 不是 16 字节', headers: { 'Sec-WebSocket-Key': 'c2hvcnQ=' }, status: 400 },
+    { id: 'H.5', title: 'POST 请求', method: 'POST', headers: {}, status: 400 },
+];
+
+// 发起握手，返回 socket 和 101 之后已经收到的数据
+function open({ method = 'GET', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const all = Object.assign({
+            Host: target.host,
+            Upgrade: 'websocket',
+            Connection: 'Upgrade',
+            'Sec-WebSocket-Key': key,
+            'Sec-WebSocket-Version': '13',
+        }, headers);
+        const lines = [`${method} ${target.pathname} HTTP/1.1`];
+        for (const [name, value] of Object.entries(all)) if (value !== null) lines.push(`${name}: ${value}`);
+        const socket = net.connect(Number(target.port) || 80, target.hostname, () => socket.write(lines.join('\r\n') + '\r\n\r\n'));
+        let received = Buffer.alloc(0);
+        const onData = (chunk) => {
+            received = Buffer.concat([received, chunk]);
+            const end = received.indexOf('\r\n\r\n');
+            if (end < 0) return;
+            socket.off('data', onData);
+            socket.off('error', reject);
+            const head = received.subarray(0, end).toString('latin1').split('\r\n');
+            const responseHeaders = {};
+            for (const line of head.slice(1)) {
+                const i = line.indexOf(':');
+                responseHeaders[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+            }
+            resolve({ socket, key, status: Number(head[0].split(' ')[1]), headers: responseHeaders, rest: received.subarray(end + 4) });
+        };
+        socket.on('data', onData);
+        socket.once('error', reject);
+    });
+}
+
+// 返回问题描述，通过时返回 null
+async function runCase({ send, expect, offer, extension }) {
+    const { socket, key, status, headers, rest } = await open({ headers: offer ? { 'Sec-WebSocket-Extensions': offer } : {} });
+    if (status !== 101) return `握手失败：HTTP ${status}`;
+    if (headers['sec-websocket-accept'] !== computeAccept(key)) return 'Sec-WebSocket-Accept 不对';
+    if (offer && (headers['sec-websocket-extensions'] || null) !== extension) {
+        socket.destroy();
+        return `期望扩展 ${extension}，服务器回的是 ${headers['sec-websocket-extensions']}`;
+    }
+    const deflate = fromResponse(headers['sec-websocket-extensions']);
+
+    const parser = new FrameParser({ expectMasked: false, maxPayload: 64 * 1024 * 1024, allowRsv1: !!deflate });
+    const received = [];
+    let parseError = null;
+    const onChunk = (chunk) => {
+        if (parseError) return;
+        try {
+            for (const f of parser.push(chunk)) {
+                // 服务器发的消息都不分片，压缩的直接解压
+                const payload = f.rsv1 ? deflate.decompress(f.payload, 64 * 1024 * 1024) : f.payload;
+                received.push(describe(f.opcode, payload, f.rsv1));
+            }
+        } catch (err) {
+            parseError = err;
+        }
+    };
+    const closed = new Promise(resolve => socket.once('close', () => resolve(true)));
+    socket.on('error', () => { }); // 服务器先断开时后面的写会 EPIPE
+    socket.on('data', onChunk);
+    if (rest.length) onChunk(rest);
+
+    for (const step of send) {
+        if (typeof step === 'number') await wait(step);
+        else if (!socket.destroyed) socket.write(typeof step === 'function' ? step(deflate) : step);
+    }
+    const didClose = await Promise.race([closed, wait(CASE_TIMEOUT).then(() => false)]);
+    socket.destroy();
+
+    if (parseError) return `服务器发来的帧不合规：${parseError.message}`;
+    const problems = [];
+    if (received.join('\n') !== expect.join('\n')) problems.push(`期望 [${expect.join(', ')}]，收到 [${received.join(', ')}]`);
+    if (!didClose) problems.push(`${CASE_TIMEOUT}ms 后服务器还没关闭 TCP 连接`);
+    return problems.length ? problems.join('；') : null;
+}
+
+async function runHandshake({ method, headers, status }) {
+    const res = await open({ method, headers });
+    res.socket.destroy();
+    if (res.status !== status) return `期望 HTTP ${status}，收到 ${res.status}`;
+    if (status === 426 && res.headers['sec-websocket-version'] !== '13') return '426 响应没有带 Sec-WebSocket-Version: 13';
+    return null;
+}
+
+(async () => {
+    console.log(`WebSocket 一致性测试：${target.href}\n`);
+    const failures = [];
+    const report = (c, problem) => {
+        console.log(`  ${problem ? 'FAIL' : 'ok  '}  ${c.id.padEnd(7)} ${c.title}`);
+        if (problem) {
+            console.log(`          ${problem}`);
+            failures.push(c.id);
+        }
+    };
+    for (const c of handshakes) report(c, await runHandshake(c).catch(err => `连接失败：${err.message}`));
+    for (const c of cases) report(c, await runCase(c).catch(err => `连接失败：${err.message}`));
+
+    const total = handshakes.length + cases.length;
+    console.log(`\n${total - failures.length}/${total} 通过${failures.length ? `，失败：${failures.join(', ')}` : ''}`);
+    process.exitCode = failures.length ? 1 : 0;
+})();
@@ -1,11 +1,13 @@
 // 在浏览器控制台（Chrome / Edge）执行
-// 打开多个浏览器标签页并改名字，可以看到房间广播效果。
-const ws = new WebSocket('ws://localhost:8080');
+// 先签一个 token：node ws-auth.js alice Alice，粘到下面。每个标签页用不同用户的 token，可以看到房间广播效果。
+// 浏览器不能给 WebSocket 加 Authorization 头，token 放在子协议里（也可以用 ?token= 或 ws_token Cookie）
+const token = '<paste token here>';
+const ws = new WebSocket('ws://localhost:8080', ['relay.v1', 'bearer.' + token]);
 
 
 ws.onopen = () => {
-    console.log('open');
-    ws.send(JSON.stringify({ type: 'join', room: 'room1', name: 'alice' }));
+    console.log('open', ws.protocol);
+    ws.send(JSON.stringify({ type: 'join', room: 'room1' }));
     // send message after join
     setTimeout(() => ws.send(JSON.stringify({ type: 'msg', room: 'room1', text: 'hello from browser' })), 200);
 };
@@ -1,7 +1,8 @@
 # ws-client.ps1
+# token: node ws-auth.js psClient
 param(
   [string]$uri = "ws://localhost:8080",
-  [string]$name = "psClient"
+  [Parameter(Mandatory=$true)][string]$token
 )
 
 Add-Type -AssemblyName System.Net.WebSockets.Client
@@ -9,7 +10,8 @@ Add-Type -AssemblyName System.Net.WebSockets.Client
 $ws = New-Object System.Net.WebSockets.ClientWebSocket
 $ct = [System.Threading.CancellationToken]::None
 
-# Connect
+# Connect; the token goes in the query string (the display name comes from the token)
+$uri = "$uri/?token=$token"
 [void]$ws.ConnectAsync([Uri]$uri, $ct).GetAwaiter().GetResult()
 Write-Host "Connected to $uri"
 
@@ -40,7 +42,7 @@ $job = Start-Job -ScriptBlock {
 } -ArgumentList ($ws)
 
 # Join a room
-Send-Json @{ type='join'; room='room1'; name=$name }
+Send-Json @{ type='join'; room='room1' }
 
 # Simple REPL for sending
 Write-Host "Type messages; /list to list, /quit to exit."
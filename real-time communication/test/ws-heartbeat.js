@@ -0,0 +1,97 @@
+// ws-heartbeat.js
+// 演示服务器心跳和发送队列：起一个 ws-server.js（8091 端口，心跳间隔 1 秒、pong 超时 0.5 秒、发送队列上限 1 MiB），
+//   1. 一个"假死"的客户端不再读 socket（收不到 ping 也就不回 pong），1.5 秒内被服务器断开，从房间里清掉
+//   2. 一个慢消费者不读数据，同房间的人连发二进制消息，它的发送队列超限后被以 1008 断开，其他人不受影响
+// 每一步都打印 /status 的统计
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { connect } = require('../ws-protocol');
+const { issueToken } = require('../ws-auth');
+
+const PORT = 8091;
+const URL = `ws://localhost:${PORT}`;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function status() {
+    return new Promise((resolve, reject) => {
+        http.get(`http://localhost:${PORT}/status`, (res) => {
+            let text = '';
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve(JSON.parse(text)));
+        }).on('error', reject);
+    });
+}
+
+async function showStatus(label) {
+    const s = await status();
+    console.log(`${label}: clients=${s.clients} live=${s.live} awaitingPong=${s.awaitingPong} idle=${s.idle}`,
+        `buffered=${JSON.stringify(s.buffered)} disconnects=${JSON.stringify(s.disconnects)}`);
+    return s;
+}
+
+// 连上并加入房间，等到 joined
+async function join(name) {
+    const ws = await connect(`${URL}/?token=${issueToken(name)}`);
+    const joined = new Promise(resolve => ws.on('message', (data, isBinary) => {
+        if (!isBinary && JSON.parse(data).type === 'joined') resolve();
+    }));
+    ws.send(JSON.stringify({ type: 'join', room: 'room1' }));
+    await joined;
+    return ws;
+}
+
+(async () => {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'ws-server.js')], {
+        env: Object.assign({}, process.env, {
+            PORT: String(PORT),
+            WS_HEARTBEAT_INTERVAL: '1000',
+            WS_PONG_TIMEOUT: '500',
+            WS_IDLE_AFTER: '2000',
+            WS_MAX_QUEUE_BYTES: String(1024 * 1024),
+        }),
+        stdio: 'ignore',
+    });
+    while (!(await status().catch(() => null))) await wait(100);
+
+    const alice = await join('alice');
+    let received = 0;
+    alice.on('message', (data, isBinary) => {
+        if (isBinary) received++;
+        else if (JSON.parse(data).type === 'notice') console.log('alice 收到:', data);
+    });
+
+    // 1. 假死：暂停读 socket，相当于对端断电 / 网线拔了，TCP 连接还在但再也不会回 pong
+    const ghost = await join('ghost');
+    ghost.socket.pause();
+    await showStatus('ghost 停止响应');
+    const start = Date.now();
+    while ((await status()).disconnects.pongTimeout < 1) await wait(100);
+    console.log(`ghost 在 ${Date.now() - start}ms 后因为没回 pong 被断开`);
+    await showStatus('心跳超时之后');
+    ghost.socket.destroy();
+
+    // 2. 慢消费者：slow 不读数据，bob 往房间里连发 64 KiB 的二进制消息（alice 和 slow 都会收到）
+    const slow = await join('slow');
+    slow.socket.pause();
+    const bob = await join('bob');
+    const payload = crypto.randomBytes(64 * 1024);
+    for (let i = 0; i < 200; i++) {
+        bob.send(payload);
+        if (i % 20 === 19) await wait(10);
+    }
+    while ((await status()).disconnects.slowConsumer < 1) await wait(50);
+    await showStatus('slow 被断开之后');
+    await wait(500);
+    console.log(`alice 收到 ${received}/200 条二进制消息`);
+    slow.socket.destroy();
+
+    await wait(2000);
+    await showStatus('2 秒没发消息');
+
+    alice.close();
+    bob.close();
+    await wait(200);
+    server.kill('SIGTERM');
+})();
@@ -0,0 +1,103 @@
+// ws-history.js
+// 测试房间消息历史：用文件存储（临时目录）起一个 ws-server.js（8093 端口，join 时补发最近 5 条，内存里每个房间只留 4 条，
+// 更早的要从文件里读），依次检查
+//   1. alice 在 room1 里发 12 条消息，每条都拿到递增的 id；bob 实时收到的消息按 id 顺序到达
+//   2. bob 后来才加入，join 时自动收到最近 5 条；before 往前翻页、after 取某条之后的、最后 N 条；
+//      text 不是字符串或太长的消息被拒，不进历史
+//   3. 重启服务器：历史还在，新消息的 id 接着往上涨
+//   4. 文件末尾留下崩溃时写了一半的一行：重启后那半行被截掉，之后的新消息照常能读回来
+// 全部通过时退出码为 0
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { issueToken } = require('../ws-auth');
+const { wait, startServer, stopServer, open, checks } = require('./helpers');
+
+const PORT = 8093;
+const URL = `ws://localhost:${PORT}`;
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ws-history-'));
+const ENV = { WS_HISTORY: 'file', WS_HISTORY_DIR: DIR, WS_HISTORY_LIMIT: '4', WS_HISTORY_ON_JOIN: '5' };
+
+const { check, done } = checks();
+const idsOf = page => page.messages.map(m => m.id);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const connectAs = userId => open(`${URL}/?token=${issueToken(userId)}`);
+
+// 一直等不到某条回复时不要挂住
+setTimeout(() => {
+    console.log('超时：有回复没等到');
+    process.exit(1);
+}, 30000).unref();
+
+(async () => {
+    let server = await startServer(PORT, ENV);
+
+    // 1. alice 先发 12 条，bob 在线看实时的顺序
+    const alice = await connectAs('alice');
+    const watcher = await connectAs('watcher');
+    await alice.request({ type: 'join', room: 'room1', history: 0 }, 'joined');
+    await watcher.request({ type: 'join', room: 'room1', history: 0 }, 'joined');
+    for (let i = 1; i <= 12; i++) alice.send(JSON.stringify({ type: 'msg', room: 'room1', text: `m${i}` }));
+    const ids = [];
+    for (let i = 0; i < 12; i++) ids.push((await alice.next('sent')).id);
+    const live = [];
+    for (let i = 0; i < 12; i++) live.push(await watcher.next('msg'));
+    check('每条消息的 id 严格递增', ids.every((id, i) => i === 0 || id > ids[i - 1]), ids);
+    check('在线的人按 id 顺序收到', same(live.map(m => m.id), ids) && live[11].text === 'm12', live.map(m => m.id));
+
+    // 2. bob 后加入
+    const bob = await connectAs('bob');
+    bob.send(JSON.stringify({ type: 'join', room: 'room1' }));
+    const recent = await bob.next('history');
+    check('join 时补发最近 5 条', same(idsOf(recent), ids.slice(7)) && recent.hasMore, recent);
+    const older = await bob.request({ type: 'history', room: 'room1', before: recent.messages[0].id, limit: 4 }, 'history');
+    check('before 往前翻 4 条（从文件读）', same(idsOf(older), ids.slice(3, 7)) && older.hasMore, older);
+    const oldest = await bob.request({ type: 'history', room: 'room1', before: ids[3], limit: 10 }, 'history');
+    check('翻到最前面 hasMore=false', same(idsOf(oldest), ids.slice(0, 3)) && !oldest.hasMore, oldest);
+    const after = await bob.request({ type: 'history', room: 'room1', after: ids[2], limit: 2 }, 'history');
+    check('after 取之后的 2 条', same(idsOf(after), ids.slice(3, 5)) && after.hasMore, after);
+    const across = await bob.request({ type: 'history', room: 'room1', after: ids[5], limit: 50 }, 'history');
+    check('跨过文件和内存的一页', same(idsOf(across), ids.slice(6)) && !across.hasMore, across);
+    const last = await bob.request({ type: 'history', room: 'room1', limit: 3 }, 'history');
+    check('最后 3 条', same(idsOf(last), ids.slice(9)) && last.messages[2].text === 'm12', last);
+    const outside = await bob.request({ type: 'history', room: 'room2' }, 'error');
+    check('不在房间里不能查', outside.message === 'not_in_room', outside);
+    for (const text of [{ a: 1 }, ['x'], 'x'.repeat(4001)]) {
+        const rejected = await bob.request({ type: 'msg', room: 'room1', text }, 'error');
+        check(`text 不是字符串或太长不存：${JSON.stringify(text).slice(0, 12)}`, rejected.message === 'invalid_text', rejected);
+    }
+    const unchanged = await bob.request({ type: 'history', room: 'room1', limit: 1 }, 'history');
+    check('被拒的消息没进历史', same(idsOf(unchanged), ids.slice(11)), unchanged);
+    for (const ws of [alice, watcher, bob]) ws.close();
+    await wait(200);
+
+    // 3. 重启之后
+    await stopServer(server);
+    server = await startServer(PORT, ENV);
+    let carol = await connectAs('carol');
+    carol.send(JSON.stringify({ type: 'join', room: 'room1', history: 3 }));
+    const replay = await carol.next('history');
+    check('重启后历史还在', same(idsOf(replay), ids.slice(9)), replay);
+    const next = (await carol.request({ type: 'msg', room: 'room1', text: 'after restart' }, 'sent')).id;
+    check('重启后 id 接着涨', next > ids[11], next);
+    carol.close();
+    await wait(200);
+
+    // 4. 崩溃时留下的半行
+    await stopServer(server);
+    fs.appendFileSync(path.join(DIR, 'room1.jsonl'), '{"id":999,"room":"room1","te');
+    server = await startServer(PORT, ENV);
+    carol = await connectAs('carol');
+    await carol.request({ type: 'join', room: 'room1', history: 0 }, 'joined');
+    const afterCrash = (await carol.request({ type: 'msg', room: 'room1', text: 'after crash' }, 'sent')).id;
+    const page = await carol.request({ type: 'history', room: 'room1', after: next }, 'history');
+    check('半行被截掉，新消息能读回来', afterCrash === next + 1 && same(idsOf(page), [afterCrash]) && page.messages[0].text === 'after crash', page);
+    const lines = fs.readFileSync(path.join(DIR, 'room1.jsonl'), 'utf8').split('\n');
+    check('文件里每行都是完整的 JSON', lines.pop() === '' && lines.every((l) => { try { return !!JSON.parse(l); } catch (e) { return false; } }), lines.length);
+    carol.close();
+    await wait(200);
+
+    await stopServer(server);
+    fs.rmSync(DIR, { recursive: true, force: true });
+    done();
+})();
@@ -0,0 +1,108 @@
+// ws-auth.js
+// Signed tokens for the relay — the same HMAC scheme as permission control/app.js (JSON payload + '.' +
+// HMAC-SHA256 signature, with an expiry), but base64url instead of base64 so a token can go into a query
+// string or a Sec-WebSocket-Protocol value without escaping.
+//
+// payload: { sub: stable user id, name: display name, roles: ['admin', ...], iat, exp }
+//
+// Browsers can't set an Authorization header on a WebSocket, so the upgrade request may carry the token in
+// any of these (checked in this order):
+//   ws://localhost:8080/?token=<token>
+//   Cookie: ws_token=<token>
+//   Sec-WebSocket-Protocol: relay.v1, bearer.<token>     i.e. new WebSocket(url, ['relay.v1', 'bearer.' + token])
+//
+// Issue a token for testing:
+//   node ws-auth.js <userId> [name] [role,role] [ttlSeconds]
+
+const crypto = require('crypto');
+
+const HMAC_SECRET = process.env.WS_TOKEN_SECRET || 'dev-secret-change-me'; // set WS_TOKEN_SECRET outside development
+const TOKEN_TTL = 60 * 60; // token lifetime seconds
+const PROTOCOL_PREFIX = 'bearer.';
+const COOKIE_NAME = 'ws_token';
+const USER_ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function nowSec() { return Math.floor(Date.now() / 1000); }
+
+function timingSafeEqual(a, b) {
+    const A = Buffer.from(a);
+    const B = Buffer.from(b);
+    if (A.length !== B.length) return false;
+    return crypto.timingSafeEqual(A, B);
+}
+
+function signToken(payloadObj) {
+    const payload = Buffer.from(JSON.stringify(payloadObj)).toString('base64url');
+    const sig = crypto.createHmac('sha256', HMAC_SECRET).update(payload).digest('base64url');
+    return `${payload}.${sig}`;
+}
+
+function verifyToken(token) {
+    try {
+        const [payloadB64, sig] = token.split('.');
+        if (!payloadB64 || !sig) return null;
+        const expected = crypto.createHmac('sha256', HMAC_SECRET).update(payloadB64).digest('base64url');
+        if (!timingSafeEqual(sig, expected)) return null;
+        const payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString());
+        if (payload.exp && nowSec() > payload.exp) return null;
+        return payload;
+    } catch (e) { return null; }
+}
+
+function issueToken(userId, { name = userId, roles = [], ttl = TOKEN_TTL } = {}) {
+    if (!USER_ID_RE.test(userId)) throw new Error(`invalid user id: ${userId}`);
+    return signToken({ sub: userId, name, roles, iat: nowSec(), exp: nowSec() + ttl });
+}
+
+// values that aren't valid percent-encoding are kept as they are: any cookie on the upgrade request gets here
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const i = part.indexOf('=');
+        if (i <= 0) continue;
+        const value = part.slice(i + 1).trim();
+        try {
+            cookies[part.slice(0, i).trim()] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[part.slice(0, i).trim()] = value;
+        }
+    }
+    return cookies;
+}
+
+function offeredProtocols(req) {
+    return (req.headers['sec-websocket-protocol'] || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// the raw token from the upgrade request, or null
+function tokenFromRequest(req) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.searchParams.get('token')) return url.searchParams.get('token');
+    const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (cookie) return cookie;
+    const protocol = offeredProtocols(req).find(p => p.startsWith(PROTOCOL_PREFIX));
+    return protocol ? protocol.slice(PROTOCOL_PREFIX.length) : null;
+}
+
+// => { id, name, roles } or null if there's no token, or it's forged, expired or malformed
+function authenticate(req) {
+    const token = tokenFromRequest(req);
+    const payload = token && verifyToken(token);
+    if (!payload || typeof payload.sub !== 'string' || !USER_ID_RE.test(payload.sub)) return null;
+    return {
+        id: payload.sub,
+        name: typeof payload.name === 'string' && payload.name ? payload.name.slice(0, 64) : payload.sub,
+        roles: Array.isArray(payload.roles) ? payload.roles.filter(r => typeof r === 'string') : [],
+    };
+}
+
+module.exports = { signToken, verifyToken, issueToken, tokenFromRequest, offeredProtocols, authenticate, PROTOCOL_PREFIX, COOKIE_NAME };
+
+if (require.main === module) {
+    const [userId, name, roles, ttl] = process.argv.slice(2);
+    if (!userId) {
+        console.error('usage: node ws-auth.js <userId> [name] [role,role] [ttlSeconds]');
+        process.exit(1);
+    }
+    console.log(issueToken(userId, { name: name || userId, roles: roles ? roles.split(',') : [], ttl: Number(ttl) || TOKEN_TTL }));
+}
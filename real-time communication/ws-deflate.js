@@ -0,0 +1,162 @@
+// ws-deflate.js
+// permessage-deflate (RFC 7692): negotiation of the Sec-WebSocket-Extensions header and per-message
+// compression with Node's zlib. Used by ws-server.js / ws-protocol.js and by test/ws-autobahn.js.
+//
+//   const ext = negotiate(req.headers['sec-websocket-extensions'], options);
+//   ext => { header: 'permessage-deflate; server_max_window_bits=10', deflate: PerMessageDeflate } or null
+//
+// A compressed message has RSV1 set on its first frame. Its payload is the raw DEFLATE stream of the whole
+// message, sync-flushed, with the trailing 00 00 ff ff removed. Control frames are never compressed.
+//
+// Context takeover: by default both sides keep the LZ77 window between messages, so a message can point
+// back into earlier ones (repetitive JSON compresses very well). Instead of keeping one zlib stream per
+// connection (async, so messages would have to be queued), each message is deflated / inflated on its own
+// with the previous messages' last window of plain bytes as the preset dictionary — that's exactly what
+// the peer's window holds, and it keeps frame handling synchronous and in order.
+// *_no_context_takeover turns that off for one direction; *_max_window_bits shrinks the window.
+
+const zlib = require('zlib');
+
+const EXTENSION = 'permessage-deflate';
+const TAIL = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+const PARAMS = ['server_no_context_takeover', 'client_no_context_takeover', 'server_max_window_bits', 'client_max_window_bits'];
+
+const DEFAULTS = {
+    threshold: 1024, // messages smaller than this (in bytes) go out uncompressed
+    level: zlib.constants.Z_DEFAULT_COMPRESSION,
+    serverNoContextTakeover: false,
+    clientNoContextTakeover: false,
+    serverMaxWindowBits: 15,
+    clientMaxWindowBits: 15,
+};
+
+// 'permessage-deflate; client_max_window_bits, permessage-deflate' =>
+// [{ name: 'permessage-deflate', params: { client_max_window_bits: true } }, { name: 'permessage-deflate', params: {} }]
+// params is null for an offer that repeats a parameter (section 7 says to decline those).
+function parseExtensions(header) {
+    if (!header) return [];
+    return header.split(',').map((offer) => {
+        const [name, ...rest] = offer.split(';').map(s => s.trim());
+        const params = {};
+        for (const param of rest) {
+            if (!param) continue;
+            const i = param.indexOf('=');
+            const key = (i < 0 ? param : param.slice(0, i)).trim().toLowerCase();
+            const value = i < 0 ? true : param.slice(i + 1).trim().replace(/^"(.*)"$/, '$1');
+            if (key in params) return { name: name.toLowerCase(), params: null };
+            params[key] = value;
+        }
+        return { name: name.toLowerCase(), params };
+    });
+}
+
+const isWindowBits = value => typeof value === 'string' && /^(?:[89]|1[0-5])$/.test(value);
+// a bare "client_max_window_bits" (no value) or a missing parameter means the full 15-bit window
+const windowBits = value => (typeof value === 'string' ? Number(value) : 15);
+
+// Check one offer and work out the agreed parameters; null declines it
+function accept(params, options) {
+    if (!params || Object.keys(params).some(k => !PARAMS.includes(k))) return null;
+    if (params.server_no_context_takeover !== undefined && params.server_no_context_takeover !== true) return null;
+    if (params.client_no_context_takeover !== undefined && params.client_no_context_takeover !== true) return null;
+    if (params.server_max_window_bits !== undefined && !isWindowBits(params.server_max_window_bits)) return null;
+    if (params.client_max_window_bits !== undefined && params.client_max_window_bits !== true && !isWindowBits(params.client_max_window_bits)) return null;
+
+    const agreed = {
+        serverNoContextTakeover: params.server_no_context_takeover === true || options.serverNoContextTakeover,
+        clientNoContextTakeover: params.client_no_context_takeover === true || options.clientNoContextTakeover,
+        serverMaxWindowBits: Math.min(windowBits(params.server_max_window_bits), options.serverMaxWindowBits),
+        clientMaxWindowBits: 15,
+    };
+    // zlib silently turns an 8-bit raw deflate window into 9 bits, so we can't promise a client 8
+    if (agreed.serverMaxWindowBits < 9) return null;
+    // we may only limit the client's window if it said it can handle that (section 7.1.2.2)
+    if (params.client_max_window_bits !== undefined) {
+        agreed.clientMaxWindowBits = Math.min(windowBits(params.client_max_window_bits), options.clientMaxWindowBits);
+    }
+
+    const response = [EXTENSION];
+    if (agreed.serverNoContextTakeover) response.push('server_no_context_takeover');
+    if (agreed.clientNoContextTakeover) response.push('client_no_context_takeover');
+    if (params.server_max_window_bits !== undefined || agreed.serverMaxWindowBits < 15) {
+        response.push(`server_max_window_bits=${agreed.serverMaxWindowBits}`);
+    }
+    if (params.client_max_window_bits !== undefined && (params.client_max_window_bits !== true || agreed.clientMaxWindowBits < 15)) {
+        response.push(`client_max_window_bits=${agreed.clientMaxWindowBits}`);
+    }
+    return { header: response.join('; '), agreed };
+}
+
+// Server side: pick the first acceptable permessage-deflate offer from the client's header
+function negotiate(header, options = {}) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    for (const offer of parseExtensions(header)) {
+        if (offer.name !== EXTENSION) continue;
+        const result = accept(offer.params, opts);
+        if (result) return { header: result.header, deflate: new PerMessageDeflate(Object.assign(opts, result.agreed), true) };
+    }
+    return null;
+}
+
+// Client side: turn the server's Sec-WebSocket-Extensions response into a PerMessageDeflate (or null)
+function fromResponse(header, options = {}) {
+    const offer = parseExtensions(header).find(o => o.name === EXTENSION);
+    if (!offer || !offer.params) return null;
+    const p = offer.params;
+    return new PerMessageDeflate(Object.assign({}, DEFAULTS, options, {
+        serverNoContextTakeover: p.server_no_context_takeover === true,
+        clientNoContextTakeover: p.client_no_context_takeover === true,
+        serverMaxWindowBits: windowBits(p.server_max_window_bits),
+        clientMaxWindowBits: windowBits(p.client_max_window_bits),
+    }), false);
+}
+
+// appends to the window, keeping only the last `size` bytes
+function slide(window, data, size) {
+    if (data.length >= size) return Buffer.from(data.subarray(data.length - size));
+    const joined = window ? Buffer.concat([window, data]) : data;
+    return joined.length > size ? joined.subarray(joined.length - size) : joined;
+}
+
+class PerMessageDeflate {
+    constructor(params, isServer) {
+        this.threshold = params.threshold;
+        this.level = params.level;
+        // "server_*" parameters describe what the server sends, "client_*" what the client sends
+        this.sendBits = isServer ? params.serverMaxWindowBits : params.clientMaxWindowBits;
+        this.sendTakeover = !(isServer ? params.serverNoContextTakeover : params.clientNoContextTakeover);
+        this.recvBits = isServer ? params.clientMaxWindowBits : params.serverMaxWindowBits;
+        this.recvTakeover = !(isServer ? params.clientNoContextTakeover : params.serverNoContextTakeover);
+        this.sendWindow = null;
+        this.recvWindow = null;
+    }
+
+    shouldCompress(data) {
+        return data.length >= this.threshold;
+    }
+
+    compress(data) {
+        const out = zlib.deflateRawSync(data, {
+            level: this.level,
+            windowBits: this.sendBits,
+            dictionary: this.sendWindow || undefined,
+            finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        });
+        if (this.sendTakeover) this.sendWindow = slide(this.sendWindow, data, 1 << this.sendBits);
+        return out.subarray(0, out.length - TAIL.length);
+    }
+
+    // throws RangeError (code ERR_BUFFER_TOO_LARGE) past maxSize, or a zlib error for a corrupt stream
+    decompress(data, maxSize) {
+        const out = zlib.inflateRawSync(Buffer.concat([data, TAIL]), {
+            windowBits: 15, // a bigger window than the sender's is always fine for inflating
+            dictionary: this.recvWindow || undefined,
+            finishFlush: zlib.constants.Z_SYNC_FLUSH,
+            maxOutputLength: maxSize,
+        });
+        if (this.recvTakeover) this.recvWindow = slide(this.recvWindow, out, 1 << this.recvBits);
+        return out;
+    }
+}
+
+module.exports = { EXTENSION, DEFAULTS, parseExtensions, negotiate, fromResponse, PerMessageDeflate };
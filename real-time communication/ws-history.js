@@ -0,0 +1,202 @@
+// ws-history.js
+// Room message history for ws-server.js. A store keeps the room messages that were broadcast and answers
+// paged queries; ids come from one counter shared by all rooms, so they only ever go up.
+//
+//   await store.open()
+//   await store.append(room, { from, name, text }) => { id, room, from, name, text, time }   (stored when it resolves)
+//   await store.query(room, { limit, before, after }) => { messages: [...oldest first], hasMore }
+//
+// Two stores, picked with createStore():
+//   MemoryStore  a ring of the last `limit` messages per room; gone on restart
+//   FileStore    one append-only JSON-lines file per room under `dir`; keeps everything and survives restarts
+//                (the id counter continues from the files). Each room keeps the byte offset of every line and
+//                its last `limit` messages in memory: recent pages never touch the disk, older ones read just
+//                the lines they need.
+// Anything else with open() / append() / query() can be passed to the server instead.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+// first index in [0, length) whose id is > id (or >= id when `inclusive`); ids are sorted ascending
+function bisect(length, idAt, id, inclusive) {
+    let lo = 0;
+    let hi = length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (inclusive ? idAt(mid) < id : idAt(mid) <= id) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Pick one page out of `length` messages sorted by id, as the index range [start, end):
+//   { limit }          the last `limit` messages
+//   { before, limit }  the `limit` messages right before id `before`
+//   { after, limit }   the `limit` messages right after id `after`
+// hasMore says whether there are more messages past the page in the direction being read.
+function pageRange(length, idAt, { limit, before, after }) {
+    if (after !== undefined) {
+        const start = bisect(length, idAt, after, false);
+        const end = Math.min(start + limit, length);
+        return { start, end, hasMore: end < length };
+    }
+    const end = before !== undefined ? bisect(length, idAt, before, true) : length;
+    const start = Math.max(0, end - limit);
+    return { start, end, hasMore: start > 0 };
+}
+
+function newMessage(id, room, entry) {
+    return Object.assign({ id, room }, entry, { time: new Date().toISOString() });
+}
+
+class MemoryStore {
+    constructor({ limit = 1000 } = {}) {
+        this.limit = limit; // messages kept per room
+        this.rooms = new Map(); // room => [message, ...] oldest first
+        this.lastId = 0;
+    }
+
+    async open() { }
+
+    async append(room, entry) {
+        const message = newMessage(++this.lastId, room, entry);
+        if (!this.rooms.has(room)) this.rooms.set(room, []);
+        const ring = this.rooms.get(room);
+        ring.push(message);
+        if (ring.length > this.limit) ring.shift();
+        return message;
+    }
+
+    async query(room, options) {
+        const ring = this.rooms.get(room) || [];
+        const { start, end, hasMore } = pageRange(ring.length, i => ring[i].id, options);
+        return { messages: ring.slice(start, end), hasMore };
+    }
+}
+
+class FileStore {
+    constructor({ dir, limit = 1000 }) {
+        this.dir = dir;
+        this.limit = limit; // recent messages per room kept in memory
+        // room => { file, fh, ids: [id], offsets: [byte offset of each line], size, tail: [last `limit` messages], writing }
+        this.rooms = new Map();
+        this.lastId = 0;
+    }
+
+    // Build each room's index from its file. A line cut short by a crash is cut off the file, otherwise
+    // the next append would be glued onto it and both would be unreadable.
+    async open() {
+        await fsp.mkdir(this.dir, { recursive: true });
+        for (const file of await fsp.readdir(this.dir)) {
+            if (!/^[^%]*(%[0-9A-F]{2}[^%]*)*\.jsonl$/i.test(file)) continue; // only names room() could have made
+            const room = this.newRoom(path.join(this.dir, file));
+            let offset = 0;
+            let pending = Buffer.alloc(0);
+            for await (const chunk of fs.createReadStream(room.file)) {
+                const data = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+                let start = 0;
+                let nl;
+                while ((nl = data.indexOf(0x0a, start)) !== -1) {
+                    this.indexLine(room, data.subarray(start, nl), offset);
+                    offset += nl + 1 - start;
+                    start = nl + 1;
+                }
+                pending = Buffer.from(data.subarray(start));
+            }
+            if (pending.length) await fsp.truncate(room.file, offset);
+            room.size = offset;
+            room.fh = await fsp.open(room.file, 'a');
+            this.rooms.set(decodeURIComponent(file.slice(0, -'.jsonl'.length)), room);
+        }
+    }
+
+    newRoom(file) {
+        return { file, fh: null, ids: [], offsets: [], size: 0, tail: [], writing: Promise.resolve() };
+    }
+
+    indexLine(room, line, offset) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (e) {
+            return; // not a message; left out of the index
+        }
+        room.ids.push(message.id);
+        room.offsets.push(offset);
+        this.remember(room, message);
+        this.lastId = Math.max(this.lastId, message.id);
+    }
+
+    remember(room, message) {
+        room.tail.push(message);
+        if (room.tail.length > this.limit) room.tail.shift();
+    }
+
+    // room names are client-chosen, so they're escaped before becoming file names ('/' can't escape `dir`)
+    room(name) {
+        let room = this.rooms.get(name);
+        if (!room) {
+            room = this.newRoom(path.join(this.dir, encodeURIComponent(name) + '.jsonl'));
+            this.rooms.set(name, room);
+            room.writing = fsp.open(room.file, 'a').then((fh) => { room.fh = fh; });
+        }
+        return room;
+    }
+
+    // The id, offset and tail entry are assigned right away, so concurrent appends keep their order;
+    // the writes are chained per room and this resolves once the line is in the file.
+    async append(name, entry) {
+        const room = this.room(name);
+        const message = newMessage(++this.lastId, name, entry);
+        const line = JSON.stringify(message) + '\n';
+        room.ids.push(message.id);
+        room.offsets.push(room.size);
+        room.size += Buffer.byteLength(line);
+        this.remember(room, message);
+        const write = room.writing.then(() => room.fh.appendFile(line));
+        room.writing = write.catch(err => console.error(`history: writing ${room.file} failed`, err));
+        await write;
+        return message;
+    }
+
+    async query(name, options) {
+        const room = this.rooms.get(name);
+        if (!room) return { messages: [], hasMore: false };
+        const { start, end, hasMore } = pageRange(room.ids.length, i => room.ids[i], options);
+        const tailStart = room.ids.length - room.tail.length;
+        // taken before any await: appends arriving meanwhile shift the tail
+        const recent = end > tailStart ? room.tail.slice(Math.max(start, tailStart) - tailStart, end - tailStart) : [];
+        const older = start < tailStart ? await this.readLines(room, start, Math.min(end, tailStart)) : [];
+        return { messages: older.concat(recent), hasMore };
+    }
+
+    // messages [start, end) of the index, older than the in-memory tail, in one read
+    async readLines(room, start, end) {
+        await room.writing; // everything older than the tail has been handed to the file by now
+        const from = room.offsets[start];
+        const to = end < room.offsets.length ? room.offsets[end] : room.size;
+        const buf = Buffer.alloc(to - from);
+        const fh = await fsp.open(room.file, 'r');
+        try {
+            await fh.read(buf, 0, buf.length, from);
+        } finally {
+            await fh.close();
+        }
+        const messages = [];
+        for (const line of buf.toString('utf8').split('\n')) {
+            if (!line) continue;
+            try { messages.push(JSON.parse(line)); } catch (e) { /* not indexed either */ }
+        }
+        return messages;
+    }
+}
+
+// createStore({ type: 'memory' | 'file', limit, dir })
+function createStore({ type = 'memory', limit, dir } = {}) {
+    if (type === 'file') return new FileStore({ dir, limit });
+    if (type === 'memory') return new MemoryStore({ limit });
+    throw new Error(`unknown history store: ${type}`);
+}
+
+module.exports = { pageRange, MemoryStore, FileStore, createStore };
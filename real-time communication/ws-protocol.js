@@ -0,0 +1,589 @@
+// ws-protocol.js
+// RFC 6455 framing layer used by ws-server.js (and by test/ws-autobahn.js from the client side).
+//
+//   acceptUpgrade(req, socket)        validate the opening handshake, answer 101 (or 400 / 426)
+//   new WebSocketConnection(socket)   frames in / out, fragmentation, UTF-8, ping/pong, close handshake,
+//                                     heartbeats and a bounded outbound queue
+//   connect(url)                      client side of the handshake (Node 20 has no WebSocket client), for the tests
+//   buildFrame / FrameParser          the raw codec, usable on either end of the connection
+//
+// Frame layout (section 5.2):
+//   byte 0: FIN | RSV1 | RSV2 | RSV3 | opcode(4)
+//   byte 1: MASK | payload length(7)   126 => 16-bit length follows, 127 => 64-bit length follows
+//   then the 4-byte masking key if MASK is set, then the payload (XOR-ed with the key).
+// Clients must mask every frame, servers must not. Control frames (close / ping / pong) carry at most
+// 125 bytes and can't be fragmented, but may arrive between the fragments of a data message.
+//
+// Any violation fails the connection: we send a close frame with the matching status code
+// (1002 protocol error, 1007 invalid UTF-8, 1009 too big) and drop the TCP connection.
+//
+// With permessage-deflate negotiated (ws-deflate.js) RSV1 on the first frame of a data message marks it
+// as compressed; it's inflated once the last fragment is in, and UTF-8 is checked on the inflated text.
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { fromResponse } = require('./ws-deflate');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = Number(process.env.WS_MAX_MESSAGE_SIZE) || 16 * 1024 * 1024;
+const CLOSE_TIMEOUT = 5000; // how long we wait for the peer to answer our close frame
+const MAX_QUEUE = 1000; // outbound messages waiting for the socket to drain, per connection
+const MAX_QUEUE_BYTES = 4 * 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA,
+};
+
+const CLOSE_CODES = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED_DATA: 1003,
+    NO_STATUS: 1005, // never sent on the wire: "the close frame had no code"
+    ABNORMAL: 1006, // never sent on the wire: "the connection dropped without a close frame"
+    INVALID_PAYLOAD: 1007,
+    POLICY_VIOLATION: 1008,
+    MESSAGE_TOO_BIG: 1009,
+    INTERNAL_ERROR: 1011,
+};
+
+// closes the connection with `code` (see WebSocketConnection.fail)
+class ProtocolError extends Error {
+    constructor(code, reason) {
+        super(reason);
+        this.code = code;
+    }
+}
+
+// --- Opening handshake
+function computeAccept(key) {
+    return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// answer an upgrade request with a plain HTTP error instead of 101
+function rejectUpgrade(socket, status, headers = []) {
+    socket.end([`HTTP/1.1 ${status}`, 'Connection: close', ...headers].join('\r\n') + '\r\n\r\n');
+}
+
+// Section 4.2.1: GET, "Upgrade: websocket", "Connection: Upgrade", version 13 and a 16-byte base64 key.
+// extraHeaders go into the 101 response (e.g. a negotiated Sec-WebSocket-Protocol). Returns false if rejected.
+function acceptUpgrade(req, socket, extraHeaders = []) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+    const connection = (req.headers.connection || '').toLowerCase().split(',').map(s => s.trim());
+    if (req.method !== 'GET' || upgrade !== 'websocket' || !connection.includes('upgrade')) {
+        rejectUpgrade(socket, '400 Bad Request');
+        return false;
+    }
+    if (req.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, '426 Upgrade Required', ['Sec-WebSocket-Version: 13']);
+        return false;
+    }
+    if (!key || !/^[A-Za-z0-9+/]{22}==$/.test(key)) {
+        rejectUpgrade(socket, '400 Bad Request');
+        return false;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${computeAccept(key)}`,
+        ...extraHeaders,
+    ].join('\r\n') + '\r\n\r\n');
+    return true;
+}
+
+// --- Encoding
+function applyMask(payload, mask) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+}
+
+// payload is a Buffer or string; mask is only for the client side
+function buildFrame(opcode, payload = Buffer.alloc(0), { fin = true, rsv1 = false, mask = false } = {}) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    const len = data.length;
+    const lenBytes = len < 126 ? 0 : len < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lenBytes + (mask ? 4 : 0));
+    header[0] = (fin ? 0x80 : 0) | (rsv1 ? 0x40 : 0) | opcode;
+    if (lenBytes === 0) {
+        header[1] = len;
+    } else if (lenBytes === 2) {
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    if (!mask) return Buffer.concat([header, data]);
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    key.copy(header, 2 + lenBytes);
+    const masked = Buffer.from(data); // don't scribble over the caller's buffer
+    applyMask(masked, key);
+    return Buffer.concat([header, masked]);
+}
+
+function buildClose(code, reason = '', options) {
+    if (code === undefined) return buildFrame(OPCODES.CLOSE, Buffer.alloc(0), options);
+    const reasonBytes = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    return buildFrame(OPCODES.CLOSE, payload, options);
+}
+
+function isValidCloseCode(code) {
+    return (code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006) || (code >= 3000 && code <= 4999);
+}
+
+// --- Decoding
+// Received chunks are kept in a list and only joined when a frame needs them, so a large message that
+// arrives in many small TCP chunks isn't copied over and over.
+class FrameParser {
+    // expectMasked: true on the server (client frames must be masked), false on the client.
+    // allowRsv1: an extension (permessage-deflate) has claimed the RSV1 bit.
+    constructor({ expectMasked = true, maxPayload = MAX_MESSAGE_SIZE, allowRsv1 = false } = {}) {
+        this.expectMasked = expectMasked;
+        this.maxPayload = maxPayload;
+        this.allowRsv1 = allowRsv1;
+        this.chunks = [];
+        this.buffered = 0;
+        this.header = null;
+    }
+
+    take(n) {
+        const out = Buffer.allocUnsafe(n);
+        let filled = 0;
+        while (filled < n) {
+            const chunk = this.chunks[0];
+            const used = Math.min(chunk.length, n - filled);
+            chunk.copy(out, filled, 0, used);
+            filled += used;
+            if (used === chunk.length) this.chunks.shift();
+            else this.chunks[0] = chunk.subarray(used);
+        }
+        this.buffered -= n;
+        return out;
+    }
+
+    peek(n) {
+        return this.chunks[0].length >= n ? this.chunks[0] : Buffer.concat(this.chunks, n);
+    }
+
+    // returns the complete frames in chunk: [{ fin, rsv1, opcode, payload }]; throws ProtocolError
+    push(chunk) {
+        this.chunks.push(chunk);
+        this.buffered += chunk.length;
+        const frames = [];
+        for (;;) {
+            if (!this.header && !(this.header = this.readHeader())) break;
+            if (this.buffered < this.header.length) break;
+            const { fin, rsv1, opcode, mask, length } = this.header;
+            this.header = null;
+            const payload = length ? this.take(length) : Buffer.alloc(0);
+            if (mask) applyMask(payload, mask);
+            frames.push({ fin, rsv1, opcode, payload });
+        }
+        return frames;
+    }
+
+    readHeader() {
+        if (this.buffered < 2) return null;
+        let bytes = this.peek(2);
+        const fin = (bytes[0] & 0x80) !== 0;
+        const rsv1 = (bytes[0] & 0x40) !== 0;
+        const opcode = bytes[0] & 0x0f;
+        const masked = (bytes[1] & 0x80) !== 0;
+        const len7 = bytes[1] & 0x7f;
+        const headerLen = 2 + (len7 === 126 ? 2 : len7 === 127 ? 8 : 0) + (masked ? 4 : 0);
+
+        if (bytes[0] & 0x30) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'RSV2 / RSV3 must be 0');
+        if (rsv1 && !this.allowRsv1) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'RSV1 must be 0');
+        if (!Object.values(OPCODES).includes(opcode)) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, `reserved opcode ${opcode}`);
+        if (masked !== this.expectMasked) {
+            throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, this.expectMasked ? 'client frames must be masked' : 'server frames must not be masked');
+        }
+        if (opcode >= 0x8) {
+            if (!fin) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'fragmented control frame');
+            if (len7 > 125) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'control frame payload too long');
+            if (rsv1) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'RSV1 set on a control frame');
+        }
+        if (rsv1 && opcode === OPCODES.CONTINUATION) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'RSV1 set on a continuation frame');
+        if (this.buffered < headerLen) return null;
+
+        bytes = this.take(headerLen);
+        let length = len7;
+        let offset = 2;
+        if (len7 === 126) {
+            length = bytes.readUInt16BE(2);
+            offset = 4;
+        } else if (len7 === 127) {
+            const big = bytes.readBigUInt64BE(2);
+            if (big >> 63n) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, '64-bit length with the most significant bit set');
+            if (big > BigInt(this.maxPayload)) throw new ProtocolError(CLOSE_CODES.MESSAGE_TOO_BIG, 'frame too big');
+            length = Number(big);
+            offset = 10;
+        }
+        if (length > this.maxPayload) throw new ProtocolError(CLOSE_CODES.MESSAGE_TOO_BIG, 'frame too big');
+        return { fin, rsv1, opcode, length, mask: masked ? bytes.subarray(offset, offset + 4) : null };
+    }
+}
+
+// --- Connection
+// Events:
+//   'message' (data, isBinary)  a complete message: string for text, Buffer for binary
+//   'ping' (payload) / 'pong' (payload)   pings are answered automatically
+//   'close' (code, reason)      once, after the TCP connection is gone; 1005 = close frame without a code,
+//                               1006 = dropped without a close frame
+//   'timeout'                   a heartbeat ping got no pong in time; the socket is destroyed right after
+//   'overflow'                  the outbound queue hit its limit; the connection is closed with 1008
+// States: open -> closing (close frame sent, waiting for the peer's) -> closed.
+// deflate is the PerMessageDeflate from ws-deflate.js when the extension was negotiated.
+//
+// Outbound backpressure: while socket.write() reports a full buffer, send() queues messages in the outbox
+// and the 'drain' event writes them out. A peer that reads slower than we send would grow the queue without
+// bound, so past maxQueue messages or maxQueueBytes bytes the queue is dropped and the peer disconnected.
+// Messages are compressed when they leave the outbox, so a dropped message never enters the deflate context.
+// Control frames skip the queue.
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, options = {}) {
+        super();
+        const { head, maxMessageSize = MAX_MESSAGE_SIZE, client = false, deflate = null } = options;
+        this.socket = socket;
+        this.client = client;
+        this.maxMessageSize = maxMessageSize;
+        this.maxQueue = options.maxQueue || MAX_QUEUE;
+        this.maxQueueBytes = options.maxQueueBytes || MAX_QUEUE_BYTES;
+        this.deflate = deflate;
+        this.parser = new FrameParser({ expectMasked: !client, maxPayload: maxMessageSize, allowRsv1: !!deflate });
+        this.state = 'open';
+        this.message = null; // the data message being received: { opcode, compressed, parts, size, decoder, text }
+        this.closeCode = CLOSE_CODES.ABNORMAL;
+        this.closeReason = '';
+        this.closeTimer = null;
+        this.outbox = []; // { opcode, payload } waiting for 'drain'; our own close frame can queue up behind them
+        this.outboxBytes = 0;
+        this.heartbeatTimer = null;
+        this.pongTimer = null; // set while a heartbeat ping is waiting for its pong
+        this.pingSentAt = 0;
+        this.latency = null; // round trip of the last answered heartbeat, ms
+        this.lastReceived = Date.now();
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('drain', () => this.flush());
+        socket.on('error', () => { }); // 'close' follows and reports 1006
+        socket.on('close', () => {
+            clearTimeout(this.closeTimer);
+            this.stopHeartbeat();
+            this.dropOutbox();
+            this.state = 'closed';
+            this.emit('close', this.closeCode, this.closeReason);
+        });
+        // setImmediate rather than nextTick: whoever awaits connect() gets to attach listeners first
+        if (head && head.length) setImmediate(() => this.onData(head));
+    }
+
+    // bytes sent but not yet handed to the kernel, like the browser's WebSocket.bufferedAmount
+    get bufferedAmount() {
+        return this.outboxBytes + this.socket.writableLength;
+    }
+
+    get awaitingPong() {
+        return this.pongTimer !== null;
+    }
+
+    // Server-driven keepalive: ping every `interval` ms. No pong within `timeout` ms means the peer is gone
+    // (a half-open TCP connection never answers a close frame either), so the socket is destroyed outright.
+    startHeartbeat(interval, timeout) {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (this.state !== 'open' || this.pongTimer) return;
+            this.pingSentAt = Date.now();
+            this.ping();
+            this.pongTimer = setTimeout(() => {
+                this.emit('timeout');
+                this.terminate(`no pong within ${timeout}ms`);
+            }, timeout);
+        }, interval);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
+    }
+
+    onData(chunk) {
+        if (this.state === 'closed' || this.failed) return;
+        this.lastReceived = Date.now();
+        let frames;
+        try {
+            frames = this.parser.push(chunk);
+        } catch (err) {
+            return this.fail(err);
+        }
+        for (const frame of frames) {
+            try {
+                this.onFrame(frame);
+            } catch (err) {
+                return this.fail(err);
+            }
+            if (this.failed || this.state === 'closed') return;
+        }
+    }
+
+    onFrame({ fin, rsv1, opcode, payload }) {
+        if (opcode === OPCODES.CLOSE) return this.onClose(payload);
+        // after our close frame only the peer's close matters (section 5.5.1)
+        if (this.state !== 'open') return;
+        if (opcode === OPCODES.PING) {
+            this.writeFrame(OPCODES.PONG, payload);
+            return this.emit('ping', payload);
+        }
+        if (opcode === OPCODES.PONG) {
+            // any pong counts as proof of life, unsolicited ones included (section 5.5.3)
+            if (this.pongTimer) {
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
+                this.latency = Date.now() - this.pingSentAt;
+            }
+            return this.emit('pong', payload);
+        }
+
+        if (opcode === OPCODES.CONTINUATION) {
+            if (!this.message) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'continuation frame without a message to continue');
+        } else {
+            if (this.message) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'new data frame before the previous message finished');
+            this.message = { opcode, compressed: rsv1, parts: [], size: 0, decoder: null, text: '' };
+            // compressed text can only be checked after inflating, see inflateMessage()
+            if (opcode === OPCODES.TEXT && !rsv1) this.message.decoder = new TextDecoder('utf-8', { fatal: true });
+        }
+        this.appendFragment(payload, fin);
+    }
+
+    appendFragment(payload, fin) {
+        const msg = this.message;
+        msg.size += payload.length;
+        if (msg.size > this.maxMessageSize) throw new ProtocolError(CLOSE_CODES.MESSAGE_TOO_BIG, 'message too big');
+        if (msg.decoder) {
+            // streaming decode: invalid UTF-8 fails as soon as it shows up, not only at the last fragment
+            try {
+                msg.text += msg.decoder.decode(payload, { stream: !fin });
+            } catch (e) {
+                throw new ProtocolError(CLOSE_CODES.INVALID_PAYLOAD, 'invalid UTF-8 in text message');
+            }
+        } else {
+            msg.parts.push(payload);
+        }
+        if (!fin) return;
+        this.message = null;
+        if (msg.compressed) return this.inflateMessage(msg);
+        if (msg.decoder) this.emit('message', msg.text, false);
+        else this.emit('message', msg.parts.length === 1 ? msg.parts[0] : Buffer.concat(msg.parts, msg.size), true);
+    }
+
+    inflateMessage(msg) {
+        let data;
+        try {
+            data = this.deflate.decompress(Buffer.concat(msg.parts, msg.size), this.maxMessageSize);
+        } catch (err) {
+            if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new ProtocolError(CLOSE_CODES.MESSAGE_TOO_BIG, 'message too big');
+            throw new ProtocolError(CLOSE_CODES.INVALID_PAYLOAD, `invalid compressed data: ${err.message}`);
+        }
+        if (msg.opcode === OPCODES.BINARY) return this.emit('message', data, true);
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+        } catch (e) {
+            throw new ProtocolError(CLOSE_CODES.INVALID_PAYLOAD, 'invalid UTF-8 in text message');
+        }
+        this.emit('message', text, false);
+    }
+
+    onClose(payload) {
+        let code = CLOSE_CODES.NO_STATUS;
+        let reason = '';
+        if (payload.length === 1) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, 'close frame with a 1-byte payload');
+        if (payload.length >= 2) {
+            code = payload.readUInt16BE(0);
+            if (!isValidCloseCode(code)) throw new ProtocolError(CLOSE_CODES.PROTOCOL_ERROR, `invalid close code ${code}`);
+            try {
+                reason = new TextDecoder('utf-8', { fatal: true }).decode(payload.subarray(2));
+            } catch (e) {
+                throw new ProtocolError(CLOSE_CODES.INVALID_PAYLOAD, 'invalid UTF-8 in close reason');
+            }
+        }
+        this.closeCode = code;
+        this.closeReason = reason;
+        // echo the peer's code if this is their close; if it answers ours we're done either way.
+        // The peer won't read anything after its close frame, so whatever is still queued is dropped.
+        this.dropOutbox();
+        if (this.state === 'open') {
+            this.writeRaw(buildClose(code === CLOSE_CODES.NO_STATUS ? undefined : code, '', { mask: this.client }));
+        }
+        this.state = 'closing';
+        // the server closes TCP first (section 7.1.1); a client waits for the server to do it
+        if (!this.client) this.socket.end();
+        this.armCloseTimer();
+    }
+
+    // protocol error: say why, then drop the connection without waiting for the peer's close
+    fail(err) {
+        if (this.failed) return;
+        this.failed = true;
+        const code = err instanceof ProtocolError ? err.code : CLOSE_CODES.INTERNAL_ERROR;
+        if (!(err instanceof ProtocolError)) console.error('WebSocket error:', err);
+        this.closeCode = code;
+        this.closeReason = err.message;
+        this.dropOutbox();
+        if (this.state === 'open') this.writeRaw(buildClose(code, err.message.slice(0, 123), { mask: this.client }));
+        this.state = 'closing';
+        this.socket.end();
+        this.armCloseTimer();
+    }
+
+    armCloseTimer() {
+        if (this.closeTimer) return;
+        this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+        this.closeTimer.unref();
+    }
+
+    writeRaw(buf) {
+        if (this.socket.destroyed || this.socket.writableEnded) return false;
+        return this.socket.write(buf);
+    }
+
+    writeFrame(opcode, payload, options) {
+        return this.writeRaw(buildFrame(opcode, payload, Object.assign({ mask: this.client }, options)));
+    }
+
+    // With permessage-deflate, messages at or above the threshold are compressed.
+    writeMessage(opcode, payload) {
+        if (opcode === OPCODES.CLOSE) return this.writeRaw(payload); // already a complete frame, see close()
+        if (this.deflate && this.deflate.shouldCompress(payload)) {
+            return this.writeFrame(opcode, this.deflate.compress(payload), { rsv1: true });
+        }
+        return this.writeFrame(opcode, payload);
+    }
+
+    flush() {
+        while (this.outbox.length && !this.socket.writableNeedDrain) {
+            const { opcode, payload } = this.outbox.shift();
+            this.outboxBytes -= payload.length;
+            this.writeMessage(opcode, payload);
+        }
+    }
+
+    dropOutbox() {
+        this.outbox = [];
+        this.outboxBytes = 0;
+    }
+
+    // strings go out as text, Buffers as binary. Returns false if the message was dropped
+    // (connection closing, or the outbox overflowed and the peer is being disconnected).
+    send(data) {
+        if (this.state !== 'open') return false;
+        const opcode = Buffer.isBuffer(data) ? OPCODES.BINARY : OPCODES.TEXT;
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        if (!this.outbox.length && !this.socket.writableNeedDrain) {
+            this.writeMessage(opcode, payload);
+            return true;
+        }
+        if (this.outbox.length >= this.maxQueue || this.outboxBytes + payload.length > this.maxQueueBytes) {
+            this.emit('overflow');
+            this.fail(new ProtocolError(CLOSE_CODES.POLICY_VIOLATION, 'slow consumer'));
+            return false;
+        }
+        this.outbox.push({ opcode, payload });
+        this.outboxBytes += payload.length;
+        return true;
+    }
+
+    ping(payload = Buffer.alloc(0)) {
+        if (this.state !== 'open') return false;
+        return this.writeFrame(OPCODES.PING, payload);
+    }
+
+    // start the close handshake after whatever is still queued; the TCP connection goes away once the peer
+    // answers (or after CLOSE_TIMEOUT)
+    close(code = CLOSE_CODES.NORMAL, reason = '') {
+        if (this.state !== 'open') return;
+        this.state = 'closing';
+        const frame = buildClose(code, reason, { mask: this.client });
+        if (this.outbox.length) this.outbox.push({ opcode: OPCODES.CLOSE, payload: frame });
+        else this.writeRaw(frame);
+        this.armCloseTimer();
+    }
+
+    // drop the TCP connection without a close handshake; 'close' reports 1006 with this reason
+    terminate(reason = '') {
+        this.closeReason = reason;
+        this.socket.destroy();
+    }
+}
+
+// --- Client
+// Resolves with an open WebSocketConnection; rejects with err.statusCode set when the server answers
+// with a plain HTTP response instead of 101. deflate: offer permessage-deflate.
+function connect(url, { headers = {}, deflate = false, maxMessageSize } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const key = crypto.randomBytes(16).toString('base64');
+        const req = http.request({
+            host: target.hostname,
+            port: target.port || 80,
+            path: target.pathname + target.search,
+            headers: Object.assign({
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13',
+            }, deflate && { 'Sec-WebSocket-Extensions': 'permessage-deflate; client_max_window_bits' }, headers),
+        });
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== computeAccept(key)) {
+                socket.destroy();
+                return reject(new Error('invalid Sec-WebSocket-Accept'));
+            }
+            const ext = deflate ? fromResponse(res.headers['sec-websocket-extensions']) : null;
+            const ws = new WebSocketConnection(socket, { head, client: true, deflate: ext, maxMessageSize });
+            ws.protocol = res.headers['sec-websocket-protocol'] || ''; // the subprotocol the server picked, if any
+            resolve(ws);
+        });
+        req.on('response', (res) => {
+            res.resume();
+            const err = new Error(`server answered HTTP ${res.statusCode} instead of 101`);
+            err.statusCode = res.statusCode;
+            reject(err);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+module.exports = {
+    OPCODES,
+    CLOSE_CODES,
+    MAX_MESSAGE_SIZE,
+    MAX_QUEUE,
+    MAX_QUEUE_BYTES,
+    ProtocolError,
+    computeAccept,
+    acceptUpgrade,
+    rejectUpgrade,
+    buildFrame,
+    buildClose,
+    isValidCloseCode,
+    FrameParser,
+    WebSocketConnection,
+    connect,
+};
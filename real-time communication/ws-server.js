@@ -3,114 +3,223 @@
 // NOT production-grade — for learning and experimentation.
 //
 // Run: node ws-server.js
+// Connect with a signed token (see ws-auth.js): ws://localhost:8080/?token=$(node ws-auth.js alice Alice)
 
+const fs = require('fs');
+const path = require('path');
 const http = require('http');
-const crypto = require('crypto');
+const { acceptUpgrade, rejectUpgrade, WebSocketConnection } = require('./ws-protocol');
+const { negotiate } = require('./ws-deflate');
+const { authenticate, offeredProtocols } = require('./ws-auth');
+const { createStore } = require('./ws-history');
 
 // --- Config
-const PORT = 8080;
-const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const PORT = Number(process.env.PORT) || 8080;
+// permessage-deflate: WS_DEFLATE=off disables it; messages below WS_DEFLATE_THRESHOLD bytes are sent uncompressed
+const DEFLATE = process.env.WS_DEFLATE === 'off' ? null : {
+    threshold: Number(process.env.WS_DEFLATE_THRESHOLD) || 1024,
+};
+// 心跳：服务器每 WS_HEARTBEAT_INTERVAL 毫秒 ping 一次，WS_PONG_TIMEOUT 内没回 pong 的连接（比如对端断电、
+// 网线拔了留下的半开连接）直接断开，从 clients / rooms 里清掉
+const HEARTBEAT_INTERVAL = Number(process.env.WS_HEARTBEAT_INTERVAL) || 30000;
+const PONG_TIMEOUT = Number(process.env.WS_PONG_TIMEOUT) || 10000;
+// 超过这么久没发过消息的客户端在 /status 里算 idle（只是统计，不会断开）
+const IDLE_AFTER = Number(process.env.WS_IDLE_AFTER) || 60000;
+// 慢消费者：每个连接的发送队列最多 WS_MAX_QUEUE 条 / WS_MAX_QUEUE_BYTES 字节，超过就以 1008 断开它（见 ws-protocol.js）
+const MAX_QUEUE = Number(process.env.WS_MAX_QUEUE) || undefined;
+const MAX_QUEUE_BYTES = Number(process.env.WS_MAX_QUEUE_BYTES) || undefined;
+// the application subprotocol; answered when offered (browsers that offer 'bearer.<token>' need one picked)
+const SUBPROTOCOL = 'relay.v1';
+// a kicked user can't rejoin that room for this long unless the kick says otherwise
+const KICK_BAN_SECONDS = 60;
+// 房间消息历史：WS_HISTORY=memory（默认，每个房间保留最近 WS_HISTORY_LIMIT 条）或 file（WS_HISTORY_DIR 下每个房间一个
+// 只追加的 .jsonl 文件，重启后还在；最近 WS_HISTORY_LIMIT 条同样留在内存里，更早的按行偏移从文件里读）。
+// join 时自动补发最近 WS_HISTORY_ON_JOIN 条，join 消息里的 history 字段可以覆盖（0 不补发）
+const HISTORY = createStore({
+    type: process.env.WS_HISTORY || 'memory',
+    limit: Number(process.env.WS_HISTORY_LIMIT) || 1000,
+    dir: process.env.WS_HISTORY_DIR || path.join(__dirname, 'history'),
+});
+const HISTORY_ON_JOIN = process.env.WS_HISTORY_ON_JOIN !== undefined ? Number(process.env.WS_HISTORY_ON_JOIN) : 20;
+const HISTORY_PAGE = 50; // history messages per request unless the client asks for fewer
+const HISTORY_PAGE_MAX = 200;
+// 聊天消息的 text 必须是字符串，最多这么多个字符：房间消息会写进历史，每次回放都要带上
+const MAX_TEXT_LENGTH = 4000;
+
+// 房间权限：每个房间有访问方式 access 和按用户 / 按 token 角色给的房间角色，房间角色决定能做什么
+//   public   谁都能进，没单独授权的人拿 defaultRole（默认 member）
+//   private  只有 grants / roles 里列出来的人能进，成员名单由配置决定
+//   invite   和 private 一样，但 moderator 可以在运行时 invite 别人进来
+// token 里带 admin 角色的用户在所有房间都是 moderator。没配置过的房间第一次 join 时按 public 创建，创建者是 moderator。
+// WS_ROOMS 可以指向一个同样格式的 JSON 文件，代替下面的默认配置。
+const ROOM_ROLES = {
+    viewer: ['join'],
+    member: ['join', 'post'],
+    moderator: ['join', 'post', 'moderate'],
+};
+const ROOM_CONFIG = process.env.WS_ROOMS ? JSON.parse(fs.readFileSync(process.env.WS_ROOMS, 'utf8')) : {
+    lobby: { access: 'public' },
+    announcements: { access: 'public', defaultRole: 'viewer', roles: { staff: 'moderator' } },
+    staff: { access: 'private', roles: { staff: 'member' } },
+    vip: { access: 'invite', grants: {} },
+};
 
 // --- In-memory storage
-// clients: Map clientId => { socket: socket, rooms: Set, name }
+// clients: Map userId => { id, name, roles, ws: WebSocketConnection, rooms: Set, lastMessageAt }
+// One connection per user: a new connection with the same token identity takes over the old one (and its rooms).
 const clients = new Map();
-// rooms: Map roomName => Set of clientId
+// rooms: Map roomName => { name, access, defaultRole, grants: Map userId => room role, roles: { tokenRole: room role },
+//                          members: Set userId, muted: Map userId => until (ms, Infinity = until unmuted), banned: Map userId => until }
 const rooms = new Map();
-
-let nextId = 1;
-function genClientId() { return 'c' + (nextId++); }
-
-// --- Helpers: compute Sec-WebSocket-Accept
-function computeAccept(key) {
-    return crypto.createHash('sha1').update(key + GUID).digest('base64');
+// connections dropped by the server, since start
+const disconnects = { pongTimeout: 0, slowConsumer: 0 };
+
+function createRoom(name, config, creatorId) {
+    const room = {
+        name,
+        access: config.access || 'public',
+        defaultRole: config.defaultRole || 'member',
+        grants: new Map(Object.entries(config.grants || {})),
+        roles: config.roles || {},
+        members: new Set(),
+        muted: new Map(),
+        banned: new Map(),
+    };
+    if (creatorId) room.grants.set(creatorId, 'moderator');
+    rooms.set(name, room);
+    return room;
 }
 
-// ：每个消息被封装为帧（header + payload）。客户端发来的帧被 mask（字节异或），服务器发往客户端通常不 mask。帧里有 opcode（文本 / 二进制 / ping / pong / close）和可变长度的 payload length。
-// --- WebSocket frame parsing (basic, assumes single-frame text messages)
-function parseFrame(buffer) {
-    if (buffer.length < 2) return null;
-    const first = buffer[0];
-    const second = buffer[1];
-    const fin = (first & 0x80) !== 0;
-    const opcode = first & 0x0f;
-    const masked = (second & 0x80) !== 0;
-    let payloadLen = second & 0x7f;
-    let offset = 2;
-
-    if (payloadLen === 126) {
-        payloadLen = buffer.readUInt16BE(offset);
-        offset += 2;
-    } else if (payloadLen === 127) {
-        // Note: we assume payload fits in JS Number (not handling > 2^53-1)
-        payloadLen = Number(buffer.readBigUInt64BE(offset));
-        offset += 8;
-    }
-
-    let mask;
-    if (masked) {
-        mask = buffer.slice(offset, offset + 4);
-        offset += 4;
-    }
+for (const [name, config] of Object.entries(ROOM_CONFIG)) createRoom(name, config);
 
-    const payload = buffer.slice(offset, offset + payloadLen);
-    if (masked) {
-        for (let i = 0; i < payload.length; i++) {
-            payload[i] ^= mask[i % 4];
-        }
-    }
+// the user's role in the room, or null if they may not even join
+function roomRole(room, client) {
+    if (client.roles.includes('admin')) return 'moderator';
+    if (room.grants.has(client.id)) return room.grants.get(client.id);
+    const byTokenRole = client.roles.map(r => room.roles[r]).find(Boolean);
+    if (byTokenRole) return byTokenRole;
+    return room.access === 'public' ? room.defaultRole : null;
+}
 
-    return { fin, opcode, payload: payload.toString('utf8'), frameLen: offset + payloadLen };
+function can(client, room, permission) {
+    const role = roomRole(room, client);
+    return !!role && (ROOM_ROLES[role] || []).includes(permission);
 }
 
-// --- Build a text frame to send (server -> client: no mask)
-function buildTextFrame(str) {
-    const payload = Buffer.from(str, 'utf8');
-    const len = payload.length;
-    let header;
-
-    if (len < 126) {
-        header = Buffer.alloc(2);
-        header[0] = 0x81; // FIN + text
-        header[1] = len;
-    } else if (len < 65536) {
-        header = Buffer.alloc(4);
-        header[0] = 0x81;
-        header[1] = 126;
-        header.writeUInt16BE(len, 2);
-    } else {
-        header = Buffer.alloc(10);
-        header[0] = 0x81;
-        header[1] = 127;
-        // write BigUInt64BE
-        header.writeBigUInt64BE(BigInt(len), 2);
+// muted / banned entries hold an expiry; expired ones are dropped when looked at
+function activeUntil(map, userId) {
+    const until = map.get(userId);
+    if (until === undefined) return null;
+    if (until <= Date.now()) {
+        map.delete(userId);
+        return null;
     }
-    return Buffer.concat([header, payload]);
+    return until;
 }
 
-// --- Send JSON to a client by clientId
+const expiry = until => (until === Infinity ? null : new Date(until).toISOString());
+
+// ：每个消息被封装为帧（header + payload）。客户端发来的帧被 mask（字节异或），服务器发往客户端通常不 mask。帧里有 opcode（文本 / 二进制 / ping / pong / close）和可变长度的 payload length。
+// 帧的编解码、分片重组、UTF-8 校验和关闭握手都在 ws-protocol.js 里，这里只处理完整的消息。
+
+// --- Send JSON to a client by user id
 function sendToClient(clientId, obj) {
     const client = clients.get(clientId);
-    if (!client || !client.socket || client.socket.destroyed) return;
-    const msg = JSON.stringify(obj);
-    client.socket.write(buildTextFrame(msg));
+    if (!client) return;
+    client.ws.send(JSON.stringify(obj));
 }
 
-// --- Broadcast to a room (except optional excludeId)
+// --- Broadcast to a room (except optional excludeId); obj is JSON, or a Buffer sent as a binary message
 function broadcastRoom(room, obj, excludeId) {
-    const s = rooms.get(room);
-    if (!s) return;
-    const msg = JSON.stringify(obj);
-    const frame = buildTextFrame(msg);
-    for (const cid of s) {
+    const r = rooms.get(room);
+    if (!r) return;
+    const msg = Buffer.isBuffer(obj) ? obj : JSON.stringify(obj);
+    for (const cid of r.members) {
         if (cid === excludeId) continue;
         const c = clients.get(cid);
-        if (c && c.socket && !c.socket.destroyed) {
-            c.socket.write(frame);
-        }
+        if (c) c.ws.send(msg);
     }
 }
 
-// 服务器维持客户端列表与房间映射（room => set(clientId)）。收到消息后根据 room 或 to 字段决定广播或私聊。也可以将服务器做成单纯的转发器（无业务逻辑）或加入鉴权、持久化、历史回放等。
+// --- Binary messages have no envelope: relay them as-is to every joined room the sender may post in
+function handleBinaryMessage(clientId, data) {
+    const client = clients.get(clientId);
+    if (!client.rooms.size) {
+        sendToClient(clientId, { type: 'error', message: 'no_room' });
+        return;
+    }
+    for (const name of client.rooms) {
+        const room = rooms.get(name);
+        if (can(client, room, 'post') && !activeUntil(room.muted, clientId)) broadcastRoom(name, data, clientId);
+    }
+}
+
+function removeFromRoom(room, clientId) {
+    room.members.delete(clientId);
+    const client = clients.get(clientId);
+    if (client) client.rooms.delete(room.name);
+}
+
+// a client-supplied page size, clamped to 0..HISTORY_PAGE_MAX; `fallback` when it's missing or not a number
+function historyLimit(value, fallback) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(0, Math.floor(value)), HISTORY_PAGE_MAX);
+}
+
+function sendHistory(clientId, room, options) {
+    HISTORY.query(room, options).then((page) => {
+        sendToClient(clientId, Object.assign({ type: 'history', room }, page));
+    }, (err) => {
+        console.error(`[history] reading ${room} failed`, err);
+        sendToClient(clientId, { type: 'error', message: 'history_unavailable', room });
+    });
+}
+
+// --- Moderation: kick / mute / unmute / invite, all need the 'moderate' permission in the room
+function handleModeration(clientId, parsed) {
+    const client = clients.get(clientId);
+    const room = rooms.get(parsed.room);
+    const error = message => sendToClient(clientId, { type: 'error', message, room: parsed.room });
+    if (!room) return error('no_room');
+    if (!can(client, room, 'moderate')) return error('forbidden');
+    const targetId = parsed.user;
+    if (typeof targetId !== 'string' || !targetId) return error('no_user');
+    const target = clients.get(targetId);
+    // moderators can't act on each other; admins can act on anyone
+    if (target && can(target, room, 'moderate') && !client.roles.includes('admin')) return error('forbidden');
+    const by = { id: clientId, name: client.name };
+
+    if (parsed.type === 'kick') {
+        if (!room.members.has(targetId)) return error('not_in_room');
+        const seconds = Number.isFinite(parsed.duration) && parsed.duration >= 0 ? parsed.duration : KICK_BAN_SECONDS;
+        if (seconds > 0) room.banned.set(targetId, Date.now() + seconds * 1000);
+        removeFromRoom(room, targetId);
+        sendToClient(targetId, { type: 'kicked', room: room.name, by, reason: parsed.reason || null, until: seconds > 0 ? expiry(Date.now() + seconds * 1000) : null });
+        broadcastRoom(room.name, { type: 'notice', message: `${target.name} was kicked by ${client.name}`, from: clientId });
+        return;
+    }
+    if (parsed.type === 'mute') {
+        const until = Number.isFinite(parsed.duration) && parsed.duration > 0 ? Date.now() + parsed.duration * 1000 : Infinity;
+        room.muted.set(targetId, until);
+        sendToClient(targetId, { type: 'muted', room: room.name, by, until: expiry(until) });
+        broadcastRoom(room.name, { type: 'notice', message: `${target ? target.name : targetId} was muted by ${client.name}`, from: clientId }, targetId);
+        return;
+    }
+    if (parsed.type === 'unmute') {
+        room.muted.delete(targetId);
+        sendToClient(targetId, { type: 'unmuted', room: room.name, by });
+        sendToClient(clientId, { type: 'unmuted', room: room.name, user: targetId });
+        return;
+    }
+    // invite: only meaningful for invite-only rooms; private rooms take their members from the config
+    if (room.access !== 'invite') return error('not_invite_only');
+    if (!roomRole(room, { id: targetId, roles: target ? target.roles : [] })) room.grants.set(targetId, 'member');
+    room.banned.delete(targetId);
+    sendToClient(targetId, { type: 'invited', room: room.name, by });
+    sendToClient(clientId, { type: 'invited', room: room.name, user: targetId });
+}
+
+// 服务器维持客户端列表与房间映射（room => members）。收到消息后根据 room 或 to 字段决定广播或私聊。也可以将服务器做成单纯的转发器（无业务逻辑）或加入鉴权、持久化、历史回放等。
 // --- Basic message handling
 function handleJsonMessage(clientId, data) {
     let parsed;
@@ -120,55 +229,138 @@ function handleJsonMessage(clientId, data) {
         sendToClient(clientId, { type: 'error', message: 'invalid_json' });
         return;
     }
+    // every message is an object with a type; null, numbers, strings and arrays are valid JSON but not messages
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        sendToClient(clientId, { type: 'error', message: 'invalid_json' });
+        return;
+    }
 
     const client = clients.get(clientId);
 
     if (parsed.type === 'join') {
-        const room = parsed.room || 'lobby';
-        client.rooms.add(room);
-        if (!rooms.has(room)) rooms.set(room, new Set());
-        rooms.get(room).add(clientId);
-        client.name = parsed.name || client.name || clientId;
-        sendToClient(clientId, { type: 'joined', room, id: clientId });
-        broadcastRoom(room, { type: 'notice', message: `${client.name} joined`, from: clientId }, clientId);
+        const name = parsed.room || 'lobby';
+        if (typeof name !== 'string' || name.length > 64) {
+            sendToClient(clientId, { type: 'error', message: 'no_room' });
+            return;
+        }
+        const room = rooms.get(name) || createRoom(name, { access: 'public' }, clientId);
+        const bannedUntil = activeUntil(room.banned, clientId);
+        if (bannedUntil) {
+            sendToClient(clientId, { type: 'error', message: 'banned', room: name, until: expiry(bannedUntil) });
+            return;
+        }
+        if (!can(client, room, 'join')) {
+            sendToClient(clientId, { type: 'error', message: 'forbidden', room: name });
+            return;
+        }
+        client.rooms.add(name);
+        room.members.add(clientId);
+        sendToClient(clientId, { type: 'joined', room: name, id: clientId, role: roomRole(room, client) });
+        broadcastRoom(name, { type: 'notice', message: `${client.name} joined`, from: clientId }, clientId);
+        const replay = parsed.history !== undefined ? historyLimit(parsed.history, 0) : HISTORY_ON_JOIN;
+        if (replay > 0) sendHistory(clientId, name, { limit: replay });
         return;
     }
 
     if (parsed.type === 'leave') {
-        const room = parsed.room;
-        if (room && rooms.has(room)) {
-            rooms.get(room).delete(clientId);
-            client.rooms.delete(room);
-            sendToClient(clientId, { type: 'left', room });
-            broadcastRoom(room, { type: 'notice', message: `${client.name} left`, from: clientId }, clientId);
+        const room = rooms.get(parsed.room);
+        if (room && room.members.has(clientId)) {
+            removeFromRoom(room, clientId);
+            sendToClient(clientId, { type: 'left', room: room.name });
+            broadcastRoom(room.name, { type: 'notice', message: `${client.name} left`, from: clientId }, clientId);
         }
         return;
     }
 
     if (parsed.type === 'msg') {
-        // private
+        if (typeof parsed.text !== 'string' || parsed.text.length > MAX_TEXT_LENGTH) {
+            sendToClient(clientId, { type: 'error', message: 'invalid_text', maxLength: MAX_TEXT_LENGTH });
+            return;
+        }
+        // private: only to someone you share a room with (admins can message anyone online)
         if (parsed.to) {
             const toId = parsed.to;
-            sendToClient(toId, { type: 'msg', from: clientId, text: parsed.text, private: true });
+            const target = clients.get(toId);
+            if (!target) {
+                sendToClient(clientId, { type: 'error', message: 'no_user', to: toId });
+                return;
+            }
+            const shared = Array.from(client.rooms).some(r => target.rooms.has(r));
+            if (!shared && !client.roles.includes('admin')) {
+                sendToClient(clientId, { type: 'error', message: 'forbidden', to: toId });
+                return;
+            }
+            sendToClient(toId, { type: 'msg', from: clientId, name: client.name, text: parsed.text, private: true });
             sendToClient(clientId, { type: 'msg', from: clientId, to: toId, text: parsed.text, private: true });
             return;
         }
         // room broadcast
-        const room = parsed.room;
+        const room = rooms.get(parsed.room);
         if (!room) {
             sendToClient(clientId, { type: 'error', message: 'no_room' });
             return;
         }
-        broadcastRoom(room, { type: 'msg', from: clientId, text: parsed.text, room }, clientId);
+        if (!room.members.has(clientId)) {
+            sendToClient(clientId, { type: 'error', message: 'not_in_room', room: room.name });
+            return;
+        }
+        if (!can(client, room, 'post')) {
+            sendToClient(clientId, { type: 'error', message: 'forbidden', room: room.name });
+            return;
+        }
+        const mutedUntil = activeUntil(room.muted, clientId);
+        if (mutedUntil) {
+            sendToClient(clientId, { type: 'error', message: 'muted', room: room.name, until: expiry(mutedUntil) });
+            return;
+        }
+        // room messages are stored first so everyone (the sender included, via 'sent') gets the message id;
+        // the store keeps the order of appends to one room, so broadcasts go out in id order
+        HISTORY.append(room.name, { from: clientId, name: client.name, text: parsed.text }).then((message) => {
+            broadcastRoom(room.name, Object.assign({ type: 'msg' }, message), clientId);
+            sendToClient(clientId, { type: 'sent', room: room.name, id: message.id, time: message.time });
+        }, (err) => {
+            console.error(`[history] storing a message for ${room.name} failed`, err);
+            sendToClient(clientId, { type: 'error', message: 'not_stored', room: room.name });
+        });
         return;
     }
 
     if (parsed.type === 'list') {
-        // list room members
-        const room = parsed.room || 'lobby';
-        const set = rooms.get(room) || new Set();
-        const members = Array.from(set).map(id => ({ id, name: clients.get(id)?.name }));
-        sendToClient(clientId, { type: 'list', room, members });
+        // list room members; only members of the room get to see who's in it
+        const room = rooms.get(parsed.room || 'lobby');
+        if (!room || !room.members.has(clientId)) {
+            sendToClient(clientId, { type: 'error', message: 'not_in_room', room: parsed.room || 'lobby' });
+            return;
+        }
+        const members = Array.from(room.members).map(id => ({
+            id,
+            name: clients.get(id)?.name,
+            role: roomRole(room, clients.get(id)),
+            muted: !!activeUntil(room.muted, id),
+        }));
+        sendToClient(clientId, { type: 'list', room: room.name, members });
+        return;
+    }
+
+    if (parsed.type === 'history') {
+        // { type: 'history', room, limit?, before?: id, after?: id } — members only, like list
+        const name = parsed.room || 'lobby';
+        const room = rooms.get(name);
+        if (!room || !room.members.has(clientId)) {
+            sendToClient(clientId, { type: 'error', message: 'not_in_room', room: name });
+            return;
+        }
+        const isId = v => Number.isInteger(v) && v >= 0;
+        if ((parsed.before !== undefined && !isId(parsed.before)) || (parsed.after !== undefined && !isId(parsed.after))) {
+            sendToClient(clientId, { type: 'error', message: 'bad_history_query', room: name });
+            return;
+        }
+        sendHistory(clientId, name, { limit: historyLimit(parsed.limit, HISTORY_PAGE), before: parsed.before, after: parsed.after });
+        return;
+    }
+
+    if (['kick', 'mute', 'unmute', 'invite'].includes(parsed.type)) {
+        handleModeration(clientId, parsed);
         return;
     }
 
@@ -179,23 +371,50 @@ function handleJsonMessage(clientId, data) {
 function cleanupClient(clientId) {
     const client = clients.get(clientId);
     if (!client) return;
-    for (const room of client.rooms) {
-        const s = rooms.get(room);
-        if (s) {
-            s.delete(clientId);
-            broadcastRoom(room, { type: 'notice', message: `${client.name} disconnected`, from: clientId }, clientId);
+    for (const name of client.rooms) {
+        const room = rooms.get(name);
+        if (room) {
+            room.members.delete(clientId);
+            broadcastRoom(name, { type: 'notice', message: `${client.name} disconnected`, from: clientId }, clientId);
         }
     }
-    try { client.socket.destroy(); } catch (e) { }
     clients.delete(clientId);
 }
 
+// --- Counts for /status
+// live: answered the last heartbeat (or hasn't been pinged yet); awaitingPong: a ping is outstanding.
+// idle: no message for IDLE_AFTER ms. buffered: clients with outbound data not yet handed to the kernel.
+function status() {
+    const now = Date.now();
+    const result = {
+        ok: true,
+        clients: clients.size,
+        live: 0,
+        awaitingPong: 0,
+        idle: 0,
+        buffered: { clients: 0, messages: 0, bytes: 0 },
+        disconnects,
+    };
+    for (const { ws, lastMessageAt } of clients.values()) {
+        if (ws.awaitingPong) result.awaitingPong++;
+        else result.live++;
+        if (now - lastMessageAt >= IDLE_AFTER) result.idle++;
+        const bytes = ws.bufferedAmount;
+        if (bytes) {
+            result.buffered.clients++;
+            result.buffered.messages += ws.outbox.length;
+            result.buffered.bytes += bytes;
+        }
+    }
+    return result;
+}
+
 // --- HTTP server + upgrade handler
 const server = http.createServer((req, res) => {
     // simple health endpoint
     if (req.url === '/status') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true, clients: clients.size }));
+        res.end(JSON.stringify(status()));
         return;
     }
     res.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -203,81 +422,83 @@ const server = http.createServer((req, res) => {
 });
 // 浏览器发起 Connection: Upgrade, Upgrade: websocket，带 Sec - WebSocket - Key。服务器计算 Sec - WebSocket - Accept = base64(sha1(key + GUID)) 并返回 101 Switching Protocols，之后 TCP 连接进入 WebSocket 帧协议
 server.on('upgrade', (req, socket, head) => {
-    // validate Sec-WebSocket-Key
-    const key = req.headers['sec-websocket-key'];
-    if (!key) {
-        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
-        socket.destroy();
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    // 鉴权在 101 之前做：token 不对就直接回 401，连接根本不会升级。/echo 只回显，给一致性测试用，不要求 token
+    const user = pathname === '/echo' ? null : authenticate(req);
+    if (pathname !== '/echo' && !user) {
+        rejectUpgrade(socket, '401 Unauthorized');
         return;
     }
+    const headers = [];
+    if (offeredProtocols(req).includes(SUBPROTOCOL)) headers.push(`Sec-WebSocket-Protocol: ${SUBPROTOCOL}`);
+    // 压缩扩展：客户端在 Sec-WebSocket-Extensions 里提议 permessage-deflate，服务器选第一个能接受的写进 101 响应
+    const ext = DEFLATE && negotiate(req.headers['sec-websocket-extensions'], DEFLATE);
+    if (ext) headers.push(`Sec-WebSocket-Extensions: ${ext.header}`);
+    // validates method / headers / version / key and answers 101, 400 or 426
+    if (!acceptUpgrade(req, socket, headers)) return;
+    const ws = new WebSocketConnection(socket, {
+        head,
+        deflate: ext && ext.deflate,
+        maxQueue: MAX_QUEUE,
+        maxQueueBytes: MAX_QUEUE_BYTES,
+    });
+    ws.startHeartbeat(HEARTBEAT_INTERVAL, PONG_TIMEOUT);
 
-    const accept = computeAccept(key);
-    const responseHeaders = [
-        'HTTP/1.1 101 Switching Protocols',
-        'Upgrade: websocket',
-        'Connection: Upgrade',
-        `Sec-WebSocket-Accept: ${accept}`
-    ];
-    socket.write(responseHeaders.join('\r\n') + '\r\n\r\n');
-
-    // assign id and store
-    const clientId = genClientId();
-    const client = { socket, rooms: new Set(), name: clientId };
-    clients.set(clientId, client);
-
-    console.log(`[connect] ${clientId} from ${req.socket.remoteAddress}`);
-
-    // raw buffer handling
-    let recvBuffer = Buffer.alloc(0);
-
-
-    // 服务器应支持 ping / pong 或应用层心跳，及时清理断开的客户端。示例实现了 ping -> pong 的基本回复处理（服务端在收到 ping 会回复 pong）
-    socket.on('data', (buf) => {
-        // accumulate buffer
-        recvBuffer = Buffer.concat([recvBuffer, buf]);
-        // attempt to parse frames repeatedly
-        while (recvBuffer.length > 2) {
-            const frame = parseFrame(recvBuffer);
-            if (!frame) break;
-            const { opcode, payload, frameLen } = frame;
-
-            // remove processed bytes
-            recvBuffer = recvBuffer.slice(frameLen);
-
-            if (opcode === 0x8) { // close
-                cleanupClient(clientId);
-                socket.end();
-                return;
-            } else if (opcode === 0x9) { // ping -> reply pong
-                // send pong with same payload
-                const pongFrame = Buffer.concat([Buffer.from([0x8A, payload.length]), Buffer.from(payload)]);
-                socket.write(pongFrame);
-                continue;
-            } else if (opcode === 0xA) { // pong
-                // ignore for now
-                continue;
-            } else if (opcode === 0x1) { // text
-                handleJsonMessage(clientId, payload);
-            } else {
-                // other opcode
-            }
-        }
+    // /echo sends every message straight back — the endpoint for test/ws-autobahn.js and the Autobahn fuzzing client
+    if (pathname === '/echo') {
+        ws.on('message', (data) => ws.send(data));
+        return;
+    }
+
+    // the token's user id is the client id; a second connection for the same user replaces the first
+    const clientId = user.id;
+    let client = clients.get(clientId);
+    if (client) {
+        const previous = client.ws;
+        client.ws = ws;
+        Object.assign(client, { name: user.name, roles: user.roles });
+        previous.close(4000, 'replaced by a new connection');
+    } else {
+        client = { id: clientId, name: user.name, roles: user.roles, ws, rooms: new Set(), lastMessageAt: Date.now() };
+        clients.set(clientId, client);
+    }
+
+    console.log(`[connect] ${clientId} (${client.name}) from ${req.socket.remoteAddress}`);
+
+    // 服务器应支持 ping / pong 或应用层心跳，及时清理断开的客户端。收到 ping 时 WebSocketConnection 会自动回复 pong，
+    // 服务器自己的心跳见上面的 startHeartbeat
+    ws.on('timeout', () => disconnects.pongTimeout++);
+    ws.on('overflow', () => {
+        disconnects.slowConsumer++;
+        console.log(`[slow consumer] ${clientId} (${ws.outbox.length} messages / ${ws.bufferedAmount} bytes queued)`);
     });
 
-    socket.on('close', () => {
-        console.log(`[close] ${clientId}`);
-        cleanupClient(clientId);
+    ws.on('message', (data, isBinary) => {
+        client.lastMessageAt = Date.now();
+        if (isBinary) handleBinaryMessage(clientId, data);
+        else handleJsonMessage(clientId, data);
     });
 
-    socket.on('error', (err) => {
-        console.log(`[error] ${clientId} ${err && err.message}`);
-        cleanupClient(clientId);
+    // fires once the TCP connection is gone, whether the close handshake completed or not
+    ws.on('close', (code, reason) => {
+        console.log(`[close] ${clientId} ${code}${reason ? ' ' + reason : ''}`);
+        // a replaced connection closing must not take the user's new one down with it
+        if (client.ws === ws) cleanupClient(clientId);
     });
 
     // Optionally send a welcome message
-    sendToClient(clientId, { type: 'welcome', id: clientId, message: 'welcome to minimal-ws-relay' });
+    sendToClient(clientId, {
+        type: 'welcome',
+        id: clientId,
+        name: client.name,
+        rooms: Array.from(client.rooms),
+        message: 'welcome to minimal-ws-relay',
+    });
 });
 
-server.listen(PORT, () => {
-    console.log(`WebSocket relay server running on ws://localhost:${PORT}`);
+// the file store indexes its room files before the first connection comes in
+HISTORY.open().then(() => {
+    server.listen(PORT, () => {
+        console.log(`WebSocket relay server running on ws://localhost:${PORT}`);
+    });
 });
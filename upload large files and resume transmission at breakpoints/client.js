@@ -0,0 +1,332 @@
+// client.js
+// Node client for the chunked upload server: library + CLI, core modules only.
+//
+//   const { uploadFile } = require('./client');
+//   await uploadFile('big.zip', { server: 'http://localhost:3000', concurrency: 4, onProgress: console.log });
+//
+//   node client.js <file> [--server URL] [--name NAME] [--chunk-size MB] [--concurrency N] [--retries N]
+//
+// Flow: hash the file -> POST /instant (秒传) -> POST /sessions, or GET /status to resume a
+// session remembered from an earlier run -> upload missing chunks N at a time, each read
+// straight from the file at its offset and sent with X-Chunk-SHA256 -> POST /merge with the
+// whole-file sha256. Failed requests are retried with exponential backoff.
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+    server: 'http://localhost:3000',
+    chunkSize: 5 * 1024 * 1024,
+    concurrency: 4,
+    retries: 5,
+    retryDelay: 500, // ms, doubled per attempt
+    timeout: 60 * 1000, // ms per request
+    stateDir: path.join(os.tmpdir(), 'upload-client'),
+};
+
+// Error for a non-2xx answer; `body` is the server's JSON error object.
+class UploadError extends Error {
+    constructor(status, body) {
+        super((body && body.error) || `http_${status}`);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function request(server, method, urlPath, { body, headers = {}, timeout, signal } = {}) {
+    const url = new URL(urlPath, server);
+    const lib = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = lib.request(url, { method, headers, signal }, (res) => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString();
+                let data = null;
+                try { data = text ? JSON.parse(text) : null; } catch (e) { data = { error: text }; }
+                if (res.statusCode >= 400) return reject(new UploadError(res.statusCode, data));
+                resolve(data);
+            });
+            res.on('error', reject);
+        });
+        req.setTimeout(timeout, () => req.destroy(Object.assign(new Error('request_timeout'), { code: 'ETIMEDOUT' })));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function jsonRequest(opts, method, urlPath, obj) {
+    const body = JSON.stringify(obj);
+    return request(opts.server, method, urlPath, {
+        body,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        timeout: opts.timeout,
+    });
+}
+
+// Connection-level failures a new attempt can get past; anything else local (a file that changed,
+// a closed handle) would only fail the same way again.
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE'];
+
+// Network errors, 5xx, and the handful of 4xx answers that mean "try again".
+function isRetryable(err) {
+    if (!(err instanceof UploadError)) return RETRYABLE_NETWORK_ERRORS.includes(err.code);
+    if (err.status >= 500 && err.status !== 507) return true;
+    return ['chunk_in_progress', 'chunk_checksum_mismatch', 'chunk_size_mismatch'].includes(err.message);
+}
+
+// `signal` (optional) stops further attempts once the caller has given up
+async function withRetry(opts, fn, signal) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) throw signal.reason;
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= opts.retries || !isRetryable(err) || (signal && signal.aborted)) throw err;
+            const delay = opts.retryDelay * 2 ** attempt;
+            await new Promise(r => setTimeout(r, delay / 2 + Math.random() * delay / 2)); // jittered
+        }
+    }
+}
+
+async function hashFile(file) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+// Sessions are remembered per server + content + target name + chunk size, so re-running the same
+// upload after a crash or Ctrl+C resumes instead of starting over (and the same file uploaded
+// under another --name gets its own session).
+function statePath(opts, sha256, filename) {
+    const key = crypto.createHash('sha1').update(`${opts.server}|${sha256}|${filename}|${opts.chunkSize}`).digest('hex');
+    return path.join(opts.stateDir, `${key}.json`);
+}
+async function loadState(opts, sha256, filename) {
+    try {
+        return JSON.parse(await fsp.readFile(statePath(opts, sha256, filename), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+async function saveState(opts, sha256, filename, state) {
+    await fsp.mkdir(opts.stateDir, { recursive: true });
+    await fsp.writeFile(statePath(opts, sha256, filename), JSON.stringify(state));
+}
+async function clearState(opts, sha256, filename) {
+    try { await fsp.unlink(statePath(opts, sha256, filename)); } catch (_) { }
+}
+
+// Reuse the remembered session if the server still has it, otherwise start a new one.
+// Returns { session, received: Set of indices already on the server }.
+async function openSession(opts, filename, size, sha256) {
+    const saved = await loadState(opts, sha256, filename);
+    if (saved && saved.fileId) {
+        try {
+            const status = await withRetry(opts, () => request(opts.server, 'GET',
+                `/status?fileId=${encodeURIComponent(saved.fileId)}`, { timeout: opts.timeout }));
+            if (status.size === size && status.chunkSize === opts.chunkSize) {
+                return { session: status, received: new Set(status.received), resumed: true };
+            }
+        } catch (err) {
+            if (!(err instanceof UploadError) || err.status !== 404) throw err;
+        }
+    }
+    const session = await withRetry(opts, () => jsonRequest(opts, 'POST', '/sessions',
+        { filename, size, chunkSize: opts.chunkSize, sha256 }));
+    // an empty file comes back already completed; there's nothing to resume
+    if (!session.completed) await saveState(opts, sha256, filename, { fileId: session.fileId, filename });
+    return { session, received: new Set(), resumed: false };
+}
+
+async function readChunk(fh, session, index) {
+    const start = index * session.chunkSize;
+    const length = Math.min(session.chunkSize, session.size - start);
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, start);
+    if (bytesRead !== length) throw new Error('file_changed_during_upload');
+    return buf;
+}
+
+async function uploadChunk(opts, fh, session, index, signal) {
+    return withRetry(opts, async () => {
+        // re-read on every attempt: cheap, and keeps at most `concurrency` chunks in memory
+        const buf = await readChunk(fh, session, index);
+        const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+        await request(opts.server, 'POST', `/upload?fileId=${session.fileId}&index=${index}`, {
+            body: buf,
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': buf.length,
+                'X-Chunk-SHA256': sha256,
+            },
+            timeout: opts.timeout,
+            signal,
+        });
+        return buf.length;
+    }, signal);
+}
+
+/**
+ * Upload a file, resuming a previous attempt when possible.
+ * options: server, filename, chunkSize, concurrency, retries, retryDelay, timeout, stateDir,
+ *          onProgress({ phase, uploadedBytes, totalBytes, chunksDone, totalChunks, bytesPerSecond })
+ * Resolves to { fileId, filename, size, sha256, instant, resumed, sentBytes, path }.
+ */
+async function uploadFile(file, options = {}) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const filename = opts.filename || path.basename(file);
+    const { size } = await fsp.stat(file);
+    const progress = opts.onProgress || (() => { });
+
+    progress({ phase: 'hashing', uploadedBytes: 0, totalBytes: size });
+    const sha256 = await hashFile(file);
+
+    // 秒传: the server may already have this exact content
+    const instant = await withRetry(opts, () => jsonRequest(opts, 'POST', '/instant', { sha256, filename }));
+    if (instant.instant) {
+        progress({ phase: 'done', uploadedBytes: size, totalBytes: size, bytesPerSecond: 0 });
+        return { fileId: null, filename, size, sha256, instant: true, resumed: false, sentBytes: 0, path: instant.path };
+    }
+
+    const { session, received, resumed } = await openSession(opts, filename, size, sha256);
+    if (session.completed) {
+        progress({ phase: 'done', uploadedBytes: 0, totalBytes: 0, bytesPerSecond: 0 });
+        return { fileId: session.fileId, filename, size, sha256, instant: false, resumed: false, sentBytes: 0, path: session.path };
+    }
+    const pending = [];
+    let uploadedBytes = 0;
+    for (let i = 0; i < session.total; i++) {
+        if (received.has(i)) uploadedBytes += Math.min(session.chunkSize, size - i * session.chunkSize);
+        else pending.push(i);
+    }
+
+    const fh = await fsp.open(file, 'r');
+    const started = Date.now();
+    let sentBytes = 0;
+    let chunksDone = session.total - pending.length;
+    const report = () => progress({
+        phase: 'uploading',
+        uploadedBytes,
+        totalBytes: size,
+        chunksDone,
+        totalChunks: session.total,
+        bytesPerSecond: sentBytes / Math.max((Date.now() - started) / 1000, 0.001),
+    });
+
+    try {
+        // The first failing worker aborts the rest (in-flight requests included), and sendAll only
+        // rejects once all of them have stopped, so nobody reads from `fh` after it's closed.
+        const sendAll = async (indices) => {
+            let next = 0;
+            const controller = new AbortController();
+            const worker = async () => {
+                while (next < indices.length && !controller.signal.aborted) {
+                    try {
+                        const n = await uploadChunk(opts, fh, session, indices[next++], controller.signal);
+                        uploadedBytes += n;
+                        sentBytes += n;
+                        chunksDone++;
+                        report();
+                    } catch (err) {
+                        if (!controller.signal.aborted) controller.abort(err);
+                        return;
+                    }
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(opts.concurrency, indices.length) }, worker));
+            if (controller.signal.aborted) throw controller.signal.reason;
+        };
+
+        report();
+        await sendAll(pending);
+
+        // merge; if the server finds a part damaged at rest it drops it, so send that one again
+        for (let attempt = 0; ; attempt++) {
+            progress({ phase: 'merging', uploadedBytes, totalBytes: size });
+            try {
+                const merged = await withRetry(opts, () => jsonRequest(opts, 'POST', '/merge', { fileId: session.fileId, sha256 }));
+                await clearState(opts, sha256, filename);
+                progress({
+                    phase: 'done',
+                    uploadedBytes: size,
+                    totalBytes: size,
+                    bytesPerSecond: sentBytes / Math.max((Date.now() - started) / 1000, 0.001),
+                });
+                return { fileId: session.fileId, filename, size, sha256, instant: false, resumed, sentBytes, path: merged.path };
+            } catch (err) {
+                if (attempt >= opts.retries || !(err instanceof UploadError)) throw err;
+                if (err.message === 'chunk_corrupted') {
+                    uploadedBytes -= Math.min(session.chunkSize, size - err.body.index * session.chunkSize);
+                    chunksDone--;
+                    await sendAll([err.body.index]);
+                } else if (err.message === 'incomplete_upload') {
+                    await sendAll(err.body.missing);
+                } else {
+                    throw err;
+                }
+            }
+        }
+    } finally {
+        await fh.close();
+    }
+}
+
+module.exports = { uploadFile, hashFile, UploadError };
+
+// ---------------- CLI ----------------
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[++i];
+        else args._.push(argv[i]);
+    }
+    return args;
+}
+
+function fmtBytes(n) {
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const file = args._[0];
+    if (!file) {
+        console.error('Usage: node client.js <file> [--server URL] [--name NAME] [--chunk-size MB] [--concurrency N] [--retries N]');
+        process.exit(1);
+    }
+    const options = {
+        onProgress(p) {
+            if (p.phase === 'uploading') {
+                const pct = ((p.uploadedBytes / p.totalBytes) * 100).toFixed(1);
+                process.stdout.write(`\r[upload] ${pct}%  ${fmtBytes(p.uploadedBytes)} / ${fmtBytes(p.totalBytes)}  ` +
+                    `chunks ${p.chunksDone}/${p.totalChunks}  ${fmtBytes(p.bytesPerSecond)}/s   `);
+            } else if (p.phase !== 'done') {
+                process.stdout.write(`\n[${p.phase}] ...`);
+            }
+        },
+    };
+    if (args.server) options.server = args.server;
+    if (args.name) options.filename = args.name;
+    if (args['chunk-size']) options.chunkSize = Math.round(Number(args['chunk-size']) * 1024 * 1024);
+    if (args.concurrency) options.concurrency = Number(args.concurrency);
+    if (args.retries) options.retries = Number(args.retries);
+
+    const t0 = Date.now();
+    uploadFile(file, options).then((r) => {
+        const secs = (Date.now() - t0) / 1000;
+        console.log(`\nDone: ${r.path}  sha256=${r.sha256}`);
+        console.log(r.instant
+            ? 'Instant upload: the server already had this content.'
+            : `${fmtBytes(r.sentBytes)} sent in ${secs.toFixed(1)}s (${fmtBytes(r.sentBytes / secs)}/s)` +
+            (r.resumed ? `, resumed (${fmtBytes(r.size - r.sentBytes)} already on the server)` : ''));
+    }).catch((err) => {
+        console.error(`\nUpload failed: ${err.message}`, err.body || '');
+        process.exit(1);
+    });
+}
@@ -3,20 +3,52 @@
 // Node >= 14 recommended.
 
 const http = require('http');
-const fs = require('fs');
-const fsp = fs.promises;
 const path = require('path');
 const { pipeline } = require('stream/promises');
+const { Transform, pipeline: pipeStreams } = require('stream');
 const crypto = require('crypto');
-const PORT = 3000;
+const os = require('os');
+const { createStorage } = require('./storage');
+const PORT = Number(process.env.PORT || 3000);
 
-const TMP_DIR = path.resolve(__dirname, 'tmp');
-const UPLOAD_DIR = path.resolve(__dirname, 'uploads');
+const TMP_DIR = path.resolve(process.env.TMP_DIR || path.join(__dirname, 'tmp'));
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
 
-async function ensureDirs() {
-    await fsp.mkdir(TMP_DIR, { recursive: true });
-    await fsp.mkdir(UPLOAD_DIR, { recursive: true });
-}
+// Where sessions and finished files live (see storage.js):
+//   local  - TMP_DIR / UPLOAD_DIR on this machine (default)
+//   s3     - an S3-compatible bucket (AWS, MinIO, ...), configured with the S3_* variables
+//   memory - in-process Maps, lost on exit; for tests
+const storage = createStorage(process.env.STORAGE_BACKEND || 'local', {
+    tmpDir: TMP_DIR,
+    uploadDir: UPLOAD_DIR,
+    s3: {
+        endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000',
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || '',
+    },
+});
+
+// How new chunk sessions store data (existing sessions keep the mode they were created with):
+//   parts  - one part per chunk, concatenated into a new file by /merge
+//   offset - a data file is preallocated to the declared size and every chunk is written
+//            straight to index * chunkSize, so /merge is just a rename (local/memory storage only)
+const STORAGE_MODE = process.env.STORAGE_MODE === 'offset' && storage.offsetWrites ? 'offset' : 'parts';
+
+// Housekeeping for tmp/ (all values in ms, overridable via env)
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 24 * 60 * 60 * 1000); // idle session lifetime
+const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS || 10 * 60 * 1000);
+const LOCK_STALE_MS = Number(process.env.LOCK_STALE_MS || 30 * 60 * 1000); // for locks we can't check by pid
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // when set, /admin/* requires "Authorization: Bearer <token>"
+
+// Upload sessions & quotas (bytes, overridable via env)
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // matches test/split.js
+const MIN_CHUNK_SIZE = Number(process.env.MIN_CHUNK_SIZE || 64 * 1024);
+const MAX_CHUNK_SIZE = Number(process.env.MAX_CHUNK_SIZE || 100 * 1024 * 1024);
+const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE || 10 * 1024 * 1024 * 1024);
+const MAX_TOTAL_DISK = Number(process.env.MAX_TOTAL_DISK || 100 * 1024 * 1024 * 1024); // uploads/ + open sessions
 
 function jsonRes(res, status, obj) {
     const body = JSON.stringify(obj);
@@ -27,123 +59,421 @@ function jsonRes(res, status, obj) {
     res.end(body);
 }
 
+// Error carrying an HTTP status; handlers answer with err.status instead of 500.
+function httpError(status, message, extra) {
+    const err = new Error(message);
+    err.status = status;
+    err.extra = extra;
+    return err;
+}
+
+function errorRes(res, err, fallback) {
+    return jsonRes(res, err.status || 500, Object.assign({ error: err.message || fallback }, err.extra));
+}
+
+// Per-key promise chains: read-modify-write cycles on the same key never interleave
+// (e.g. two chunks of one session finishing at the same time both updating its meta).
+const queues = new Map();
+function serialize(key, fn) {
+    const run = (queues.get(key) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => { });
+    queues.set(key, tail);
+    tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+    return run;
+}
+
+// The one place a client-supplied name becomes a stored file name (a path under uploads/, an object key).
+// Strips any directory part (both separators), control characters and quotes,
+// and refuses names that would still be special.
+function sanitizeFilename(name) {
+    let clean = String(name || '')
+        .split(/[\\/]/).pop()
+        .replace(/[\u0000-\u001f\u007f"<>|*?:]/g, '')
+        .trim()
+        .replace(/^\.+/, '');
+    while (Buffer.byteLength(clean) > 255) clean = clean.slice(0, -1); // common filesystem limit
+    if (!clean) throw httpError(400, 'invalid_filename');
+    return clean;
+}
+
+// Server-issued session ids (32 hex chars) are also safe to embed in storage paths and keys.
+function newSessionId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+function isSessionId(id) {
+    return typeof id === 'string' && /^[0-9a-f]{32}$/.test(id);
+}
+
 function parseUrlParams(url) {
     const u = new URL(url, `http://localhost`);
     return Object.fromEntries(u.searchParams.entries());
 }
 
-function metaPath(fileId) {
-    return path.join(TMP_DIR, `${fileId}.meta.json`);
+// Pass-through stream that feeds every byte into a hash on the way and counts them.
+function hashingStream(hash) {
+    const t = new Transform({
+        transform(chunk, enc, cb) {
+            hash.update(chunk);
+            t.bytes += chunk.length;
+            cb(null, chunk);
+        },
+    });
+    t.bytes = 0;
+    return t;
+}
+
+// Pipe `source` through `transforms` and hand back the end of the chain for a storage backend
+// to consume; an error anywhere destroys the whole chain, so the consumer sees it.
+function chain(source, ...transforms) {
+    return pipeStreams(source, ...transforms, () => { });
+}
+
+function normalizeDigest(d) {
+    return d ? String(d).trim().toLowerCase() : null;
+}
+
+// Pass-through stream that fails as soon as more than `max` bytes went through.
+function limitStream(max) {
+    let seen = 0;
+    return new Transform({
+        transform(chunk, enc, cb) {
+            seen += chunk.length;
+            if (seen > max) return cb(httpError(400, 'chunk_size_mismatch', { expectedLength: max }));
+            cb(null, chunk);
+        },
+    });
+}
+
+// Store one chunk through the storage backend. Length and sha256 are checked while the
+// bytes stream through; a chunk whose length differs from the session's declaration, or
+// whose digest doesn't match the one the client sent, fails the commit step and is never
+// stored as that index (offset mode just leaves it unmarked in meta.received).
+async function saveChunk(meta, index, stream, expectedHash, expectedLength) {
+    const hash = crypto.createHash('sha256');
+    const hashing = hashingStream(hash);
+    let actual;
+    await storage.writeChunk(meta, index, chain(stream, limitStream(expectedLength), hashing), async () => {
+        if (hashing.bytes !== expectedLength) {
+            throw httpError(400, 'chunk_size_mismatch', { index, expectedLength, actualLength: hashing.bytes });
+        }
+        actual = hash.digest('hex');
+        if (expectedHash && expectedHash !== actual) {
+            throw httpError(400, 'chunk_checksum_mismatch', { index, expected: expectedHash, actual });
+        }
+    });
+    return actual;
+}
+
+// Read meta; null when there is no such session.
+// Chunk sessions: { fileId, filename, mode, size, chunkSize, total, sha256, received: [indices],
+//                   hashes: index => sha256 of the stored part, createdAt, updatedAt }
+function readMeta(fileId) {
+    return storage.readMeta(fileId);
+}
+async function writeMeta(fileId, meta) {
+    meta.updatedAt = Date.now(); // last activity, used by the sweeper
+    await storage.writeMeta(fileId, meta);
+}
+
+// ---- Content hash index (instant upload / dedup) ----
+// index.hashes: sha256 => { size, names: [filename...] }  (names.length is the refcount)
+// index.names:  filename => sha256
+// Names carrying the same content share it in storage (hard links on disk, server-side
+// copies in S3), so a name can be dropped without touching what other names point at.
+async function readIndex() {
+    return (await storage.readIndex()) || { hashes: {}, names: {} };
 }
-function chunkPath(fileId, idx) {
-    return path.join(TMP_DIR, `${fileId}.${idx}.part`);
+function writeIndex(index) {
+    return storage.writeIndex(index);
 }
-function mergeLockPath(fileId) {
-    return path.join(TMP_DIR, `${fileId}.merge.lock`);
+
+// Serialize read-modify-write cycles on the index within this process.
+function updateIndex(fn) {
+    return serialize('hash-index', async () => {
+        const index = await readIndex();
+        const result = await fn(index);
+        await writeIndex(index);
+        return result;
+    });
 }
 
-// Save incoming chunk stream to tmp file (atomic via temp name + rename)
-async function saveChunk(fileId, index, stream) {
-    const tmpFile = chunkPath(fileId, index) + '.writing';
-    const finalFile = chunkPath(fileId, index);
-    const writeStream = fs.createWriteStream(tmpFile, { flags: 'w' });
-    await pipeline(stream, writeStream);
-    // rename to final
-    await fsp.rename(tmpFile, finalFile);
+function indexUnref(index, filename) {
+    const hash = index.names[filename];
+    if (!hash) return;
+    delete index.names[filename];
+    const entry = index.hashes[hash];
+    if (!entry) return;
+    entry.names = entry.names.filter(n => n !== filename);
+    if (entry.names.length === 0) delete index.hashes[hash];
 }
 
-// Read or create meta
-async function readMeta(fileId) {
-    const p = metaPath(fileId);
+function indexRef(index, filename, hash, size) {
+    indexUnref(index, filename);
+    const entry = index.hashes[hash] || (index.hashes[hash] = { size, names: [] });
+    entry.names.push(filename);
+    index.names[filename] = hash;
+}
+
+// Record that the stored file <filename> now holds content with the given hash.
+function registerFile(filename, hash, size) {
+    return updateIndex(index => indexRef(index, filename, hash, size));
+}
+
+// <filename> was replaced by content whose hash we don't know.
+function unregisterFile(filename) {
+    return updateIndex(index => indexUnref(index, filename));
+}
+
+// ---- Merge locks ----
+// The lock (a file or object kept by the storage backend) records who holds it, so a lock left behind by a crashed process can be
+// recognised: dead pid on this host => stale; our own pid but no merge running => stale;
+// another host (can't probe the pid) => stale once older than LOCK_STALE_MS.
+const activeMerges = new Set();
+
+function pidAlive(pid) {
     try {
-        const data = await fsp.readFile(p, 'utf8');
-        return JSON.parse(data);
+        process.kill(pid, 0);
+        return true;
     } catch (e) {
-        return { fileId, filename: null, total: null, received: [] }; // received: array of indices
+        return e.code === 'EPERM'; // exists, just not ours to signal
     }
 }
-async function writeMeta(fileId, meta) {
-    const p = metaPath(fileId);
-    const tmp = p + '.tmp';
-    await fsp.writeFile(tmp, JSON.stringify(meta), 'utf8');
-    await fsp.rename(tmp, p);
+
+function isLockStale(owner, fileId) {
+    if (owner.host === os.hostname() && owner.pid) {
+        if (owner.pid === process.pid) return !activeMerges.has(fileId);
+        return !pidAlive(owner.pid);
+    }
+    return Date.now() - owner.createdAt > LOCK_STALE_MS;
+}
+
+async function acquireMergeLock(fileId) {
+    const owner = { pid: process.pid, host: os.hostname(), createdAt: Date.now() };
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (await storage.createLock(fileId, owner)) {
+            activeMerges.add(fileId);
+            return;
+        }
+        const current = await storage.readLock(fileId);
+        if (current && !isLockStale(current, fileId)) break;
+        console.warn(`removing stale merge lock for ${fileId}`, current);
+        await storage.deleteLock(fileId);
+    }
+    throw httpError(409, 'merge_in_progress_or_locked');
+}
+
+async function releaseMergeLock(fileId) {
+    activeMerges.delete(fileId);
+    await storage.deleteLock(fileId);
 }
 
-// Merge chunks in order to target file using streaming append.
-async function mergeChunks(fileId, filename, total) {
-    const lock = mergeLockPath(fileId);
-    // simple lock - fail if exists
+// Have the storage backend assemble the chunks somewhere private, re-check each chunk
+// against the digest recorded at upload time and the whole file against `expectedHash`,
+// and only then let the result replace the stored file <filename>.
+// In parts mode the digests come for free (the data passes through anyway); offset mode
+// and object stores only spend a read pass on them when a whole-file digest is expected.
+// Returns the sha256, or null when nothing asked for it.
+async function assembleFile(meta, filename, expectedHash) {
+    await acquireMergeLock(meta.fileId);
     try {
-        await fsp.open(lock, 'wx'); // create exclusively
-    } catch (e) {
-        throw new Error('merge_in_progress_or_locked');
+        const digest = await storage.stageFinal(meta, !!expectedHash);
+        try {
+            if (digest) {
+                for (let i = 0; i < meta.total; i++) {
+                    if (meta.hashes[i] && meta.hashes[i] !== digest.hashes[i]) {
+                        throw httpError(400, 'chunk_corrupted', { index: i, expected: meta.hashes[i], actual: digest.hashes[i] });
+                    }
+                }
+                if (expectedHash && expectedHash !== digest.sha256) {
+                    throw httpError(400, 'file_checksum_mismatch', { expected: expectedHash, actual: digest.sha256 });
+                }
+            }
+            await storage.commitFinal(meta, filename);
+        } catch (e) {
+            await storage.discardStaged(meta);
+            throw e;
+        }
+        // cleanup parts & meta
+        await storage.removeSession(meta.fileId);
+        return digest ? digest.sha256 : null;
+    } finally {
+        await releaseMergeLock(meta.fileId);
     }
+}
 
-    const finalPath = path.join(UPLOAD_DIR, filename);
+// Assemble a session into `filename` and record its hash; shared by /merge and empty sessions.
+async function completeUpload(meta, filename, expectedHash) {
+    const sha256 = await assembleFile(meta, filename, expectedHash);
+    if (sha256) {
+        await registerFile(filename, sha256, meta.size);
+    } else {
+        await unregisterFile(filename);
+    }
+    return sha256;
+}
+
+// Bytes already stored as finished files plus everything open sessions have declared they will write.
+async function committedBytes() {
+    let bytes = (await storage.usage()).uploads.bytes;
+    for (const s of (await scanSessions()).values()) {
+        if (!s.meta || s.meta.completed) continue;
+        bytes += s.meta.size || s.meta.length || 0;
+    }
+    return bytes;
+}
+
+// Per-file and total-disk quota check for a new upload of `size` bytes.
+async function checkQuota(size) {
+    if (size > MAX_FILE_SIZE) throw httpError(413, 'file_too_large', { maxFileSize: MAX_FILE_SIZE });
+    const committed = await committedBytes();
+    if (committed + size > MAX_TOTAL_DISK) {
+        throw httpError(507, 'disk_quota_exceeded', { maxTotalDisk: MAX_TOTAL_DISK, committed });
+    }
+}
+
+function expectedChunkLength(meta, index) {
+    return index === meta.total - 1 ? meta.size - meta.chunkSize * (meta.total - 1) : meta.chunkSize;
+}
+
+// POST /sessions {filename, size, chunkSize?, sha256?}
+// Declares an upload up front; every chunk sent later is checked against this.
+// An empty file (size 0) has no chunks, so its session is completed right away.
+async function handleCreateSession(req, res) {
     try {
-        // remove if exists (or you might want to keep/rename)
-        try { await fsp.unlink(finalPath); } catch (_) { }
-
-        const out = fs.createWriteStream(finalPath, { flags: 'a' });
-
-        for (let i = 0; i < total; i++) {
-            const part = chunkPath(fileId, i);
-            // ensure part exists
-            await fsp.access(part);
-            // stream append
-            await pipeline(fs.createReadStream(part), out, { end: false });
-            // after streaming a chunk, continue to next (we keep the stream open not closing until done)
+        const data = await readJsonBody(req);
+        const filename = sanitizeFilename(data.filename);
+        const size = Number(data.size);
+        const chunkSize = data.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(data.chunkSize);
+        if (!Number.isSafeInteger(size) || size < 0) throw httpError(400, 'invalid_size');
+        const minChunkSize = Math.max(MIN_CHUNK_SIZE, storage.minChunkSize);
+        if (!Number.isSafeInteger(chunkSize) || chunkSize < minChunkSize || chunkSize > MAX_CHUNK_SIZE) {
+            throw httpError(400, 'invalid_chunk_size', { minChunkSize, maxChunkSize: MAX_CHUNK_SIZE });
+        }
+        if (Math.ceil(size / chunkSize) > storage.maxChunks) {
+            throw httpError(400, 'too_many_chunks', { maxChunks: storage.maxChunks });
         }
-        // close output (end)
-        out.end();
+        const sha256 = normalizeDigest(data.sha256);
+        if (sha256 && !/^[0-9a-f]{64}$/.test(sha256)) throw httpError(400, 'invalid_sha256');
 
-        // wait for finish event
-        await new Promise((resolve, reject) => {
-            out.on('finish', resolve);
-            out.on('error', reject);
+        // quota check and meta creation in one step, so parallel inits can't both squeeze in
+        const meta = await serialize('sessions', async () => {
+            await checkQuota(size);
+            const fileId = newSessionId();
+            const meta = {
+                fileId,
+                filename,
+                mode: STORAGE_MODE,
+                size,
+                chunkSize,
+                total: Math.ceil(size / chunkSize),
+                sha256,
+                received: [],
+                hashes: {},
+                createdAt: Date.now(),
+            };
+            await storage.createSession(meta);
+            await writeMeta(fileId, meta);
+            return meta;
         });
-
-        // cleanup parts & meta
-        for (let i = 0; i < total; i++) {
-            const part = chunkPath(fileId, i);
-            try { await fsp.unlink(part); } catch (_) { }
+        if (meta.total === 0) {
+            const sha256 = await completeUpload(meta, filename, meta.sha256);
+            return jsonRes(res, 201, {
+                fileId: meta.fileId,
+                filename: meta.filename,
+                size: 0,
+                chunkSize: meta.chunkSize,
+                total: 0,
+                mode: meta.mode,
+                completed: true,
+                path: `/uploads/${filename}`,
+                sha256,
+            });
         }
-        try { await fsp.unlink(metaPath(fileId)); } catch (_) { }
-    } finally {
-        try { await fsp.unlink(lock); } catch (_) { }
+        return jsonRes(res, 201, {
+            fileId: meta.fileId,
+            filename: meta.filename,
+            size: meta.size,
+            chunkSize: meta.chunkSize,
+            total: meta.total,
+            mode: meta.mode,
+            expiresAt: new Date(meta.updatedAt + SESSION_TTL_MS).toISOString(),
+        });
+    } catch (err) {
+        return errorRes(res, err, 'create_session_failed');
     }
 }
 
+// fileId => Set of chunk indices currently streaming in
+const chunkWrites = new Map();
+
 async function handleUpload(req, res) {
-    // expects query params or headers: fileId, index, total, filename (optional)
+    // expects query params or headers: fileId (from POST /sessions), index; total is optional and must match
     const params = parseUrlParams(req.url);
     const fileId = params.fileId || req.headers['x-file-id'];
     const index = params.index !== undefined ? Number(params.index) : Number(req.headers['x-chunk-index']);
     const total = params.total !== undefined ? Number(params.total) : Number(req.headers['x-chunk-total']);
-    const filename = params.filename || req.headers['x-file-name'] || `unnamed-${fileId}`;
+    const chunkHash = normalizeDigest(params.sha256 || req.headers['x-chunk-sha256']);
 
     if (!fileId || Number.isNaN(index)) {
         return jsonRes(res, 400, { error: 'missing fileId or index' });
     }
 
     try {
-        // save chunk
-        await saveChunk(fileId, index, req);
+        const session = isSessionId(fileId) ? await readMeta(fileId) : null;
+        if (!session || session.protocol) throw httpError(404, 'unknown_session');
+        if (!Number.isInteger(index) || index < 0 || index >= session.total) {
+            throw httpError(400, 'index_out_of_range', { total: session.total });
+        }
+        if (!Number.isNaN(total) && total !== session.total) {
+            throw httpError(400, 'total_mismatch', { total: session.total });
+        }
+        const expectedLength = expectedChunkLength(session, index);
+        const contentLength = req.headers['content-length'];
+        if (contentLength !== undefined && Number(contentLength) !== expectedLength) {
+            throw httpError(400, 'chunk_size_mismatch', { index, expectedLength, actualLength: Number(contentLength) });
+        }
 
-        // update meta
-        const meta = await readMeta(fileId);
-        meta.filename = filename;
-        meta.total = total || meta.total;
-        if (!meta.received.includes(index)) {
-            meta.received.push(index);
-            meta.received.sort((a, b) => a - b);
+        if (activeMerges.has(fileId)) throw httpError(409, 'merge_in_progress_or_locked');
+        const writing = chunkWrites.get(fileId) || new Set();
+        if (writing.has(index)) throw httpError(409, 'chunk_in_progress', { index });
+        writing.add(index);
+        chunkWrites.set(fileId, writing);
+
+        // save chunk (rejected here on a length or X-Chunk-SHA256 mismatch)
+        let sha256;
+        try {
+            if (session.mode === 'offset') {
+                // the byte range is about to be overwritten: it doesn't count as received until this write is verified
+                await serialize(`meta:${fileId}`, async () => {
+                    const meta = await readMeta(fileId);
+                    if (!meta || !meta.received.includes(index)) return;
+                    meta.received = meta.received.filter(i => i !== index);
+                    delete meta.hashes[index];
+                    await writeMeta(fileId, meta);
+                });
+            }
+            sha256 = await saveChunk(session, index, req, chunkHash, expectedLength);
+        } finally {
+            writing.delete(index);
+            if (!writing.size) chunkWrites.delete(fileId);
         }
-        await writeMeta(fileId, meta);
 
-        return jsonRes(res, 200, { ok: true, index });
+        // update meta
+        await serialize(`meta:${fileId}`, async () => {
+            const meta = await readMeta(fileId);
+            if (!meta) throw httpError(404, 'unknown_session'); // purged while we were receiving
+            if (!meta.received.includes(index)) {
+                meta.received.push(index);
+                meta.received.sort((a, b) => a - b);
+            }
+            meta.hashes[index] = sha256;
+            await writeMeta(fileId, meta);
+        });
+
+        return jsonRes(res, 200, { ok: true, index, sha256 });
     } catch (err) {
-        console.error('upload error', err);
-        return jsonRes(res, 500, { error: err.message || 'upload_failed' });
+        if (!err.status) console.error('upload error', err);
+        return errorRes(res, err, 'upload_failed');
     }
 }
 
@@ -152,8 +482,17 @@ async function handleStatus(req, res) {
     const fileId = params.fileId || req.headers['x-file-id'];
     if (!fileId) return jsonRes(res, 400, { error: 'missing fileId' });
 
-    const meta = await readMeta(fileId);
-    return jsonRes(res, 200, { fileId: meta.fileId, filename: meta.filename, total: meta.total, received: meta.received });
+    const meta = isSessionId(fileId) ? await readMeta(fileId) : null;
+    if (!meta || meta.protocol) return jsonRes(res, 404, { error: 'unknown_session' });
+    return jsonRes(res, 200, {
+        fileId: meta.fileId,
+        filename: meta.filename,
+        size: meta.size,
+        chunkSize: meta.chunkSize,
+        total: meta.total,
+        received: meta.received,
+        hashes: meta.hashes,
+    });
 }
 
 function getRequestBody(req) {
@@ -175,61 +514,872 @@ function getRequestBody(req) {
     });
 }
 
-async function handleMerge(req, res) {
-    // expects JSON body or query with fileId and filename
-    const params = parseUrlParams(req.url);
+// JSON object body ({} when empty); malformed JSON, or JSON that isn't an object (null, 5, []),
+// is the client's mistake, so it's a 400
+async function readJsonBody(req) {
+    const raw = await getRequestBody(req);
+    let data;
+    try {
+        data = JSON.parse(raw || '{}');
+    } catch (e) {
+        throw httpError(400, 'invalid_json');
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) throw httpError(400, 'invalid_json');
+    return data;
+}
 
-    const rawData = await getRequestBody(req);
-    const data = JSON.parse(rawData)
+async function handleMerge(req, res) {
+    // expects JSON body with fileId; filename defaults to the one declared in POST /sessions
+    let data;
+    try {
+        data = await readJsonBody(req);
+    } catch (err) {
+        return errorRes(res, err, 'invalid_request');
+    }
 
     const fileId = data.fileId || req.headers['x-file-id'];
-    const filename = data.filename || req.headers['x-file-name'];
-    if (!fileId || !filename) return jsonRes(res, 400, { error: 'missing fileId or filename' });
+    if (!fileId) return jsonRes(res, 400, { error: 'missing fileId' });
 
-    const meta = await readMeta(fileId);
-    const total = meta.total || Number(data.total);
-    if (!total) return jsonRes(res, 400, { error: 'missing total chunks' });
+    const meta = isSessionId(fileId) ? await readMeta(fileId) : null;
+    if (!meta || meta.protocol) return jsonRes(res, 404, { error: 'unknown_session' });
+    const fileHash = normalizeDigest(data.sha256 || req.headers['x-file-sha256']) || meta.sha256;
+    const total = meta.total;
 
     try {
-        await mergeChunks(fileId, filename, total);
-        return jsonRes(res, 200, { ok: true, path: `/uploads/${filename}` });
+        const filename = sanitizeFilename(data.filename || req.headers['x-file-name'] || meta.filename);
+        const missing = [];
+        for (let i = 0; i < total; i++) if (!meta.received.includes(i)) missing.push(i);
+        if (missing.length) throw httpError(400, 'incomplete_upload', { missing });
+
+        const sha256 = await completeUpload(meta, filename, fileHash);
+        return jsonRes(res, 200, { ok: true, path: `/uploads/${filename}`, sha256 });
     } catch (err) {
-        console.error('merge error', err);
-        return jsonRes(res, 500, { error: err.message || 'merge_failed' });
+        if (!err.status) console.error('merge error', err);
+        if (err.message === 'chunk_corrupted') {
+            // forget the bad part so /status tells the client to send it again
+            await serialize(`meta:${fileId}`, async () => {
+                const current = await readMeta(fileId);
+                if (!current) return;
+                current.received = current.received.filter(i => i !== err.extra.index);
+                delete current.hashes[err.extra.index];
+                await writeMeta(fileId, current);
+            });
+        }
+        return errorRes(res, err, 'merge_failed');
     }
 }
 
+// POST /instant {sha256, filename}
+// "秒传": if content with this hash is already stored, link it under the new name
+// right away; otherwise answer instant:false and the client uploads chunks as usual.
+async function handleInstant(req, res) {
+    let data, hash, filename;
+    try {
+        data = await readJsonBody(req);
+        hash = normalizeDigest(data.sha256 || req.headers['x-file-sha256']);
+        if (!hash || !data.filename) throw httpError(400, 'missing sha256 or filename');
+        filename = sanitizeFilename(data.filename);
+    } catch (err) {
+        return errorRes(res, err, 'invalid_request');
+    }
+
+    const result = await updateIndex(async (index) => {
+        const entry = index.hashes[hash];
+        if (!entry) return null;
+        if (index.names[filename] === hash) return { size: entry.size };
+        // find a name that still holds the content (files may have been removed behind our back)
+        for (const name of entry.names.slice()) {
+            const st = await storage.statFile(name);
+            if (!st || st.size !== entry.size) {
+                indexUnref(index, name);
+                continue;
+            }
+            try {
+                await storage.linkFile(name, filename);
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e; // removed between stat and link
+                indexUnref(index, name);
+                continue;
+            }
+            indexRef(index, filename, hash, entry.size);
+            return { size: entry.size };
+        }
+        return null;
+    });
+
+    if (!result) return jsonRes(res, 200, { ok: true, instant: false });
+    return jsonRes(res, 200, { ok: true, instant: true, path: `/uploads/${filename}`, sha256: hash, size: result.size });
+}
+
+// DELETE /files?filename=...
+// Removes one name; the content itself goes away only with its last reference.
+async function handleDeleteFile(req, res) {
+    const params = parseUrlParams(req.url);
+    if (!params.filename) return jsonRes(res, 400, { error: 'missing filename' });
+    let filename;
+    try {
+        filename = sanitizeFilename(params.filename);
+    } catch (err) {
+        return errorRes(res, err, 'invalid_filename');
+    }
+
+    const refs = await updateIndex(async (index) => {
+        if (!await storage.deleteFile(filename) && !index.names[filename]) return null;
+        const hash = index.names[filename];
+        indexUnref(index, filename);
+        return hash && index.hashes[hash] ? index.hashes[hash].names.length : 0;
+    });
+
+    if (refs === null) return jsonRes(res, 404, { error: 'not_found' });
+    return jsonRes(res, 200, { ok: true, filename, refs });
+}
+
+// ---- Download helpers (ETag / conditional requests / Range) ----
+// Strong validator: the content hash when the index knows the file, otherwise size + mtime
+// (stored files are only ever replaced whole, so mtime changes with the content).
+function computeEtag(stat, hash) {
+    if (hash) return `"${hash}"`;
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtime.getTime()).toString(16)}"`;
+}
+
+function etagMatches(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    // weak comparison is fine for If-None-Match; strip W/ on both sides
+    const bare = etag.replace(/^W\//, '');
+    return header.split(',').some(t => t.trim().replace(/^W\//, '') === bare);
+}
+
+// HTTP dates have one-second resolution
+function notModifiedSince(header, mtime) {
+    const since = Date.parse(header);
+    return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+// If-Range needs a strong ETag or the exact Last-Modified date
+function ifRangeMatches(header, etag, lastModified) {
+    const v = header.trim();
+    if (v.startsWith('W/')) return false;
+    if (v.startsWith('"')) return v === etag;
+    return v === lastModified;
+}
+
+// Parse "bytes=0-99,200-,-500" against a file size.
+// Returns null when the header should be ignored (not bytes / malformed),
+// [] when no range is satisfiable, otherwise a list of {start, end} (inclusive).
+const MAX_RANGES = 64;
+function parseRange(header, size) {
+    const m = /^bytes=(.+)$/.exec(header.trim());
+    if (!m) return null;
+    const ranges = [];
+    for (const spec of m[1].split(',')) {
+        const r = /^\s*(\d*)-(\d*)\s*$/.exec(spec);
+        if (!r || (r[1] === '' && r[2] === '')) return null;
+        let start, end;
+        if (r[1] === '') {
+            // suffix range: last N bytes
+            const n = Number(r[2]);
+            if (n === 0) continue;
+            start = Math.max(size - n, 0);
+            end = size - 1;
+        } else {
+            start = Number(r[1]);
+            end = r[2] === '' ? size - 1 : Math.min(Number(r[2]), size - 1);
+            if (r[2] !== '' && Number(r[2]) < start) return null;
+        }
+        if (start >= size) continue;
+        ranges.push({ start, end });
+    }
+    if (ranges.length > MAX_RANGES) return [];
+    return ranges;
+}
+
 async function handleDownload(req, res) {
-    // GET /download?filename=...
+    // GET|HEAD /download?filename=...
     const params = parseUrlParams(req.url);
     const filename = params.filename;
     if (!filename) return jsonRes(res, 400, { error: 'missing filename' });
-    const p = path.join(UPLOAD_DIR, path.basename(filename));
+    let name;
     try {
-        await fsp.access(p);
-        res.writeHead(200, {
+        name = sanitizeFilename(filename);
+    } catch (err) {
+        return errorRes(res, err, 'invalid_filename');
+    }
+
+    const stat = await storage.statFile(name);
+    if (!stat) return jsonRes(res, 404, { error: 'not_found' });
+
+    const index = await readIndex();
+    const etag = computeEtag(stat, index.names[name]);
+    const lastModified = stat.mtime.toUTCString();
+    const headers = {
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': lastModified,
+        'Content-Disposition': `attachment; filename="${name}"`,
+    };
+
+    // preconditions (RFC 9110 section 13.2.2 order)
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && !etagMatches(ifMatch, etag)) {
+        res.writeHead(412, headers);
+        return res.end();
+    }
+    if (!ifMatch && req.headers['if-unmodified-since'] && !notModifiedSince(req.headers['if-unmodified-since'], stat.mtime)) {
+        res.writeHead(412, headers);
+        return res.end();
+    }
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch ? etagMatches(ifNoneMatch, etag)
+        : req.headers['if-modified-since'] && notModifiedSince(req.headers['if-modified-since'], stat.mtime)) {
+        res.writeHead(304, headers);
+        return res.end();
+    }
+
+    // Range only applies if If-Range (when sent) still matches the current representation
+    let ranges = null;
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRangeMatches(ifRange, etag, lastModified))) {
+        ranges = parseRange(req.headers.range, stat.size);
+    }
+
+    if (ranges && ranges.length === 0) {
+        res.writeHead(416, Object.assign(headers, { 'Content-Range': `bytes */${stat.size}` }));
+        return res.end();
+    }
+
+    const isHead = req.method === 'HEAD';
+    let parts;
+    if (!ranges) {
+        res.writeHead(200, Object.assign(headers, {
             'Content-Type': 'application/octet-stream',
-            'Content-Disposition': `attachment; filename="${path.basename(filename)}"`,
-        });
-        const r = fs.createReadStream(p);
-        r.pipe(res);
+            'Content-Length': stat.size,
+        }));
+        parts = stat.size > 0 ? [{ start: 0, end: stat.size - 1 }] : [];
+    } else if (ranges.length === 1) {
+        const { start, end } = ranges[0];
+        res.writeHead(206, Object.assign(headers, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${stat.size}`,
+            'Content-Length': end - start + 1,
+        }));
+        parts = ranges;
+    } else {
+        // multipart/byteranges: every part gets its own small header block
+        const boundary = crypto.randomBytes(12).toString('hex');
+        parts = ranges.map(r => Object.assign({}, r, {
+            head: Buffer.from(`\r\n--${boundary}\r\nContent-Type: application/octet-stream\r\n` +
+                `Content-Range: bytes ${r.start}-${r.end}/${stat.size}\r\n\r\n`),
+        }));
+        const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+        const length = parts.reduce((n, r) => n + r.head.length + (r.end - r.start + 1), tail.length);
+        res.writeHead(206, Object.assign(headers, {
+            'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+            'Content-Length': length,
+        }));
+        parts.push({ head: tail });
+    }
+    if (isHead) return res.end();
+
+    try {
+        for (const part of parts) {
+            if (part.head) res.write(part.head);
+            if (part.start !== undefined) {
+                await pipeline(await storage.readFile(name, { start: part.start, end: part.end }), res, { end: false });
+            }
+        }
+        res.end();
     } catch (e) {
-        jsonRes(res, 404, { error: 'not_found' });
+        // client went away or the file vanished mid-stream; nothing sensible left to send
+        res.destroy();
+    }
+}
+
+// ---- tus 1.0 resumable upload protocol (https://tus.io/protocols/resumable-upload) ----
+// Uploads live at /tus/<id>. Bytes are appended to the storage backend's upload file
+// (tmp/<id>.tus on disk), bookkeeping goes into the usual session meta, and a finished
+// upload is moved to the stored files and indexed. Needs a backend that can append.
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,creation-with-upload,termination,checksum,expiration';
+const TUS_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+const TUS_MAX_SIZE = Number(process.env.TUS_MAX_SIZE || MAX_FILE_SIZE);
+const TUS_EXPIRE_MS = Number(process.env.TUS_EXPIRE_MS || 24 * 60 * 60 * 1000);
+const TUS_EXPOSE_HEADERS = 'Location, Upload-Offset, Upload-Length, Upload-Metadata, Upload-Expires, ' +
+    'Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Tus-Checksum-Algorithm';
+
+// ids of uploads with a PATCH currently streaming in
+const tusBusy = new Set();
+
+function tusRes(res, status, headers = {}, body = '') {
+    res.writeHead(status, status === 460 ? 'Checksum Mismatch' : undefined, Object.assign({
+        'Tus-Resumable': TUS_VERSION,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': TUS_EXPOSE_HEADERS,
+        'Content-Length': Buffer.byteLength(body),
+    }, headers));
+    res.end(body);
+}
+
+// "filename d29ybGQ=,is_confidential" => { filename: 'world', is_confidential: '' }
+function parseTusMetadata(header) {
+    const out = {};
+    if (!header) return out;
+    for (const pair of header.split(',')) {
+        const [key, value] = pair.trim().split(' ');
+        if (!key) throw httpError(400, 'invalid_upload_metadata');
+        out[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return out;
+}
+
+async function readTusMeta(id) {
+    if (!isSessionId(id)) return null;
+    const meta = await readMeta(id);
+    if (!meta || meta.protocol !== 'tus') return null;
+    return meta;
+}
+
+async function removeTusUpload(id) {
+    await storage.removeSession(id);
+}
+
+function tusExpiresHeader(meta) {
+    return meta.completed ? {} : { 'Upload-Expires': new Date(meta.expiresAt).toUTCString() };
+}
+
+// Append the request body at meta.offset. With Upload-Checksum the chunk is all-or-nothing;
+// without one, whatever arrived before a dropped connection is kept (tus core semantics).
+async function tusAppend(id, meta, req) {
+    let algo = null;
+    let expected = null;
+    if (req.headers['upload-checksum']) {
+        [algo, expected] = req.headers['upload-checksum'].trim().split(' ');
+        if (!TUS_CHECKSUM_ALGORITHMS.includes(algo)) throw httpError(400, 'unsupported_checksum_algorithm');
+    }
+    const hash = algo ? crypto.createHash(algo) : null;
+
+    let received = 0;
+    const guard = new Transform({
+        transform(chunk, enc, cb) {
+            received += chunk.length;
+            if (meta.offset + received > meta.length) return cb(httpError(413, 'exceeds_upload_length'));
+            if (hash) hash.update(chunk);
+            cb(null, chunk);
+        },
+    });
+
+    let written = 0;
+    let failure = null;
+    try {
+        written = await storage.appendUpload(id, meta.offset, chain(req, guard));
+    } catch (e) {
+        failure = e;
+        written = e.bytesWritten || 0;
+    }
+    if (!failure && hash && hash.digest('base64') !== expected) {
+        failure = httpError(460, 'checksum_mismatch');
+    }
+    if (failure && (hash || failure.status)) {
+        await storage.truncateUpload(id, meta.offset);
+        throw failure;
+    }
+
+    meta.offset += written;
+    await storage.truncateUpload(id, meta.offset);
+    meta.expiresAt = Date.now() + TUS_EXPIRE_MS;
+    await writeMeta(id, meta);
+    if (meta.offset === meta.length) await tusFinalize(id, meta);
+}
+
+// Upload complete: hash it, move it to the stored files and keep a small meta so HEAD still answers.
+async function tusFinalize(id, meta) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of await storage.readUpload(id)) hash.update(chunk);
+    const sha256 = hash.digest('hex');
+    await storage.finishUpload(id, meta.filename);
+    await registerFile(meta.filename, sha256, meta.length);
+    meta.completed = true;
+    meta.sha256 = sha256;
+    await writeMeta(id, meta);
+}
+
+async function tusCreate(req, res) {
+    if (req.headers['upload-defer-length']) throw httpError(400, 'defer_length_not_supported');
+    const length = Number(req.headers['upload-length']);
+    if (req.headers['upload-length'] === undefined || !Number.isSafeInteger(length) || length < 0) {
+        throw httpError(400, 'invalid_upload_length');
+    }
+    if (length > TUS_MAX_SIZE) throw httpError(413, 'upload_too_large');
+
+    const metadata = parseTusMetadata(req.headers['upload-metadata']);
+    const id = newSessionId();
+    let filename;
+    try {
+        filename = sanitizeFilename(metadata.filename || metadata.name);
+    } catch (e) {
+        filename = `tus-${id}`;
+    }
+    const meta = {
+        fileId: id,
+        protocol: 'tus',
+        filename,
+        length,
+        offset: 0,
+        rawMetadata: req.headers['upload-metadata'] || null,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + TUS_EXPIRE_MS,
+    };
+    await serialize('sessions', async () => {
+        await checkQuota(length);
+        await storage.createUpload(id, length);
+        await writeMeta(id, meta);
+    });
+
+    const headers = { 'Location': `/tus/${id}` };
+    if (req.headers['content-type'] === 'application/offset+octet-stream') {
+        // creation-with-upload: the POST body is the first chunk
+        tusBusy.add(id);
+        try {
+            await tusAppend(id, meta, req);
+        } finally {
+            tusBusy.delete(id);
+        }
+        headers['Upload-Offset'] = meta.offset;
+    } else if (length === 0) {
+        await tusFinalize(id, meta);
+    }
+    return tusRes(res, 201, Object.assign(headers, tusExpiresHeader(meta)));
+}
+
+async function handleTus(req, res, pathname) {
+    // tus lets clients tunnel PATCH/DELETE through POST
+    const method = (req.headers['x-http-method-override'] || req.method).toUpperCase();
+
+    if (method === 'OPTIONS') {
+        const headers = {
+            'Tus-Version': TUS_VERSION,
+            'Tus-Extension': TUS_EXTENSIONS,
+            'Tus-Checksum-Algorithm': TUS_CHECKSUM_ALGORITHMS.join(','),
+            'Access-Control-Allow-Methods': 'POST, HEAD, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Upload-Length, Upload-Offset, Upload-Metadata, ' +
+                'Upload-Checksum, Upload-Defer-Length, Tus-Resumable, X-HTTP-Method-Override, X-Requested-With',
+            'Access-Control-Max-Age': '86400',
+        };
+        headers['Tus-Max-Size'] = TUS_MAX_SIZE;
+        return tusRes(res, 204, headers);
+    }
+    if (req.headers['tus-resumable'] !== TUS_VERSION) {
+        return tusRes(res, 412, { 'Tus-Version': TUS_VERSION });
+    }
+
+    try {
+        if (!storage.appends) throw httpError(501, 'tus_not_supported_by_storage');
+        const id = pathname.replace(/^\/tus\/?/, '');
+        if (!id) {
+            if (method === 'POST') return await tusCreate(req, res);
+            return tusRes(res, 405, { 'Allow': 'POST, OPTIONS' });
+        }
+
+        const meta = await readTusMeta(id);
+        if (!meta) return tusRes(res, 404, {}, 'not_found');
+        if (!meta.completed && meta.expiresAt < Date.now()) {
+            if (!tusBusy.has(id)) await removeTusUpload(id);
+            return tusRes(res, 410, {}, 'expired');
+        }
+
+        if (method === 'HEAD') {
+            const headers = {
+                'Upload-Offset': meta.offset,
+                'Upload-Length': meta.length,
+                'Cache-Control': 'no-store',
+            };
+            if (meta.rawMetadata) headers['Upload-Metadata'] = meta.rawMetadata;
+            // HEAD responses carry no body, so don't advertise one
+            res.writeHead(200, Object.assign({
+                'Tus-Resumable': TUS_VERSION,
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Expose-Headers': TUS_EXPOSE_HEADERS,
+            }, headers, tusExpiresHeader(meta)));
+            return res.end();
+        }
+
+        if (method === 'PATCH') {
+            if (req.headers['content-type'] !== 'application/offset+octet-stream') return tusRes(res, 415);
+            if (tusBusy.has(id)) return tusRes(res, 423, {}, 'upload_locked');
+            tusBusy.add(id);
+            try {
+                // re-read under the lock: a PATCH that just finished may have moved the offset
+                const current = await readTusMeta(id);
+                if (!current || current.completed) return tusRes(res, current ? 409 : 404, {}, 'not_patchable');
+                if (req.headers['upload-offset'] === undefined || Number(req.headers['upload-offset']) !== current.offset) {
+                    return tusRes(res, 409, { 'Upload-Offset': current.offset }, 'offset_mismatch');
+                }
+                await tusAppend(id, current, req);
+                return tusRes(res, 204, Object.assign({ 'Upload-Offset': current.offset }, tusExpiresHeader(current)));
+            } finally {
+                tusBusy.delete(id);
+            }
+        }
+
+        if (method === 'DELETE') {
+            if (tusBusy.has(id)) return tusRes(res, 423, {}, 'upload_locked');
+            await removeTusUpload(id);
+            return tusRes(res, 204);
+        }
+
+        return tusRes(res, 405, { 'Allow': 'HEAD, PATCH, DELETE, OPTIONS' });
+    } catch (err) {
+        if (!err.status) console.error('tus error', err);
+        return tusRes(res, err.status || 500, {}, err.message || 'tus_error');
+    }
+}
+
+// ---- Session expiry & garbage collection ----
+// The storage backend groups everything it keeps per session id; leftovers that belong
+// to no session (hard-link staging, a meta already removed) are swept once they are old.
+async function scanSessions() {
+    const sessions = new Map();
+    for (const [fileId, usage] of await storage.sessionFiles()) {
+        const s = {
+            fileId,
+            files: usage.files,
+            bytes: usage.bytes,
+            lastActive: usage.lastModified,
+            meta: usage.hasMeta ? await storage.readMeta(fileId) : null,
+            lock: usage.locked ? await storage.readLock(fileId) : null,
+        };
+        if (s.meta && s.meta.updatedAt) s.lastActive = Math.max(s.lastActive, s.meta.updatedAt);
+        s.expiresAt = s.meta && s.meta.protocol === 'tus' && !s.meta.completed
+            ? s.meta.expiresAt
+            : s.lastActive + SESSION_TTL_MS;
+        sessions.set(fileId, s);
+    }
+    return sessions;
+}
+
+function sessionBusy(s) {
+    return activeMerges.has(s.fileId) || tusBusy.has(s.fileId) || chunkWrites.has(s.fileId);
+}
+
+// Remove sessions matching `select` and any stale merge locks. Sessions with a
+// live lock or a request streaming into them are always left alone.
+async function sweepTmp(select = s => s.expiresAt < Date.now()) {
+    const stats = { sessions: 0, locks: 0, bytes: 0 };
+    for (const s of (await scanSessions()).values()) {
+        if (sessionBusy(s)) continue;
+        if (s.lock) {
+            if (!isLockStale(s.lock, s.fileId)) continue;
+            await storage.deleteLock(s.fileId);
+            stats.locks++;
+            s.files--;
+        }
+        if (s.files && select(s)) {
+            stats.bytes += await storage.removeSession(s.fileId);
+            stats.sessions++;
+        }
     }
+    return stats;
+}
+
+function startSweeper() {
+    const timer = setInterval(() => {
+        sweepTmp().then((stats) => {
+            if (stats.sessions || stats.locks) console.log('tmp sweep', stats);
+        }).catch(err => console.error('sweep error', err));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+}
+
+function adminAuthorized(req) {
+    if (!ADMIN_TOKEN) return true;
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    const got = Buffer.from(req.headers.authorization || '');
+    return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+// GET /admin/usage
+async function handleAdminUsage(req, res) {
+    const sessions = Array.from((await scanSessions()).values()).map(s => ({
+        fileId: s.fileId,
+        protocol: s.meta ? (s.meta.protocol || 'chunks') : null,
+        filename: s.meta ? s.meta.filename : null,
+        files: s.files,
+        bytes: s.bytes,
+        lastActive: new Date(s.lastActive).toISOString(),
+        expiresAt: new Date(s.expiresAt).toISOString(),
+        locked: !!s.lock,
+        staleLock: s.lock ? isLockStale(s.lock, s.fileId) : false,
+        busy: sessionBusy(s),
+    }));
+    const usage = await storage.usage();
+    return jsonRes(res, 200, {
+        storage: storage.name,
+        tmp: usage.tmp,
+        uploads: usage.uploads,
+        sessions,
+        config: { sessionTtlMs: SESSION_TTL_MS, sweepIntervalMs: SWEEP_INTERVAL_MS, lockStaleMs: LOCK_STALE_MS },
+    });
+}
+
+// POST /admin/purge
+//   {}                    same as a sweeper run (expired sessions + stale locks)
+//   { fileId }            drop one session now
+//   { olderThanMs }       drop sessions idle for longer than that
+//   { all: true }         drop every session that isn't busy
+async function handleAdminPurge(req, res) {
+    let data;
+    try {
+        data = await readJsonBody(req);
+    } catch (err) {
+        return errorRes(res, err, 'invalid_request');
+    }
+    let select;
+    if (data.fileId) select = s => s.fileId === String(data.fileId);
+    else if (data.all) select = () => true;
+    else if (data.olderThanMs !== undefined) select = s => Date.now() - s.lastActive > Number(data.olderThanMs);
+    const stats = await sweepTmp(select);
+    return jsonRes(res, 200, Object.assign({ ok: true }, stats));
+}
+
+// ---- Management API (ops / UI) ----
+// Everything lives under /admin/, so ADMIN_TOKEN protects it like the other admin endpoints.
+// Lists are paged with ?offset=&limit= and answer { total, offset, limit, items }.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+function paginate(items, params) {
+    const offset = parseCount(params.offset, 'offset') || 0;
+    const limit = Math.min(Math.max(parseCount(params.limit, 'limit') || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+}
+
+// a non-negative whole number from the query string (null when absent); anything else is a 400
+function parseCount(value, name) {
+    if (value === undefined) return null;
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) throw httpError(400, `invalid_${name}`, { value });
+    return Number(value);
+}
+
+// "2026-01-31T00:00:00Z" or epoch milliseconds
+function parseTime(value) {
+    if (value === undefined) return null;
+    const t = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(t)) throw httpError(400, 'invalid_time', { value });
+    return t;
+}
+
+// [0, 1, 2, 5, 7, 8] => [[0, 2], [5, 5], [7, 8]]
+function toRanges(indices) {
+    const ranges = [];
+    for (const i of indices) {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === i - 1) last[1] = i;
+        else ranges.push([i, i]);
+    }
+    return ranges;
+}
+
+function describeFile(file, index) {
+    const sha256 = index.names[file.name] || null;
+    const entry = sha256 ? index.hashes[sha256] : null;
+    return {
+        name: file.name,
+        size: file.size,
+        sha256,
+        refs: entry ? entry.names.length : null,
+        modifiedAt: file.mtime.toISOString(),
+    };
+}
+
+function describeSession(s) {
+    const meta = s.meta;
+    const common = {
+        fileId: s.fileId,
+        protocol: meta.protocol || 'chunks',
+        filename: meta.filename,
+        createdAt: new Date(meta.createdAt).toISOString(),
+        updatedAt: new Date(s.lastActive).toISOString(),
+        expiresAt: new Date(s.expiresAt).toISOString(),
+        storedBytes: s.bytes,
+        locked: !!s.lock,
+        busy: sessionBusy(s),
+    };
+    if (meta.protocol === 'tus') {
+        return Object.assign(common, { size: meta.length, receivedBytes: meta.offset });
+    }
+    const received = meta.received.slice().sort((a, b) => a - b);
+    const missing = [];
+    for (let i = 0, j = 0; i < meta.total; i++) {
+        if (received[j] === i) j++;
+        else missing.push(i);
+    }
+    return Object.assign(common, {
+        mode: meta.mode,
+        size: meta.size,
+        chunkSize: meta.chunkSize,
+        total: meta.total,
+        sha256: meta.sha256 || null,
+        receivedChunks: received.length,
+        receivedBytes: received.reduce((n, i) => n + expectedChunkLength(meta, i), 0),
+        received: toRanges(received), // [first, last] chunk index pairs
+        missing: toRanges(missing),
+    });
+}
+
+// GET /admin/files?prefix=&q=&sha256=&minSize=&maxSize=&modifiedAfter=&modifiedBefore=&sort=name|size|modified&order=asc|desc&offset=&limit=
+async function handleListFiles(req, res) {
+    const params = parseUrlParams(req.url);
+    try {
+        const minSize = parseCount(params.minSize, 'minSize');
+        const maxSize = parseCount(params.maxSize, 'maxSize');
+        const after = parseTime(params.modifiedAfter);
+        const before = parseTime(params.modifiedBefore);
+        const q = params.q ? params.q.toLowerCase() : null;
+        const sha256 = normalizeDigest(params.sha256);
+        const sortKeys = { name: f => f.name, size: f => f.size, modified: f => f.mtime.getTime() };
+        const sortKey = sortKeys[params.sort || 'name'];
+        if (!sortKey) throw httpError(400, 'invalid_sort', { allowed: Object.keys(sortKeys) });
+
+        const index = await readIndex();
+        const files = (await storage.listFiles()).filter(f =>
+            (!params.prefix || f.name.startsWith(params.prefix)) &&
+            (!q || f.name.toLowerCase().includes(q)) &&
+            (!sha256 || index.names[f.name] === sha256) &&
+            (minSize === null || f.size >= minSize) &&
+            (maxSize === null || f.size <= maxSize) &&
+            (after === null || f.mtime.getTime() > after) &&
+            (before === null || f.mtime.getTime() < before));
+        const dir = params.order === 'desc' ? -1 : 1;
+        files.sort((a, b) => {
+            const x = sortKey(a);
+            const y = sortKey(b);
+            return (x < y ? -1 : x > y ? 1 : a.name < b.name ? -1 : a.name > b.name ? 1 : 0) * dir;
+        });
+        const page = paginate(files, params);
+        page.items = page.items.map(f => describeFile(f, index));
+        return jsonRes(res, 200, page);
+    } catch (err) {
+        return errorRes(res, err, 'list_failed');
+    }
+}
+
+// GET /admin/files/info?filename=...  (plus the other names sharing the same content)
+async function handleFileInfo(req, res) {
+    const params = parseUrlParams(req.url);
+    if (!params.filename) return jsonRes(res, 400, { error: 'missing filename' });
+    let name;
+    try {
+        name = sanitizeFilename(params.filename);
+    } catch (err) {
+        return errorRes(res, err, 'invalid_filename');
+    }
+    const stat = await storage.statFile(name);
+    if (!stat) return jsonRes(res, 404, { error: 'not_found' });
+    const index = await readIndex();
+    const info = describeFile(Object.assign({ name }, stat), index);
+    const entry = info.sha256 ? index.hashes[info.sha256] : null;
+    info.sharedWith = entry ? entry.names.filter(n => n !== name) : [];
+    return jsonRes(res, 200, info);
+}
+
+// POST /admin/files/rename {from, to, overwrite?}
+async function handleRenameFile(req, res) {
+    try {
+        const data = await readJsonBody(req);
+        const from = sanitizeFilename(data.from);
+        const to = sanitizeFilename(data.to);
+        if (from === to) throw httpError(400, 'same_name');
+        const sha256 = await updateIndex(async (index) => {
+            if (!await storage.statFile(from)) throw httpError(404, 'not_found');
+            if (!data.overwrite && await storage.statFile(to)) throw httpError(409, 'target_exists');
+            await storage.renameFile(from, to);
+            const hash = index.hashes[index.names[from]] ? index.names[from] : null;
+            indexUnref(index, to); // whatever `to` held before is gone
+            if (hash) {
+                const size = index.hashes[hash].size;
+                indexUnref(index, from);
+                indexRef(index, to, hash, size);
+            }
+            return hash;
+        });
+        return jsonRes(res, 200, { ok: true, from, to, sha256 });
+    } catch (err) {
+        if (!err.status) console.error('rename error', err);
+        return errorRes(res, err, 'rename_failed');
+    }
+}
+
+// GET /admin/sessions?protocol=chunks|tus&q=&offset=&limit=
+// In-progress uploads, oldest first, with received / missing chunk ranges.
+async function handleListSessions(req, res) {
+    const params = parseUrlParams(req.url);
+    const q = params.q ? params.q.toLowerCase() : null;
+    const sessions = Array.from((await scanSessions()).values())
+        .filter(s => s.meta && !s.meta.completed)
+        .filter(s => !params.protocol || (s.meta.protocol || 'chunks') === params.protocol)
+        .filter(s => !q || String(s.meta.filename).toLowerCase().includes(q))
+        .sort((a, b) => a.meta.createdAt - b.meta.createdAt || (a.fileId < b.fileId ? -1 : 1));
+    let page;
+    try {
+        page = paginate(sessions, params);
+    } catch (err) {
+        return errorRes(res, err, 'list_failed');
+    }
+    page.items = page.items.map(describeSession);
+    return jsonRes(res, 200, page);
+}
+
+// DELETE /admin/sessions?fileId=...  (abandon one upload and free its storage)
+async function handleDeleteSession(req, res) {
+    const params = parseUrlParams(req.url);
+    if (!params.fileId) return jsonRes(res, 400, { error: 'missing fileId' });
+    const s = (await scanSessions()).get(params.fileId);
+    if (!s || !s.meta) return jsonRes(res, 404, { error: 'unknown_session' });
+    if (sessionBusy(s) || (s.lock && !isLockStale(s.lock, s.fileId))) {
+        return jsonRes(res, 409, { error: 'session_busy' });
+    }
+    const bytes = await storage.removeSession(s.fileId);
+    return jsonRes(res, 200, { ok: true, fileId: s.fileId, bytes });
 }
 
 async function router(req, res) {
     const url = new URL(req.url, `http://localhost`);
     const pathname = url.pathname;
     try {
-        if (req.method === 'POST' && pathname === '/upload') {
+        if (req.method === 'POST' && pathname === '/sessions') {
+            return await handleCreateSession(req, res);
+        } else if (req.method === 'POST' && pathname === '/upload') {
             return await handleUpload(req, res);
         } else if (req.method === 'GET' && pathname === '/status') {
             return await handleStatus(req, res);
         } else if (req.method === 'POST' && pathname === '/merge') {
             return await handleMerge(req, res);
-        } else if (req.method === 'GET' && pathname === '/download') {
+        } else if (req.method === 'POST' && pathname === '/instant') {
+            return await handleInstant(req, res);
+        } else if ((req.method === 'GET' || req.method === 'HEAD') && pathname === '/download') {
             return await handleDownload(req, res);
+        } else if (req.method === 'DELETE' && pathname === '/files') {
+            return await handleDeleteFile(req, res);
+        } else if (pathname === '/tus' || pathname.startsWith('/tus/')) {
+            return await handleTus(req, res, pathname);
+        } else if (pathname.startsWith('/admin/') && !adminAuthorized(req)) {
+            jsonRes(res, 401, { error: 'unauthorized' });
+        } else if (req.method === 'GET' && pathname === '/admin/usage') {
+            return await handleAdminUsage(req, res);
+        } else if (req.method === 'POST' && pathname === '/admin/purge') {
+            return await handleAdminPurge(req, res);
+        } else if (req.method === 'GET' && pathname === '/admin/files') {
+            return await handleListFiles(req, res);
+        } else if (req.method === 'GET' && pathname === '/admin/files/info') {
+            return await handleFileInfo(req, res);
+        } else if (req.method === 'POST' && pathname === '/admin/files/rename') {
+            return await handleRenameFile(req, res);
+        } else if (req.method === 'DELETE' && pathname === '/admin/files') {
+            return await handleDeleteFile(req, res);
+        } else if (req.method === 'GET' && pathname === '/admin/sessions') {
+            return await handleListSessions(req, res);
+        } else if (req.method === 'DELETE' && pathname === '/admin/sessions') {
+            return await handleDeleteSession(req, res);
         } else {
             jsonRes(res, 404, { error: 'not_found' });
         }
@@ -240,13 +1390,22 @@ async function router(req, res) {
 }
 
 async function start() {
-    await ensureDirs();
+    await storage.init();
+    if (process.env.STORAGE_MODE === 'offset' && !storage.offsetWrites) {
+        console.warn(`STORAGE_MODE=offset is not available with ${storage.name} storage, using parts`);
+    }
+    // clear out whatever a previous run left behind before taking new uploads
+    const stats = await sweepTmp();
+    if (stats.sessions || stats.locks) console.log('tmp sweep', stats);
+    startSweeper();
     const server = http.createServer((req, res) => {
         router(req, res);
     });
     server.listen(PORT, () => {
-        console.log(`Chunk upload server listening on http://localhost:${PORT}`);
-        console.log('Endpoints: POST /upload  GET /status  POST /merge  GET /download');
+        console.log(`Chunk upload server listening on http://localhost:${PORT} (${storage.name} storage)`);
+        console.log('Endpoints: POST /sessions  POST /upload  GET /status  POST /merge  POST /instant  GET|HEAD /download  DELETE /files  tus: /tus/');
+        console.log('Admin: GET /admin/usage  POST /admin/purge  GET|DELETE /admin/files  GET /admin/files/info  ' +
+            'POST /admin/files/rename  GET|DELETE /admin/sessions');
     });
 }
 
@@ -0,0 +1,949 @@
+// storage.js
+// Storage backends for server.js. The upload / merge / download logic only talks to
+// the interface below, so the same server can keep its data on the local disk, in an
+// S3-compatible object store or in memory (handy for tests).
+//
+// Every backend implements (all methods async):
+//   bookkeeping   readMeta(id) / writeMeta(id, meta) / readIndex() / writeIndex(index)
+//                 createLock(id, owner) -> false if held / readLock(id) / deleteLock(id)
+//   chunk upload  createSession(meta)
+//                 writeChunk(meta, index, stream, commit)  consumes `stream`; the chunk only
+//                     becomes visible after `await commit()` (which may throw to reject it)
+//                 stageFinal(meta, digest) -> { sha256, hashes } | null   assemble all chunks
+//                     somewhere private; digests are computed when `digest` is set (or for free)
+//                 commitFinal(meta, filename) / discardStaged(meta)
+//   housekeeping  sessionFiles() -> Map id => { files, bytes, lastModified, hasMeta, locked }
+//                 removeSession(id) -> bytes freed / usage() -> { tmp, uploads }
+//   final files   statFile(name) -> { size, mtime } | null / readFile(name, { start, end })
+//                 deleteFile(name) -> existed / linkFile(source, name) / renameFile(from, to)
+//                 listFiles() -> [{ name, size, mtime }]
+//   tus appends   createUpload(id, length) / appendUpload(id, offset, stream) -> bytes written
+//                 (a failure carries err.bytesWritten) / truncateUpload(id, length)
+//                 readUpload(id) / finishUpload(id, filename)
+// plus capability flags: offsetWrites (STORAGE_MODE=offset), appends (tus),
+// minChunkSize and maxChunks.
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const { once } = require('events');
+
+function sha256hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// Hashes an assembled file on the way through: the whole file, plus every
+// chunkSize-long range on its own so it can be compared with the digest recorded at upload.
+class Digester {
+    constructor(chunkSize) {
+        this.chunkSize = chunkSize;
+        this.file = crypto.createHash('sha256');
+        this.part = crypto.createHash('sha256');
+        this.partBytes = 0;
+        this.hashes = {};
+        this.index = 0;
+    }
+
+    update(buf) {
+        this.file.update(buf);
+        let pos = 0;
+        while (pos < buf.length) {
+            const n = Math.min(buf.length - pos, this.chunkSize - this.partBytes);
+            this.part.update(buf.subarray(pos, pos + n));
+            this.partBytes += n;
+            pos += n;
+            if (this.partBytes === this.chunkSize) this.nextPart();
+        }
+    }
+
+    nextPart() {
+        this.hashes[this.index++] = this.part.digest('hex');
+        this.part = crypto.createHash('sha256');
+        this.partBytes = 0;
+    }
+
+    result() {
+        if (this.partBytes) this.nextPart();
+        return { sha256: this.file.digest('hex'), hashes: this.hashes };
+    }
+}
+
+async function digestStream(stream, chunkSize) {
+    const d = new Digester(chunkSize);
+    for await (const chunk of stream) d.update(chunk);
+    return d.result();
+}
+
+// ---------------- Local filesystem ----------------
+// Everything a session owns is tmp/<id>.<suffix>; finished files live in uploads/<name>.
+const SESSION_FILE_RE = /^(.+?)\.(meta\.json(?:\.tmp)?|\d+\.part(?:\.writing)?|merge\.lock|merging|data|tus|linking)$/;
+
+class LocalStorage {
+    constructor({ tmpDir, uploadDir }) {
+        this.name = 'local';
+        this.tmpDir = tmpDir;
+        this.uploadDir = uploadDir;
+        this.offsetWrites = true;
+        this.appends = true;
+        this.minChunkSize = 1;
+        this.maxChunks = Infinity;
+    }
+
+    async init() {
+        await fsp.mkdir(this.tmpDir, { recursive: true });
+        await fsp.mkdir(this.uploadDir, { recursive: true });
+    }
+
+    tmpPath(id, suffix) {
+        return path.join(this.tmpDir, `${id}.${suffix}`);
+    }
+    filePath(name) {
+        return path.join(this.uploadDir, name);
+    }
+
+    async readJson(file) {
+        try {
+            return JSON.parse(await fsp.readFile(file, 'utf8'));
+        } catch (e) {
+            return null;
+        }
+    }
+    async writeJson(file, obj) {
+        const tmp = file + '.tmp';
+        await fsp.writeFile(tmp, JSON.stringify(obj), 'utf8');
+        await fsp.rename(tmp, file);
+    }
+
+    readMeta(id) {
+        return this.readJson(this.tmpPath(id, 'meta.json'));
+    }
+    writeMeta(id, meta) {
+        return this.writeJson(this.tmpPath(id, 'meta.json'), meta);
+    }
+    readIndex() {
+        return this.readJson(path.join(this.tmpDir, 'hash-index.json'));
+    }
+    writeIndex(index) {
+        return this.writeJson(path.join(this.tmpDir, 'hash-index.json'), index);
+    }
+
+    async createLock(id, owner) {
+        try {
+            await fsp.writeFile(this.tmpPath(id, 'merge.lock'), JSON.stringify(owner), { flag: 'wx' }); // create exclusively
+            return true;
+        } catch (e) {
+            if (e.code === 'EEXIST') return false;
+            throw e;
+        }
+    }
+    async readLock(id) {
+        const lock = this.tmpPath(id, 'merge.lock');
+        try {
+            return JSON.parse(await fsp.readFile(lock, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            // unreadable / pre-owner-format lock: judge it by age alone
+            const st = await fsp.stat(lock).catch(() => null);
+            return st ? { pid: null, host: null, createdAt: st.mtimeMs } : null;
+        }
+    }
+    async deleteLock(id) {
+        try { await fsp.unlink(this.tmpPath(id, 'merge.lock')); } catch (_) { }
+    }
+
+    async createSession(meta) {
+        if (meta.mode !== 'offset') return;
+        // sparse on most filesystems; blocks get allocated as chunks land
+        const fh = await fsp.open(this.tmpPath(meta.fileId, 'data'), 'w');
+        try { await fh.truncate(meta.size); } finally { await fh.close(); }
+    }
+
+    // parts: written under a temp name and renamed, so a rejected chunk never replaces a good one.
+    // offset: written in place; a rejected chunk just stays unmarked and its range gets overwritten.
+    async writeChunk(meta, index, stream, commit) {
+        if (meta.mode === 'offset') {
+            const out = fs.createWriteStream(this.tmpPath(meta.fileId, 'data'), { flags: 'r+', start: index * meta.chunkSize });
+            await pipeline(stream, out);
+            await commit();
+            return;
+        }
+        const tmp = this.tmpPath(meta.fileId, `${index}.part.writing`);
+        try {
+            await pipeline(stream, fs.createWriteStream(tmp, { flags: 'w' }));
+            await commit();
+        } catch (e) {
+            try { await fsp.unlink(tmp); } catch (_) { }
+            throw e;
+        }
+        await fsp.rename(tmp, this.tmpPath(meta.fileId, `${index}.part`));
+    }
+
+    // parts: concatenate into tmp/<id>.merging, hashing on the way (the data passes through anyway).
+    // offset: the data is already in place; only spend a read pass when digests are wanted.
+    async stageFinal(meta, digest) {
+        if (meta.mode === 'offset') {
+            return digest ? digestStream(fs.createReadStream(this.tmpPath(meta.fileId, 'data')), meta.chunkSize) : null;
+        }
+        const d = new Digester(meta.chunkSize);
+        const out = fs.createWriteStream(this.tmpPath(meta.fileId, 'merging'), { flags: 'w' });
+        try {
+            for (let i = 0; i < meta.total; i++) {
+                // a read loop rather than pipeline(..., { end: false }), which piles up listeners on `out`
+                for await (const chunk of fs.createReadStream(this.tmpPath(meta.fileId, `${i}.part`))) {
+                    d.update(chunk);
+                    if (!out.write(chunk)) await once(out, 'drain');
+                }
+            }
+        } catch (e) {
+            out.destroy();
+            throw e;
+        }
+        out.end();
+        await finished(out);
+        return d.result();
+    }
+
+    async commitFinal(meta, filename) {
+        // atomically replace whatever was there before
+        const staged = this.tmpPath(meta.fileId, meta.mode === 'offset' ? 'data' : 'merging');
+        await fsp.rename(staged, this.filePath(filename));
+    }
+
+    async discardStaged(meta) {
+        if (meta.mode === 'offset') return;
+        try { await fsp.unlink(this.tmpPath(meta.fileId, 'merging')); } catch (_) { }
+    }
+
+    async sessionFiles() {
+        const sessions = new Map();
+        for (const name of await fsp.readdir(this.tmpDir)) {
+            const m = SESSION_FILE_RE.exec(name);
+            if (!m) continue;
+            const st = await fsp.stat(path.join(this.tmpDir, name)).catch(() => null);
+            if (!st) continue;
+            if (!sessions.has(m[1])) {
+                sessions.set(m[1], { files: 0, bytes: 0, lastModified: 0, hasMeta: false, locked: false });
+            }
+            const s = sessions.get(m[1]);
+            s.files++;
+            s.bytes += st.size;
+            s.lastModified = Math.max(s.lastModified, st.mtimeMs);
+            if (m[2] === 'meta.json') s.hasMeta = true;
+            if (m[2] === 'merge.lock') s.locked = true;
+        }
+        return sessions;
+    }
+
+    async removeSession(id) {
+        let bytes = 0;
+        for (const name of await fsp.readdir(this.tmpDir)) {
+            if (!name.startsWith(`${id}.`)) continue;
+            const file = path.join(this.tmpDir, name);
+            try {
+                const st = await fsp.stat(file);
+                await fsp.unlink(file);
+                bytes += st.size;
+            } catch (_) { }
+        }
+        return bytes;
+    }
+
+    async usage() {
+        const count = async (dir) => {
+            let bytes = 0;
+            let files = 0;
+            for (const name of await fsp.readdir(dir)) {
+                const st = await fsp.stat(path.join(dir, name)).catch(() => null);
+                if (st && st.isFile()) {
+                    bytes += st.size;
+                    files++;
+                }
+            }
+            return { bytes, files };
+        };
+        return { tmp: await count(this.tmpDir), uploads: await count(this.uploadDir) };
+    }
+
+    async statFile(name) {
+        const st = await fsp.stat(this.filePath(name)).catch(() => null);
+        return st && st.isFile() ? { size: st.size, mtime: st.mtime } : null;
+    }
+
+    async readFile(name, range) {
+        return fs.createReadStream(this.filePath(name), range);
+    }
+
+    async deleteFile(name) {
+        try {
+            await fsp.unlink(this.filePath(name));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return false;
+            throw e;
+        }
+    }
+
+    // Every name carrying the same content is a hard link to the same inode, so one name can
+    // be dropped without touching the bytes the others point at. Falls back to a copy where
+    // hard links aren't supported.
+    async linkFile(source, name) {
+        const tmp = this.tmpPath(crypto.randomBytes(8).toString('hex'), 'linking');
+        try {
+            await fsp.link(this.filePath(source), tmp);
+        } catch (e) {
+            if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK'].includes(e.code)) throw e;
+            await fsp.copyFile(this.filePath(source), tmp);
+        }
+        await fsp.rename(tmp, this.filePath(name));
+    }
+
+    async renameFile(from, to) {
+        const [a, b] = await Promise.all([fsp.stat(this.filePath(from)), fsp.stat(this.filePath(to)).catch(() => null)]);
+        // rename() between two hard links to the same inode is a no-op that leaves both names
+        if (b && a.ino === b.ino && a.dev === b.dev) return fsp.unlink(this.filePath(from));
+        await fsp.rename(this.filePath(from), this.filePath(to));
+    }
+
+    async listFiles() {
+        const files = [];
+        for (const name of await fsp.readdir(this.uploadDir)) {
+            const st = await this.statFile(name);
+            if (st) files.push(Object.assign({ name }, st));
+        }
+        return files;
+    }
+
+    async createUpload(id) {
+        await fsp.writeFile(this.tmpPath(id, 'tus'), '');
+    }
+
+    async appendUpload(id, offset, stream) {
+        const out = fs.createWriteStream(this.tmpPath(id, 'tus'), { flags: 'r+', start: offset });
+        try {
+            await pipeline(stream, out);
+        } catch (e) {
+            e.bytesWritten = out.bytesWritten;
+            throw e;
+        }
+        return out.bytesWritten;
+    }
+
+    async truncateUpload(id, length) {
+        await fsp.truncate(this.tmpPath(id, 'tus'), length);
+    }
+
+    async readUpload(id) {
+        return fs.createReadStream(this.tmpPath(id, 'tus'));
+    }
+
+    async finishUpload(id, filename) {
+        await fsp.rename(this.tmpPath(id, 'tus'), this.filePath(filename));
+    }
+}
+
+// ---------------- In memory ----------------
+// Same behaviour as the local store, kept in Maps; everything is gone when the process exits.
+class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+        this.offsetWrites = true;
+        this.appends = true;
+        this.minChunkSize = 1;
+        this.maxChunks = Infinity;
+        this.metas = new Map(); // id => JSON text, so callers never share objects with the store
+        this.locks = new Map();
+        this.chunks = new Map(); // id => Map index => Buffer
+        this.blobs = new Map(); // `${id}.data|merging|tus` => Buffer
+        this.uploadLengths = new Map(); // tus id => bytes appended so far
+        this.touched = new Map(); // id => last write (ms)
+        this.files = new Map(); // name => { data, mtime }
+        this.index = null;
+    }
+
+    async init() { }
+
+    touch(id) {
+        this.touched.set(id, Date.now());
+    }
+
+    async readMeta(id) {
+        return this.metas.has(id) ? JSON.parse(this.metas.get(id)) : null;
+    }
+    async writeMeta(id, meta) {
+        this.metas.set(id, JSON.stringify(meta));
+        this.touch(id);
+    }
+    async readIndex() {
+        return this.index ? JSON.parse(this.index) : null;
+    }
+    async writeIndex(index) {
+        this.index = JSON.stringify(index);
+    }
+
+    async createLock(id, owner) {
+        if (this.locks.has(id)) return false;
+        this.locks.set(id, Object.assign({}, owner));
+        return true;
+    }
+    async readLock(id) {
+        return this.locks.get(id) || null;
+    }
+    async deleteLock(id) {
+        this.locks.delete(id);
+    }
+
+    async createSession(meta) {
+        if (meta.mode === 'offset') this.blobs.set(`${meta.fileId}.data`, Buffer.alloc(meta.size));
+        this.touch(meta.fileId);
+    }
+
+    async writeChunk(meta, index, stream, commit) {
+        const data = await collect(stream);
+        await commit();
+        if (meta.mode === 'offset') {
+            data.copy(this.blobs.get(`${meta.fileId}.data`), index * meta.chunkSize);
+        } else {
+            if (!this.chunks.has(meta.fileId)) this.chunks.set(meta.fileId, new Map());
+            this.chunks.get(meta.fileId).set(index, data);
+        }
+        this.touch(meta.fileId);
+    }
+
+    async stageFinal(meta, digest) {
+        if (meta.mode === 'offset') {
+            return digest ? digestStream([this.blobs.get(`${meta.fileId}.data`)], meta.chunkSize) : null;
+        }
+        const parts = this.chunks.get(meta.fileId) || new Map();
+        const list = [];
+        for (let i = 0; i < meta.total; i++) {
+            if (!parts.has(i)) throw Object.assign(new Error(`missing part ${i}`), { code: 'ENOENT' });
+            list.push(parts.get(i));
+        }
+        const data = Buffer.concat(list);
+        this.blobs.set(`${meta.fileId}.merging`, data);
+        return digestStream([data], meta.chunkSize);
+    }
+
+    async commitFinal(meta, filename) {
+        const key = `${meta.fileId}.${meta.mode === 'offset' ? 'data' : 'merging'}`;
+        this.files.set(filename, { data: this.blobs.get(key), mtime: new Date() });
+        this.blobs.delete(key);
+    }
+
+    async discardStaged(meta) {
+        if (meta.mode !== 'offset') this.blobs.delete(`${meta.fileId}.merging`);
+    }
+
+    sessionIds() {
+        const ids = new Set([...this.metas.keys(), ...this.locks.keys(), ...this.chunks.keys()]);
+        for (const key of this.blobs.keys()) ids.add(key.split('.')[0]);
+        return ids;
+    }
+
+    sessionBytes(id) {
+        let bytes = 0;
+        for (const buf of (this.chunks.get(id) || new Map()).values()) bytes += buf.length;
+        for (const [key, buf] of this.blobs) if (key.startsWith(`${id}.`)) bytes += buf.length;
+        return bytes;
+    }
+
+    async sessionFiles() {
+        const sessions = new Map();
+        for (const id of this.sessionIds()) {
+            let files = (this.chunks.get(id) || new Map()).size + (this.metas.has(id) ? 1 : 0) + (this.locks.has(id) ? 1 : 0);
+            for (const key of this.blobs.keys()) if (key.startsWith(`${id}.`)) files++;
+            sessions.set(id, {
+                files,
+                bytes: this.sessionBytes(id),
+                lastModified: this.touched.get(id) || 0,
+                hasMeta: this.metas.has(id),
+                locked: this.locks.has(id),
+            });
+        }
+        return sessions;
+    }
+
+    async removeSession(id) {
+        const bytes = this.sessionBytes(id);
+        this.metas.delete(id);
+        this.locks.delete(id);
+        this.chunks.delete(id);
+        this.touched.delete(id);
+        for (const key of Array.from(this.blobs.keys())) if (key.startsWith(`${id}.`)) this.blobs.delete(key);
+        return bytes;
+    }
+
+    async usage() {
+        let tmpBytes = 0;
+        let tmpFiles = 0;
+        for (const s of (await this.sessionFiles()).values()) {
+            tmpBytes += s.bytes;
+            tmpFiles += s.files;
+        }
+        let bytes = 0;
+        for (const f of this.files.values()) bytes += f.data.length;
+        return { tmp: { bytes: tmpBytes, files: tmpFiles }, uploads: { bytes, files: this.files.size } };
+    }
+
+    async statFile(name) {
+        const f = this.files.get(name);
+        return f ? { size: f.data.length, mtime: f.mtime } : null;
+    }
+
+    async readFile(name, range = {}) {
+        const f = this.files.get(name);
+        if (!f) throw Object.assign(new Error(`no such file: ${name}`), { code: 'ENOENT' });
+        const end = range.end === undefined ? f.data.length : range.end + 1;
+        return Readable.from([f.data.subarray(range.start || 0, end)]);
+    }
+
+    async deleteFile(name) {
+        return this.files.delete(name);
+    }
+
+    // Buffers are never modified after commit, so names can share one.
+    async linkFile(source, name) {
+        const f = this.files.get(source);
+        if (!f) throw Object.assign(new Error(`no such file: ${source}`), { code: 'ENOENT' });
+        this.files.set(name, { data: f.data, mtime: new Date() });
+    }
+
+    async renameFile(from, to) {
+        const f = this.files.get(from);
+        if (!f) throw Object.assign(new Error(`no such file: ${from}`), { code: 'ENOENT' });
+        this.files.set(to, f);
+        this.files.delete(from);
+    }
+
+    async listFiles() {
+        return Array.from(this.files, ([name, f]) => ({ name, size: f.data.length, mtime: f.mtime }));
+    }
+
+    async createUpload(id, length) {
+        this.blobs.set(`${id}.tus`, Buffer.alloc(length));
+        this.uploadLengths.set(id, 0);
+        this.touch(id);
+    }
+
+    async appendUpload(id, offset, stream) {
+        const buf = this.blobs.get(`${id}.tus`);
+        let written = 0;
+        try {
+            for await (const chunk of stream) {
+                chunk.copy(buf, offset + written);
+                written += chunk.length;
+            }
+        } catch (e) {
+            e.bytesWritten = written;
+            throw e;
+        } finally {
+            this.uploadLengths.set(id, Math.max(this.uploadLengths.get(id), offset + written));
+            this.touch(id);
+        }
+        return written;
+    }
+
+    async truncateUpload(id, length) {
+        this.uploadLengths.set(id, length);
+    }
+
+    async readUpload(id) {
+        return Readable.from([this.blobs.get(`${id}.tus`).subarray(0, this.uploadLengths.get(id))]);
+    }
+
+    async finishUpload(id, filename) {
+        this.files.set(filename, { data: this.blobs.get(`${id}.tus`).subarray(0, this.uploadLengths.get(id)), mtime: new Date() });
+        this.blobs.delete(`${id}.tus`);
+        this.uploadLengths.delete(id);
+    }
+}
+
+// ---------------- S3-compatible object store ----------------
+// Path-style requests signed with AWS Signature V4 (core crypto only), so it works with
+// AWS S3, MinIO and most look-alikes. Layout under the optional key prefix:
+//   tmp/<id>/meta.json, tmp/<id>/<index>.part, tmp/<id>/merge.lock, tmp/<id>/staged
+//   tmp/hash-index.json, uploads/<name>
+// Each chunk is its own object; /merge builds the file with a multipart upload whose parts
+// are server-side copies of the chunk objects (UploadPartCopy), so no data flows through
+// this process unless a digest check asks for one read pass. Hence S3's rules apply:
+// chunks of at least 5 MiB (except the last) and at most 10000 of them.
+// No in-place writes and no appends, so STORAGE_MODE=offset and tus are local/memory only.
+const S3_MIN_PART = 5 * 1024 * 1024;
+const S3_MAX_PARTS = 10000;
+const S3_MAX_COPY = 5 * 1024 * 1024 * 1024; // largest single CopyObject / UploadPartCopy
+const S3_COPY_PART = 512 * 1024 * 1024;
+
+function uriEncode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function xmlUnescape(s) {
+    return s.replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-f]+);/gi, (m, e) => {
+        const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[e.toLowerCase()];
+        if (named) return named;
+        return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    });
+}
+
+function xmlValue(xml, tag) {
+    const m = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    return m ? xmlUnescape(m[1]) : null;
+}
+
+function xmlBlocks(xml, tag) {
+    return Array.from(xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g')), m => m[1]);
+}
+
+function xmlEscape(s) {
+    return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function s3Error(method, key, status, body) {
+    const text = body ? body.toString() : '';
+    const err = new Error(`s3 ${method} ${key}: ${status} ${xmlValue(text, 'Code') || ''}`.trim());
+    err.s3Status = status;
+    err.s3Code = xmlValue(text, 'Code');
+    return err;
+}
+
+class S3Storage {
+    constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+        if (!bucket) throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+        this.name = 's3';
+        this.endpoint = new URL(endpoint);
+        this.bucket = bucket;
+        this.region = region;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.prefix = prefix && !prefix.endsWith('/') ? prefix + '/' : prefix;
+        this.offsetWrites = false;
+        this.appends = false;
+        this.minChunkSize = S3_MIN_PART;
+        this.maxChunks = S3_MAX_PARTS;
+        this.agent = new (this.endpoint.protocol === 'https:' ? https : http).Agent({ keepAlive: true });
+    }
+
+    async init() {
+        // fail at startup rather than on the first upload if the bucket is unreachable
+        await this.list('tmp/', 1);
+    }
+
+    sessionKey(id, name) {
+        return `tmp/${id}/${name}`;
+    }
+    fileKey(name) {
+        return `uploads/${name}`;
+    }
+
+    // Signed request. Bodies are always Buffers, so the payload hash is signed too.
+    // Resolves to { status, headers, body } (or the response stream with `stream: true`)
+    // for any status in `ok`, rejects otherwise.
+    request(method, key, { query = {}, headers = {}, body, ok = [200], stream = false } = {}) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const payloadHash = sha256hex(body || '');
+        const uri = `/${uriEncode(this.bucket)}` + (key === null ? '' : '/' + (this.prefix + key).split('/').map(uriEncode).join('/'));
+        const all = { host: this.endpoint.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+        for (const [k, v] of Object.entries(headers)) all[k.toLowerCase()] = String(v);
+        if (body) all['content-length'] = String(body.length);
+
+        const signed = Object.keys(all).sort();
+        const canonicalQuery = Object.keys(query).sort()
+            .map(k => `${uriEncode(k)}=${uriEncode(String(query[k]))}`).join('&');
+        const canonicalRequest = [
+            method,
+            uri,
+            canonicalQuery,
+            signed.map(h => `${h}:${all[h].trim()}\n`).join(''),
+            signed.join(';'),
+            payloadHash,
+        ].join('\n');
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256hex(canonicalRequest)].join('\n');
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+        all.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+            `SignedHeaders=${signed.join(';')}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+
+        const lib = this.endpoint.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = lib.request({
+                protocol: this.endpoint.protocol,
+                hostname: this.endpoint.hostname,
+                port: this.endpoint.port,
+                method,
+                path: uri + (canonicalQuery ? `?${canonicalQuery}` : ''),
+                headers: all,
+                agent: this.agent,
+            }, (res) => {
+                if (stream && ok.includes(res.statusCode)) return resolve(res);
+                const chunks = [];
+                res.on('data', c => chunks.push(c));
+                res.on('end', () => {
+                    const data = Buffer.concat(chunks);
+                    if (!ok.includes(res.statusCode)) return reject(s3Error(method, key, res.statusCode, data));
+                    resolve({ status: res.statusCode, headers: res.headers, body: data });
+                });
+                res.on('error', reject);
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    async getJson(key) {
+        const res = await this.request('GET', key, { ok: [200, 404] });
+        if (res.status === 404) return null;
+        try {
+            return JSON.parse(res.body.toString());
+        } catch (e) {
+            return null;
+        }
+    }
+    async putJson(key, obj) {
+        await this.request('PUT', key, { body: Buffer.from(JSON.stringify(obj)), headers: { 'Content-Type': 'application/json' } });
+    }
+    async deleteObject(key) {
+        await this.request('DELETE', key, { ok: [200, 204, 404] });
+    }
+    async head(key) {
+        const res = await this.request('HEAD', key, { ok: [200, 404] });
+        if (res.status === 404) return null;
+        return { size: Number(res.headers['content-length']), mtime: new Date(res.headers['last-modified']) };
+    }
+
+    // ListObjectsV2, following continuation tokens. Keys come back without our prefix.
+    async list(prefix, maxKeys = Infinity) {
+        const out = [];
+        let token = null;
+        do {
+            const query = { 'list-type': 2, prefix: this.prefix + prefix };
+            if (token) query['continuation-token'] = token;
+            const xml = (await this.request('GET', null, { query })).body.toString();
+            for (const block of xmlBlocks(xml, 'Contents')) {
+                out.push({
+                    key: xmlValue(block, 'Key').slice(this.prefix.length),
+                    size: Number(xmlValue(block, 'Size')),
+                    mtime: new Date(xmlValue(block, 'LastModified')),
+                });
+            }
+            token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+        } while (token && out.length < maxKeys);
+        return out;
+    }
+
+    async createMultipart(key) {
+        const res = await this.request('POST', key, { query: { uploads: '' } });
+        return xmlValue(res.body.toString(), 'UploadId');
+    }
+    async copyPart(key, uploadId, partNumber, source, range) {
+        const headers = { 'x-amz-copy-source': `/${this.bucket}/${(this.prefix + source).split('/').map(uriEncode).join('/')}` };
+        if (range) headers['x-amz-copy-source-range'] = `bytes=${range.start}-${range.end}`;
+        const res = await this.request('PUT', key, { query: { partNumber, uploadId }, headers });
+        return xmlValue(res.body.toString(), 'ETag');
+    }
+    async completeMultipart(key, uploadId, etags) {
+        const body = '<CompleteMultipartUpload>' +
+            etags.map((etag, i) => `<Part><PartNumber>${i + 1}</PartNumber><ETag>${xmlEscape(etag)}</ETag></Part>`).join('') +
+            '</CompleteMultipartUpload>';
+        const res = await this.request('POST', key, { query: { uploadId }, body: Buffer.from(body) });
+        // S3 may answer 200 and still report an error in the body
+        if (/<Error>/.test(res.body.toString())) throw s3Error('POST', key, 200, res.body);
+    }
+    async abortMultipart(key, uploadId) {
+        await this.request('DELETE', key, { query: { uploadId }, ok: [200, 204, 404] });
+    }
+
+    // Server-side copy; objects over 5 GiB have to go through a multipart copy.
+    async copyObject(source, key, size) {
+        if (size <= S3_MAX_COPY) {
+            const res = await this.request('PUT', key, {
+                headers: { 'x-amz-copy-source': `/${this.bucket}/${(this.prefix + source).split('/').map(uriEncode).join('/')}` },
+            });
+            if (/<Error>/.test(res.body.toString())) throw s3Error('PUT', key, 200, res.body);
+            return;
+        }
+        const uploadId = await this.createMultipart(key);
+        try {
+            const etags = [];
+            for (let start = 0; start < size; start += S3_COPY_PART) {
+                const end = Math.min(start + S3_COPY_PART, size) - 1;
+                etags.push(await this.copyPart(key, uploadId, etags.length + 1, source, { start, end }));
+            }
+            await this.completeMultipart(key, uploadId, etags);
+        } catch (e) {
+            await this.abortMultipart(key, uploadId).catch(() => { });
+            throw e;
+        }
+    }
+
+    readMeta(id) {
+        return this.getJson(this.sessionKey(id, 'meta.json'));
+    }
+    writeMeta(id, meta) {
+        return this.putJson(this.sessionKey(id, 'meta.json'), meta);
+    }
+    readIndex() {
+        return this.getJson('tmp/hash-index.json');
+    }
+    writeIndex(index) {
+        return this.putJson('tmp/hash-index.json', index);
+    }
+
+    // Conditional create (If-None-Match: *), supported by S3 and MinIO.
+    async createLock(id, owner) {
+        const res = await this.request('PUT', this.sessionKey(id, 'merge.lock'), {
+            body: Buffer.from(JSON.stringify(owner)),
+            headers: { 'If-None-Match': '*' },
+            ok: [200, 409, 412],
+        });
+        return res.status === 200;
+    }
+    async readLock(id) {
+        const res = await this.request('GET', this.sessionKey(id, 'merge.lock'), { ok: [200, 404] });
+        if (res.status === 404) return null;
+        try {
+            return JSON.parse(res.body.toString());
+        } catch (e) {
+            return { pid: null, host: null, createdAt: Date.parse(res.headers['last-modified']) || 0 };
+        }
+    }
+    deleteLock(id) {
+        return this.deleteObject(this.sessionKey(id, 'merge.lock'));
+    }
+
+    async createSession() { }
+
+    // Buffered (chunks are bounded by MAX_CHUNK_SIZE) so nothing is stored before commit passes;
+    // a PUT replaces the object whole, so a retried chunk is never seen half-written.
+    async writeChunk(meta, index, stream, commit) {
+        const data = await collect(stream);
+        await commit();
+        await this.request('PUT', this.sessionKey(meta.fileId, `${index}.part`), { body: data });
+    }
+
+    async stageFinal(meta, digest) {
+        const key = this.sessionKey(meta.fileId, 'staged');
+        if (meta.total === 0) {
+            // an empty file: a multipart upload needs at least one part
+            await this.request('PUT', key, { body: Buffer.alloc(0) });
+            return digest ? digestStream([], meta.chunkSize) : null;
+        }
+        const uploadId = await this.createMultipart(key);
+        try {
+            const etags = [];
+            for (let i = 0; i < meta.total; i++) {
+                etags.push(await this.copyPart(key, uploadId, i + 1, this.sessionKey(meta.fileId, `${i}.part`)));
+            }
+            await this.completeMultipart(key, uploadId, etags);
+        } catch (e) {
+            await this.abortMultipart(key, uploadId).catch(() => { });
+            if (e.s3Code === 'NoSuchKey') e.code = 'ENOENT';
+            throw e;
+        }
+        if (!digest) return null;
+        return digestStream(await this.request('GET', key, { stream: true }), meta.chunkSize);
+    }
+
+    async commitFinal(meta, filename) {
+        await this.copyObject(this.sessionKey(meta.fileId, 'staged'), this.fileKey(filename), meta.size);
+    }
+
+    async discardStaged(meta) {
+        await this.deleteObject(this.sessionKey(meta.fileId, 'staged'));
+    }
+
+    async sessionFiles() {
+        const sessions = new Map();
+        for (const obj of await this.list('tmp/')) {
+            const m = /^tmp\/([^/]+)\/(.+)$/.exec(obj.key);
+            if (!m) continue;
+            if (!sessions.has(m[1])) {
+                sessions.set(m[1], { files: 0, bytes: 0, lastModified: 0, hasMeta: false, locked: false });
+            }
+            const s = sessions.get(m[1]);
+            s.files++;
+            s.bytes += obj.size;
+            s.lastModified = Math.max(s.lastModified, obj.mtime.getTime());
+            if (m[2] === 'meta.json') s.hasMeta = true;
+            if (m[2] === 'merge.lock') s.locked = true;
+        }
+        return sessions;
+    }
+
+    // Also aborts multipart uploads a crashed merge left open (they hold storage too).
+    async removeSession(id) {
+        let bytes = 0;
+        for (const obj of await this.list(`tmp/${id}/`)) {
+            await this.deleteObject(obj.key);
+            bytes += obj.size;
+        }
+        const res = await this.request('GET', null, { query: { uploads: '', prefix: `${this.prefix}tmp/${id}/` } });
+        for (const block of xmlBlocks(res.body.toString(), 'Upload')) {
+            await this.abortMultipart(xmlValue(block, 'Key').slice(this.prefix.length), xmlValue(block, 'UploadId'));
+        }
+        return bytes;
+    }
+
+    async usage() {
+        const sum = objs => ({ bytes: objs.reduce((n, o) => n + o.size, 0), files: objs.length });
+        return { tmp: sum(await this.list('tmp/')), uploads: sum(await this.list('uploads/')) };
+    }
+
+    statFile(name) {
+        return this.head(this.fileKey(name));
+    }
+
+    async readFile(name, range) {
+        const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+        return this.request('GET', this.fileKey(name), { headers, ok: [200, 206], stream: true });
+    }
+
+    async deleteFile(name) {
+        if (!await this.head(this.fileKey(name))) return false;
+        await this.deleteObject(this.fileKey(name));
+        return true;
+    }
+
+    async linkFile(source, name) {
+        const st = await this.head(this.fileKey(source));
+        if (!st) throw Object.assign(new Error(`no such file: ${source}`), { code: 'ENOENT' });
+        await this.copyObject(this.fileKey(source), this.fileKey(name), st.size);
+    }
+
+    // S3 has no rename: copy server-side, then drop the old key.
+    async renameFile(from, to) {
+        const st = await this.head(this.fileKey(from));
+        if (!st) throw Object.assign(new Error(`no such file: ${from}`), { code: 'ENOENT' });
+        await this.copyObject(this.fileKey(from), this.fileKey(to), st.size);
+        await this.deleteObject(this.fileKey(from));
+    }
+
+    async listFiles() {
+        return (await this.list('uploads/')).map(o => ({ name: o.key.slice('uploads/'.length), size: o.size, mtime: o.mtime }));
+    }
+}
+
+// kind: 'local' (default) | 'memory' | 's3'
+function createStorage(kind, options = {}) {
+    if (kind === 'memory') return new MemoryStorage();
+    if (kind === 's3') return new S3Storage(options.s3 || {});
+    if (kind && kind !== 'local') throw new Error(`unknown storage backend: ${kind}`);
+    return new LocalStorage(options);
+}
+
+module.exports = { createStorage, LocalStorage, MemoryStorage, S3Storage, Digester };
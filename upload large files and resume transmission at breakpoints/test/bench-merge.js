@@ -0,0 +1,138 @@
+// bench-merge.js
+// Compare the two storage modes end to end: "parts" (chunk files + serial /merge)
+// vs "offset" (chunks written in place, /merge is a rename).
+// Each run starts its own server.js on a scratch directory, uploads the same file
+// with N parallel chunk requests and times the upload phase and the /merge call.
+//
+// Usage: node test/bench-merge.js [sizeMB] [chunkMB] [concurrency]
+// Example: node test/bench-merge.js 512 5 4
+
+const http = require('http');
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const SIZE_MB = parseInt(process.argv[2] || '256', 10);
+const CHUNK_MB = parseInt(process.argv[3] || '5', 10);
+const CONCURRENCY = parseInt(process.argv[4] || '4', 10);
+const PORT = 3999;
+
+const SERVER = path.resolve(__dirname, '..', 'server.js');
+
+function request(method, urlPath, { body, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: 'localhost', port: PORT, method, path: urlPath, headers }, (res) => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString();
+                if (res.statusCode >= 400) return reject(new Error(`${method} ${urlPath} -> ${res.statusCode} ${text}`));
+                resolve(text ? JSON.parse(text) : null);
+            });
+        });
+        req.on('error', reject);
+        if (body && typeof body.pipe === 'function') return body.pipe(req);
+        req.end(body);
+    });
+}
+
+async function makeInput(file) {
+    const block = crypto.randomBytes(1024 * 1024);
+    const hash = crypto.createHash('sha256');
+    const out = fs.createWriteStream(file);
+    for (let i = 0; i < SIZE_MB; i++) {
+        // vary each block a little so the file isn't one repeated megabyte
+        block.writeUInt32BE(i, 0);
+        hash.update(block);
+        if (!out.write(block)) await new Promise(r => out.once('drain', r));
+    }
+    out.end();
+    await new Promise(r => out.on('finish', r));
+    return hash.digest('hex');
+}
+
+function startServer(dir, mode) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [SERVER], {
+            env: Object.assign({}, process.env, {
+                PORT: String(PORT),
+                STORAGE_MODE: mode,
+                TMP_DIR: path.join(dir, 'tmp'),
+                UPLOAD_DIR: path.join(dir, 'uploads'),
+            }),
+            stdio: ['ignore', 'pipe', 'inherit'],
+        });
+        child.stdout.on('data', (d) => {
+            if (d.toString().includes('listening')) resolve(child);
+        });
+        child.on('exit', code => reject(new Error(`server exited with ${code}`)));
+    });
+}
+
+async function runOnce(label, mode, input, size, fileHash, verify) {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), `bench-${mode}-`));
+    const server = await startServer(dir, mode);
+    try {
+        const chunkSize = CHUNK_MB * 1024 * 1024;
+        const session = await request('POST', '/sessions', {
+            body: JSON.stringify({ filename: 'bench.bin', size, chunkSize }),
+        });
+
+        const t0 = process.hrtime.bigint();
+        let next = 0;
+        async function worker() {
+            while (next < session.total) {
+                const i = next++;
+                const start = i * chunkSize;
+                const end = Math.min(start + chunkSize, size) - 1;
+                await request('POST', `/upload?fileId=${session.fileId}&index=${i}`, {
+                    body: fs.createReadStream(input, { start, end }),
+                    headers: { 'Content-Length': end - start + 1 },
+                });
+            }
+        }
+        await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+        const t1 = process.hrtime.bigint();
+        const merged = await request('POST', '/merge', {
+            body: JSON.stringify(verify ? { fileId: session.fileId, sha256: fileHash } : { fileId: session.fileId }),
+        });
+        const t2 = process.hrtime.bigint();
+
+        if (verify && merged.sha256 !== fileHash) throw new Error(`${label}: hash mismatch`);
+        return { label, uploadMs: Number(t1 - t0) / 1e6, mergeMs: Number(t2 - t1) / 1e6 };
+    } finally {
+        server.removeAllListeners('exit');
+        server.kill();
+        await fsp.rm(dir, { recursive: true, force: true });
+    }
+}
+
+(async () => {
+    const work = await fsp.mkdtemp(path.join(os.tmpdir(), 'bench-input-'));
+    const input = path.join(work, 'input.bin');
+    try {
+        console.log(`Generating ${SIZE_MB} MB input, ${CHUNK_MB} MB chunks, concurrency ${CONCURRENCY} ...`);
+        const fileHash = await makeInput(input);
+        const size = (await fsp.stat(input)).size;
+
+        const results = [];
+        results.push(await runOnce('parts  (merge, verified)', 'parts', input, size, fileHash, true));
+        results.push(await runOnce('offset (rename, verified)', 'offset', input, size, fileHash, true));
+        results.push(await runOnce('offset (rename only)', 'offset', input, size, fileHash, false));
+
+        const mbps = ms => (SIZE_MB / (ms / 1000)).toFixed(1);
+        console.log('');
+        console.log('mode                        upload ms   merge ms   total MB/s');
+        for (const r of results) {
+            console.log(`${r.label.padEnd(27)} ${r.uploadMs.toFixed(0).padStart(9)} ${r.mergeMs.toFixed(0).padStart(10)} ${mbps(r.uploadMs + r.mergeMs).padStart(12)}`);
+        }
+    } finally {
+        await fsp.rm(work, { recursive: true, force: true });
+    }
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,219 @@
+// fake-s3.js
+// A tiny in-memory stand-in for an S3-compatible store, just enough for storage.js:
+// Put/Get/Head/Delete object (with Range and If-None-Match: *), CopyObject, ListObjectsV2,
+// and multipart uploads (Create / UploadPart / UploadPartCopy / Complete / Abort / List).
+// Path-style only, every bucket exists. Signatures are not verified, but requests must
+// carry a SigV4 Authorization header and a matching x-amz-content-sha256.
+//
+//   node test/fake-s3.js [port]        (default 9000, same as MinIO)
+//   STORAGE_BACKEND=s3 S3_BUCKET=uploads S3_ACCESS_KEY_ID=x S3_SECRET_ACCESS_KEY=y node server.js
+//
+// or in-process: const { createFakeS3 } = require('./test/fake-s3'); createFakeS3().listen(9000)
+
+const http = require('http');
+const crypto = require('crypto');
+
+function md5(buf) {
+    return crypto.createHash('md5').update(buf).digest('hex');
+}
+
+function xmlEscape(s) {
+    return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function sendXml(res, status, body) {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${body}`;
+    res.writeHead(status, { 'Content-Type': 'application/xml', 'Content-Length': Buffer.byteLength(xml) });
+    res.end(xml);
+}
+
+function sendError(res, status, code) {
+    sendXml(res, status, `<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function createFakeS3() {
+    const objects = new Map(); // "bucket/key" => { data, etag, mtime }
+    const uploads = new Map(); // uploadId => { bucket, key, parts: Map partNumber => { data, etag } }
+
+    // "/bucket/a/b" or "bytes=..." copy source => stored object
+    function copySource(header, range) {
+        const src = decodeURIComponent(header.replace(/^\//, ''));
+        const obj = objects.get(src);
+        if (!obj) return null;
+        if (!range) return obj.data;
+        const m = /^bytes=(\d+)-(\d+)$/.exec(range);
+        return obj.data.subarray(Number(m[1]), Number(m[2]) + 1);
+    }
+
+    function list(res, bucket, q) {
+        const prefix = q.get('prefix') || '';
+        const maxKeys = Number(q.get('max-keys') || 1000);
+        const after = q.get('continuation-token') || '';
+        const keys = Array.from(objects.keys())
+            .filter(k => k.startsWith(`${bucket}/${prefix}`))
+            .map(k => k.slice(bucket.length + 1))
+            .filter(k => k > after)
+            .sort();
+        const page = keys.slice(0, maxKeys);
+        const truncated = keys.length > maxKeys;
+        sendXml(res, 200, '<ListBucketResult>' +
+            `<Name>${xmlEscape(bucket)}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>` +
+            `<IsTruncated>${truncated}</IsTruncated>` +
+            (truncated ? `<NextContinuationToken>${xmlEscape(page[page.length - 1])}</NextContinuationToken>` : '') +
+            page.map((k) => {
+                const obj = objects.get(`${bucket}/${k}`);
+                return `<Contents><Key>${xmlEscape(k)}</Key><Size>${obj.data.length}</Size>` +
+                    `<LastModified>${obj.mtime.toISOString()}</LastModified><ETag>"${obj.etag}"</ETag></Contents>`;
+            }).join('') +
+            '</ListBucketResult>');
+    }
+
+    function listUploads(res, bucket, q) {
+        const prefix = q.get('prefix') || '';
+        const items = Array.from(uploads, ([id, u]) => Object.assign({ id }, u))
+            .filter(u => u.bucket === bucket && u.key.startsWith(prefix));
+        sendXml(res, 200, '<ListMultipartUploadsResult>' +
+            items.map(u => `<Upload><Key>${xmlEscape(u.key)}</Key><UploadId>${u.id}</UploadId></Upload>`).join('') +
+            '</ListMultipartUploadsResult>');
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const q = url.searchParams;
+        const [bucket, ...rest] = url.pathname.slice(1).split('/');
+        const key = rest.map(decodeURIComponent).join('/');
+        const id = `${bucket}/${key}`;
+        const body = await readBody(req);
+
+        if (!/^AWS4-HMAC-SHA256 Credential=/.test(req.headers.authorization || '')) {
+            return sendError(res, 403, 'AccessDenied');
+        }
+        if (req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+            return sendError(res, 400, 'XAmzContentSHA256Mismatch');
+        }
+
+        if (!key) {
+            if (req.method === 'GET' && q.has('uploads')) return listUploads(res, bucket, q);
+            if (req.method === 'GET') return list(res, bucket, q);
+            return sendError(res, 405, 'MethodNotAllowed');
+        }
+
+        if (req.method === 'POST' && q.has('uploads')) {
+            const uploadId = crypto.randomBytes(12).toString('hex');
+            uploads.set(uploadId, { bucket, key, parts: new Map() });
+            return sendXml(res, 200, `<InitiateMultipartUploadResult><Bucket>${xmlEscape(bucket)}</Bucket>` +
+                `<Key>${xmlEscape(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+
+        if (req.method === 'POST' && q.has('uploadId')) {
+            const upload = uploads.get(q.get('uploadId'));
+            if (!upload) return sendError(res, 404, 'NoSuchUpload');
+            const list = Array.from(body.toString().matchAll(/<Part><PartNumber>(\d+)<\/PartNumber><ETag>([^<]*)<\/ETag><\/Part>/g));
+            const parts = [];
+            for (const [, n, etag] of list) {
+                const part = upload.parts.get(Number(n));
+                if (!part || part.etag !== etag.replace(/&quot;|"/g, '')) return sendError(res, 400, 'InvalidPart');
+                parts.push(part.data);
+            }
+            const data = Buffer.concat(parts);
+            const etag = `${md5(data)}-${parts.length}`;
+            objects.set(id, { data, etag, mtime: new Date() });
+            uploads.delete(q.get('uploadId'));
+            return sendXml(res, 200, `<CompleteMultipartUploadResult><Key>${xmlEscape(key)}</Key>` +
+                `<ETag>"${etag}"</ETag></CompleteMultipartUploadResult>`);
+        }
+
+        if (req.method === 'PUT' && q.has('uploadId')) {
+            const upload = uploads.get(q.get('uploadId'));
+            if (!upload) return sendError(res, 404, 'NoSuchUpload');
+            let data = body;
+            if (req.headers['x-amz-copy-source']) {
+                data = copySource(req.headers['x-amz-copy-source'], req.headers['x-amz-copy-source-range']);
+                if (!data) return sendError(res, 404, 'NoSuchKey');
+            }
+            const etag = md5(data);
+            upload.parts.set(Number(q.get('partNumber')), { data: Buffer.from(data), etag });
+            if (req.headers['x-amz-copy-source']) {
+                return sendXml(res, 200, `<CopyPartResult><ETag>"${etag}"</ETag></CopyPartResult>`);
+            }
+            res.writeHead(200, { 'ETag': `"${etag}"`, 'Content-Length': 0 });
+            return res.end();
+        }
+
+        if (req.method === 'PUT') {
+            if (req.headers['if-none-match'] === '*' && objects.has(id)) return sendError(res, 412, 'PreconditionFailed');
+            let data = body;
+            if (req.headers['x-amz-copy-source']) {
+                data = copySource(req.headers['x-amz-copy-source']);
+                if (!data) return sendError(res, 404, 'NoSuchKey');
+            }
+            const etag = md5(data);
+            objects.set(id, { data: Buffer.from(data), etag, mtime: new Date() });
+            if (req.headers['x-amz-copy-source']) {
+                return sendXml(res, 200, `<CopyObjectResult><ETag>"${etag}"</ETag></CopyObjectResult>`);
+            }
+            res.writeHead(200, { 'ETag': `"${etag}"`, 'Content-Length': 0 });
+            return res.end();
+        }
+
+        if (req.method === 'DELETE') {
+            if (q.has('uploadId')) uploads.delete(q.get('uploadId'));
+            else objects.delete(id);
+            res.writeHead(204);
+            return res.end();
+        }
+
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            const obj = objects.get(id);
+            if (!obj) {
+                if (req.method === 'HEAD') {
+                    res.writeHead(404);
+                    return res.end();
+                }
+                return sendError(res, 404, 'NoSuchKey');
+            }
+            const headers = {
+                'ETag': `"${obj.etag}"`,
+                'Last-Modified': obj.mtime.toUTCString(),
+                'Content-Type': 'application/octet-stream',
+            };
+            let data = obj.data;
+            let status = 200;
+            const m = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+            if (m) {
+                const end = m[2] === '' ? data.length - 1 : Math.min(Number(m[2]), data.length - 1);
+                headers['Content-Range'] = `bytes ${m[1]}-${end}/${data.length}`;
+                data = data.subarray(Number(m[1]), end + 1);
+                status = 206;
+            }
+            headers['Content-Length'] = data.length;
+            res.writeHead(status, headers);
+            return res.end(req.method === 'HEAD' ? undefined : data);
+        }
+
+        return sendError(res, 405, 'MethodNotAllowed');
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((err) => {
+            console.error('fake-s3 error', err);
+            sendError(res, 500, 'InternalError');
+        });
+    });
+}
+
+module.exports = { createFakeS3 };
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || 9000);
+    createFakeS3().listen(port, () => console.log(`fake S3 listening on http://localhost:${port}`));
+}
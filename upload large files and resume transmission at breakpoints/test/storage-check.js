@@ -0,0 +1,205 @@
+// storage-check.js
+// Run the same upload / merge / download flow against every storage backend:
+// local (scratch directory), memory, and s3 (against test/fake-s3.js, or a real
+// MinIO / S3 bucket when S3_ENDPOINT and friends are set in the environment).
+// Each backend gets its own server.js process on port 3998.
+//
+// Usage: node test/storage-check.js [local] [memory] [s3]   (default: all three)
+
+const http = require('http');
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { uploadFile } = require('../client');
+const { createFakeS3 } = require('./fake-s3');
+
+const PORT = 3998;
+const FAKE_S3_PORT = 3997;
+const SERVER = path.resolve(__dirname, '..', 'server.js');
+const CHUNK_SIZE = 5 * 1024 * 1024; // S3's minimum part size
+const BASE = `http://localhost:${PORT}`;
+
+function request(method, urlPath, { body, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${BASE}${urlPath}`, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function json(method, urlPath, obj) {
+    return request(method, urlPath, { body: JSON.stringify(obj), headers: { 'Content-Type': 'application/json' } })
+        .then(r => Object.assign(r, { json: JSON.parse(r.body.toString() || 'null') }));
+}
+
+function sha256(buf) {
+    return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+function check(label, ok, detail) {
+    console.log(`  ${ok ? 'ok  ' : 'FAIL'} ${label}${ok || detail === undefined ? '' : `  ${JSON.stringify(detail)}`}`);
+    if (!ok) process.exitCode = 1;
+}
+
+function startServer(env) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [SERVER], {
+            env: Object.assign({}, process.env, { PORT: String(PORT) }, env),
+            stdio: ['ignore', 'pipe', 'inherit'],
+        });
+        child.stdout.on('data', (d) => {
+            if (d.toString().includes('listening')) resolve(child);
+        });
+        child.on('exit', code => reject(new Error(`server exited with ${code}`)));
+    });
+}
+
+async function runFlow(backend, input, data) {
+    const stateDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'storage-check-state-'));
+    try {
+        // 1. regular upload through the Node client
+        const r = await uploadFile(input, { server: BASE, filename: 'a.bin', chunkSize: CHUNK_SIZE, stateDir });
+        check('upload + merge', r.sha256 === sha256(data) && !r.instant, r);
+
+        // 2. download: full body and a range
+        const full = await request('GET', '/download?filename=a.bin');
+        check('download matches', full.status === 200 && sha256(full.body) === sha256(data), full.status);
+        const part = await request('GET', '/download?filename=a.bin', { headers: { Range: 'bytes=100-199' } });
+        check('range request', part.status === 206 && part.body.equals(data.subarray(100, 200)), part.status);
+
+        // 3. instant upload under a second name, then drop the first name
+        const inst = await json('POST', '/instant', { sha256: r.sha256, filename: 'b.bin' });
+        check('instant upload', inst.json.instant === true, inst.json);
+        const del = await request('DELETE', '/files?filename=a.bin');
+        check('delete keeps other name', del.status === 200 && JSON.parse(del.body).refs === 1, del.body.toString());
+        const b = await request('GET', '/download?filename=b.bin');
+        check('second name still readable', b.status === 200 && sha256(b.body) === sha256(data), b.status);
+        const mv = await json('POST', '/admin/files/rename', { from: 'b.bin', to: 'd.bin' });
+        const listed = (await json('GET', '/admin/files')).json.items.map(f => f.name);
+        check('rename', mv.status === 200 && listed.join() === 'd.bin', { rename: mv.json, listed });
+
+        // 4. a wrong whole-file digest fails the merge without losing the session
+        const session = (await json('POST', '/sessions', { filename: 'c.bin', size: data.length, chunkSize: CHUNK_SIZE })).json;
+        for (let i = 0; i < session.total; i++) {
+            const chunk = data.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+            await request('POST', `/upload?fileId=${session.fileId}&index=${i}`, { body: chunk });
+        }
+        const bad = await json('POST', '/merge', { fileId: session.fileId, sha256: '0'.repeat(64) });
+        check('bad digest rejected', bad.status === 400 && bad.json.error === 'file_checksum_mismatch', bad.json);
+        const c404 = await request('GET', '/download?filename=c.bin');
+        check('nothing stored after bad merge', c404.status === 404, c404.status);
+        const good = await json('POST', '/merge', { fileId: session.fileId, sha256: sha256(data) });
+        check('merge retried', good.status === 200 && good.json.sha256 === sha256(data), good.json);
+
+        // 5. tus needs appends; s3 refuses it cleanly
+        const tus = await request('POST', '/tus/', {
+            body: data.subarray(0, 1000),
+            headers: {
+                'Tus-Resumable': '1.0.0',
+                'Upload-Length': 1000,
+                'Upload-Metadata': `filename ${Buffer.from('t.bin').toString('base64')}`,
+                'Content-Type': 'application/offset+octet-stream',
+            },
+        });
+        if (backend === 's3') {
+            check('tus refused on s3', tus.status === 501, tus.status);
+        } else {
+            const t = await request('GET', '/download?filename=t.bin');
+            check('tus upload', tus.status === 201 && t.body.equals(data.subarray(0, 1000)), tus.status);
+        }
+
+        // 6. an empty file: no chunks, the session completes as soon as it's declared
+        const empty = (await json('POST', '/sessions', { filename: 'empty.bin', size: 0, sha256: sha256(Buffer.alloc(0)) })).json;
+        const e = await request('GET', '/download?filename=empty.bin');
+        check('empty file session', empty.completed === true && e.status === 200 && e.body.length === 0, empty);
+
+        // 7. merged sessions leave nothing behind (a finished tus upload keeps its meta until it expires)
+        const sessions = JSON.parse((await request('GET', '/admin/usage')).body).sessions.filter(s => s.protocol !== 'tus');
+        check('no sessions left', sessions.length === 0, sessions);
+
+        // 8. bad client input is a 400, not a server error
+        const badName = await request('GET', '/download?filename=..');
+        check('download with invalid filename', badName.status === 400, badName.body.toString());
+        const badInstant = await request('POST', '/instant', { body: '{"sha256":', headers: { 'Content-Type': 'application/json' } });
+        check('instant with invalid JSON', badInstant.status === 400, badInstant.body.toString());
+        const badInstantName = await json('POST', '/instant', { sha256: sha256(data), filename: '..' });
+        check('instant with invalid filename', badInstantName.status === 400, badInstantName.json);
+        const badDelete = await request('DELETE', '/files?filename=..');
+        check('delete with invalid filename', badDelete.status === 400, badDelete.body.toString());
+        const badInfo = await request('GET', '/admin/files/info?filename=..');
+        check('file info with invalid filename', badInfo.status === 400, badInfo.body.toString());
+        const badRename = await request('POST', '/admin/files/rename', { body: 'nope', headers: { 'Content-Type': 'application/json' } });
+        check('rename with invalid JSON', badRename.status === 400, badRename.body.toString());
+        for (const body of ['null', '5', '[]']) {
+            const s = await request('POST', '/sessions', { body, headers: { 'Content-Type': 'application/json' } });
+            const i = await request('POST', '/instant', { body, headers: { 'Content-Type': 'application/json' } });
+            check(`sessions / instant with ${body} body`, s.status === 400 && i.status === 400, [s.body.toString(), i.body.toString()]);
+        }
+        for (const body of ['{"fileId":', 'null']) {
+            const m = await request('POST', '/merge', { body, headers: { 'Content-Type': 'application/json' } });
+            check(`merge with ${body} body`, m.status === 400 && JSON.parse(m.body).error === 'invalid_json', m.body.toString());
+        }
+        const badPurge = await request('POST', '/admin/purge', { body: '{"all":', headers: { 'Content-Type': 'application/json' } });
+        check('purge with invalid JSON', badPurge.status === 400, badPurge.body.toString());
+        for (const query of ['minSize=abc', 'maxSize=-1', 'offset=x', 'limit=1.5']) {
+            const list = await request('GET', `/admin/files?${query}`);
+            check(`file list with ${query}`, list.status === 400, list.body.toString());
+        }
+        const badPage = await request('GET', '/admin/sessions?offset=-3');
+        check('session list with offset=-3', badPage.status === 400, badPage.body.toString());
+    } finally {
+        await fsp.rm(stateDir, { recursive: true, force: true });
+    }
+}
+
+async function runBackend(backend, input, data) {
+    console.log(`[${backend}]`);
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), `storage-check-${backend}-`));
+    const env = { STORAGE_BACKEND: backend, TMP_DIR: path.join(dir, 'tmp'), UPLOAD_DIR: path.join(dir, 'uploads') };
+    let fake = null;
+    if (backend === 's3') {
+        if (!process.env.S3_ENDPOINT) {
+            fake = createFakeS3();
+            await new Promise(r => fake.listen(FAKE_S3_PORT, r));
+            env.S3_ENDPOINT = `http://localhost:${FAKE_S3_PORT}`;
+        }
+        env.S3_BUCKET = process.env.S3_BUCKET || 'uploads';
+        env.S3_PREFIX = process.env.S3_PREFIX || `storage-check-${Date.now()}`;
+        env.S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || 'test';
+        env.S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || 'test';
+    }
+    const server = await startServer(env);
+    try {
+        await runFlow(backend, input, data);
+    } finally {
+        server.removeAllListeners('exit');
+        server.kill();
+        if (fake) fake.close();
+        await fsp.rm(dir, { recursive: true, force: true });
+    }
+}
+
+(async () => {
+    const backends = process.argv.slice(2).length ? process.argv.slice(2) : ['local', 'memory', 's3'];
+    const work = await fsp.mkdtemp(path.join(os.tmpdir(), 'storage-check-'));
+    const input = path.join(work, 'input.bin');
+    try {
+        // 12 MB => three chunks, the last one short
+        const data = crypto.randomBytes(12 * 1024 * 1024 + 12345);
+        await fsp.writeFile(input, data);
+        for (const backend of backends) await runBackend(backend, input, data);
+    } finally {
+        await fsp.rm(work, { recursive: true, force: true });
+    }
+    console.log(process.exitCode ? 'FAILED' : 'all checks passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -1,13 +1,22 @@
-# 生成一个 fileId
-$FILEID = [guid]::NewGuid().ToString("N")
 $FILENAME = "bigfile.mp4"
+$CHUNKSIZE = 5MB # 与 split.js 的默认分片大小一致
 $TOTAL = (Get-ChildItem "$FILENAME.*").Count
 
+# 先声明上传会话（文件名、大小、分片大小），由服务端分配 fileId
+$session = Invoke-RestMethod -Uri "http://localhost:3000/sessions" `
+    -Method Post `
+    -Headers @{ "Content-Type" = "application/json" } `
+    -Body (@{ filename = $FILENAME; size = (Get-Item $FILENAME).Length; chunkSize = $CHUNKSIZE } | ConvertTo-Json)
+$FILEID = $session.fileId
+
 # 上传循环
 $i = 0
-Get-ChildItem "$FILENAME.*" | Sort-Object Name | ForEach-Object {
+# 按分片序号排序（按名字排序会把 .10 排在 .2 前面）
+Get-ChildItem "$FILENAME.*" | Sort-Object { [int]$_.Extension.TrimStart('.') } | ForEach-Object {
   Write-Host "Uploading chunk $i / $TOTAL ..."
-  curl.exe -X POST "http://localhost:3000/upload?fileId=$FILEID&index=$i&total=$TOTAL&filename=$FILENAME" --data-binary "@$($_.FullName)"
+  # 每个分片带上 sha256，服务端校验不一致会拒收该分片
+  $CHUNKHASH = (Get-FileHash $_.FullName -Algorithm SHA256).Hash.ToLower()
+  curl.exe -X POST "http://localhost:3000/upload?fileId=$FILEID&index=$i&total=$TOTAL" -H "X-Chunk-SHA256: $CHUNKHASH" --data-binary "@$($_.FullName)"
   $i++
 }
 
@@ -17,8 +26,8 @@ curl.exe "http://localhost:3000/status?fileId=$FILEID"
 #  Create a temporary JSON file with variables
 $body = @{
   fileId = $FILEID
-  filename = $FILENAME
-  total = $TOTAL
+  # 整个文件的 sha256，合并结果不一致时服务端不会覆盖 uploads/ 里的文件
+  sha256 = (Get-FileHash $FILENAME -Algorithm SHA256).Hash.ToLower()
 }
 
 $jsonBody = $body | ConvertTo-Json